@@ -0,0 +1,60 @@
+const Job = require('../models/Job');
+const jobQueue = require('../utils/jobQueue');
+const { cleanupOrphanedBlobs } = require('../utils/orphanedBlobs');
+
+const CLEANUP_ORPHANED_BLOBS_JOB = 'storage.cleanup-orphaned-blobs';
+// Hours between runs; 0 turns the scheduled cleanup off
+const CLEANUP_INTERVAL_HOURS = process.env.ORPHAN_BLOB_CLEANUP_INTERVAL_HOURS !== undefined
+  ? parseFloat(process.env.ORPHAN_BLOB_CLEANUP_INTERVAL_HOURS)
+  : 24;
+
+/**
+ * Queue the next cleanup run unless one is already waiting
+ * @param {number} delayMs - Delay before the run
+ */
+const scheduleOrphanedBlobCleanup = async (delayMs = CLEANUP_INTERVAL_HOURS * 60 * 60 * 1000) => {
+  if (!(CLEANUP_INTERVAL_HOURS > 0)) return;
+
+  const queued = await Job.exists({ type: CLEANUP_ORPHANED_BLOBS_JOB, status: 'queued' });
+  if (queued) return;
+
+  await jobQueue.enqueue(CLEANUP_ORPHANED_BLOBS_JOB, {}, {
+    runAt: new Date(Date.now() + delayMs),
+    maxAttempts: 1
+  });
+};
+
+/**
+ * Delete blobs nothing refers to anymore, then schedule the next run
+ * @param {Object} job - Job with optional payload { dryRun, gracePeriodHours }
+ */
+const cleanupOrphanedBlobsJob = async (job) => {
+  const dryRun = job.payload.dryRun ?? process.env.ORPHAN_BLOB_CLEANUP_DRY_RUN === 'true';
+
+  const report = await cleanupOrphanedBlobs({
+    dryRun,
+    gracePeriodHours: job.payload.gracePeriodHours
+  });
+
+  if (dryRun) {
+    report.orphaned.forEach(blob => console.log(`Orphaned blob: ${blob.name} (${blob.size} bytes)`));
+  }
+  console.log(
+    `Orphaned blob cleanup scanned ${report.scanned} blobs, found ${report.orphaned.length} orphaned ` +
+    `(${report.bytes} bytes), deleted ${report.deleted}, failed ${report.failed}${dryRun ? ' [dry run]' : ''}`
+  );
+
+  await scheduleOrphanedBlobCleanup();
+};
+
+// A failed run is not retried; the next scheduled run picks up where it left off
+const onCleanupOrphanedBlobsFailed = async () => {
+  await scheduleOrphanedBlobCleanup();
+};
+
+module.exports = {
+  CLEANUP_ORPHANED_BLOBS_JOB,
+  cleanupOrphanedBlobsJob,
+  onCleanupOrphanedBlobsFailed,
+  scheduleOrphanedBlobCleanup
+};
@@ -0,0 +1,35 @@
+const { deleteBlobs } = require('../utils/videoDeletion');
+
+const DELETE_VIDEO_BLOBS_JOB = 'video.delete-blobs';
+
+/**
+ * Retry deleting the blobs a video deletion could not remove. Only what still
+ * fails is kept in the payload for the next attempt.
+ * @param {Object} job - Job with payload { videoId, blobNames, prefixes }
+ */
+const deleteVideoBlobsJob = async (job) => {
+  const { videoId, blobNames = [], prefixes = [] } = job.payload;
+
+  const result = await deleteBlobs(blobNames, prefixes);
+  const remaining = result.blobNames.length + result.prefixes.length;
+
+  if (remaining) {
+    job.payload = { videoId, blobNames: result.blobNames, prefixes: result.prefixes };
+    job.markModified('payload');
+    throw new Error(`Failed to delete ${remaining} blobs of video ${videoId}`);
+  }
+
+  console.log(`Deleted ${result.deleted} remaining blobs of video ${videoId}`);
+};
+
+// Whatever is left is picked up by the orphaned blob cleanup
+const onDeleteVideoBlobsFailed = async (job) => {
+  const { videoId, blobNames = [], prefixes = [] } = job.payload;
+  console.error(`Gave up deleting blobs of video ${videoId}:`, [...blobNames, ...prefixes].join(', '));
+};
+
+module.exports = {
+  DELETE_VIDEO_BLOBS_JOB,
+  deleteVideoBlobsJob,
+  onDeleteVideoBlobsFailed
+};
@@ -0,0 +1,39 @@
+const jobQueue = require('../utils/jobQueue');
+const { PROCESS_VIDEO_JOB, processVideoJob, onProcessVideoFailed } = require('./processVideo');
+const { RELOCATE_VIDEO_MEDIA_JOB, relocateVideoMediaJob } = require('./relocateVideoMedia');
+const { DELETE_VIDEO_BLOBS_JOB, deleteVideoBlobsJob, onDeleteVideoBlobsFailed } = require('./deleteVideoBlobs');
+const { PURGE_DELETED_VIDEO_JOB, purgeDeletedVideoJob } = require('./purgeDeletedVideo');
+const { STRIP_VIDEO_LOCATION_JOB, stripVideoLocationJob } = require('./stripVideoLocation');
+const {
+  CLEANUP_ORPHANED_BLOBS_JOB,
+  cleanupOrphanedBlobsJob,
+  onCleanupOrphanedBlobsFailed,
+  scheduleOrphanedBlobCleanup
+} = require('./cleanupOrphanedBlobs');
+
+// Lane for the ffmpeg jobs, which can run for a long time. Everything else runs
+// in the default lane so deletions and cleanups are not queued behind them.
+const MEDIA_LANE = 'media';
+
+/**
+ * Register every background job handler with the queue
+ */
+const registerJobHandlers = () => {
+  jobQueue.registerHandler(PROCESS_VIDEO_JOB, processVideoJob, { onFailed: onProcessVideoFailed, lane: MEDIA_LANE });
+  jobQueue.registerHandler(RELOCATE_VIDEO_MEDIA_JOB, relocateVideoMediaJob);
+  jobQueue.registerHandler(DELETE_VIDEO_BLOBS_JOB, deleteVideoBlobsJob, { onFailed: onDeleteVideoBlobsFailed });
+  jobQueue.registerHandler(PURGE_DELETED_VIDEO_JOB, purgeDeletedVideoJob);
+  jobQueue.registerHandler(STRIP_VIDEO_LOCATION_JOB, stripVideoLocationJob, { lane: MEDIA_LANE });
+  jobQueue.registerHandler(CLEANUP_ORPHANED_BLOBS_JOB, cleanupOrphanedBlobsJob, { onFailed: onCleanupOrphanedBlobsFailed });
+};
+
+module.exports = {
+  registerJobHandlers,
+  scheduleOrphanedBlobCleanup,
+  PROCESS_VIDEO_JOB,
+  RELOCATE_VIDEO_MEDIA_JOB,
+  DELETE_VIDEO_BLOBS_JOB,
+  PURGE_DELETED_VIDEO_JOB,
+  STRIP_VIDEO_LOCATION_JOB,
+  CLEANUP_ORPHANED_BLOBS_JOB
+};
@@ -0,0 +1,286 @@
+const path = require('path');
+const Video = require('../models/Video');
+const storage = require('../utils/storage');
+const videoProcessor = require('../utils/videoProcessor');
+const thumbnailProcessor = require('../utils/thumbnailProcessor');
+const processingEvents = require('../utils/processingEvents');
+const jobQueue = require('../utils/jobQueue');
+const { isPrivateVisibility, relocateVideoMedia } = require('../utils/videoMedia');
+const { createFingerprint, findDuplicates, isConclusiveMatch } = require('../utils/videoFingerprint');
+const { RELOCATE_VIDEO_MEDIA_JOB } = require('./relocateVideoMedia');
+const { STRIP_VIDEO_LOCATION_JOB } = require('./stripVideoLocation');
+
+const PROCESS_VIDEO_JOB = 'video.process';
+
+// Minimum time between progress writes within the same stage
+const PROGRESS_WRITE_INTERVAL_MS = 2000;
+
+/**
+ * Fingerprint the downloaded original. Runs before processing, which may
+ * rewrite the file to strip its location. A failure only costs the duplicate
+ * check, so it does not fail the job.
+ * @param {string} localPath - Local copy of the original
+ * @param {string} videoId - Video ID, for logging
+ * @returns {Promise<Object|undefined>} Fingerprint, or undefined if it could not be computed
+ */
+const fingerprintOriginal = async (localPath, videoId) => {
+  try {
+    const metadata = await videoProcessor.getVideoMetadata(localPath);
+    return await createFingerprint(localPath, metadata);
+  } catch (error) {
+    console.error(`Failed to fingerprint video ${videoId}:`, error);
+    return undefined;
+  }
+};
+
+/**
+ * Hold a video for moderation when it duplicates an earlier video by another
+ * creator. Uploads are screened already, but two can race each other, and the
+ * upload check only has the frames, not the content hash.
+ * @param {Object} video - Processed video document
+ */
+const flagDuplicateOfOthers = async (video) => {
+  const matches = await findDuplicates(video.fingerprint, { excludeVideoId: video._id });
+  const earlier = matches.filter(match =>
+    isConclusiveMatch(match) &&
+    match.video.creatorId?.toString() !== video.creatorId.toString() &&
+    match.video.createdAt < video.createdAt
+  );
+  if (earlier.length === 0) return;
+
+  console.log(`Video ${video._id} duplicates ${earlier.map(match => match.video._id).join(', ')}, holding for moderation`);
+  await Video.updateOne({ _id: video._id }, {
+    $set: { 'moderation.status': 'pending' },
+    $addToSet: { 'moderation.flags': 'copyright' }
+  });
+};
+
+/**
+ * Build a progress callback that publishes every update to live listeners and
+ * persists to metadata.processing, writing immediately on stage changes and at
+ * most every couple of seconds otherwise
+ * @param {string} videoId - Video ID
+ * @returns {Function} Progress callback for videoProcessor.processVideo
+ */
+const createProgressWriter = (videoId) => {
+  let lastWriteAt = 0;
+  let lastStage = null;
+  let lastRendition = null;
+
+  return ({ stage, rendition, percent }) => {
+    processingEvents.publish(videoId, 'progress', {
+      status: 'processing',
+      stage,
+      rendition,
+      percent
+    });
+
+    const now = Date.now();
+    const stageChanged = stage !== lastStage || rendition !== lastRendition;
+    if (!stageChanged && now - lastWriteAt < PROGRESS_WRITE_INTERVAL_MS) return;
+
+    lastWriteAt = now;
+    lastStage = stage;
+    lastRendition = rendition;
+
+    // Filtering on the status keeps a late write from overwriting the final state
+    Video.updateOne({ _id: videoId, 'metadata.processingStatus': 'processing' }, {
+      'metadata.processing.stage': stage,
+      'metadata.processing.rendition': rendition,
+      'metadata.processing.percent': percent,
+      'metadata.processing.updatedAt': new Date(now)
+    }).catch(error => {
+      console.error(`Failed to record processing progress for ${videoId}:`, error);
+    });
+  };
+};
+
+/**
+ * Download the stored original and run the full processing pipeline on it
+ * @param {Object} job - Job with payload { videoId, videoPublicId }
+ */
+const processVideoJob = async (job) => {
+  const { videoId, videoPublicId } = job.payload;
+
+  const video = await Video.findById(videoId);
+  if (!video) {
+    // Deleted while queued, nothing to do
+    console.log(`Skipping processing for missing video ${videoId}`);
+    return;
+  }
+
+  const startedAt = new Date();
+  video.metadata.processingStatus = 'processing';
+  video.metadata.processing = {
+    stage: 'download',
+    percent: 0,
+    attempts: job.attempts,
+    startedAt,
+    updatedAt: startedAt
+  };
+  await video.save();
+  processingEvents.publish(videoId, 'progress', {
+    status: 'processing',
+    stage: 'download',
+    rendition: null,
+    percent: 0
+  });
+
+  const localPath = path.join(videoProcessor.tempDir, `source_${Date.now()}_${videoPublicId}.mp4`);
+
+  try {
+    await storage.downloadToFile(video.video.original.blobName, localPath);
+    const fingerprint = await fingerprintOriginal(localPath, videoId);
+
+    const stripLocation = Boolean(video.privacy?.stripLocation);
+    const result = await videoProcessor.processVideo(localPath, videoPublicId, {
+      original: {
+        url: video.video.original.url,
+        blobName: video.video.original.blobName
+      },
+      private: isPrivateVisibility(video.visibility),
+      stripLocation,
+      onProgress: createProgressWriter(videoId)
+    });
+
+    // A poster the creator uploaded wins over the generated one. Re-read it,
+    // since direct uploads can set it while processing runs.
+    const current = await Video.findById(videoId).select('thumbnails');
+    if (!current) {
+      // Deleted while processing; the orphaned blob cleanup removes the outputs
+      console.log(`Video ${videoId} was deleted while processing, discarding the result`);
+      return;
+    }
+    let thumbnails = result.thumbnails;
+    if (current.thumbnails?.poster?.url) {
+      const supplied = current.thumbnails.toObject();
+      for (const blobName of thumbnailProcessor.getThumbnailSetBlobNames(result.thumbnails)) {
+        await storage.deleteBlob(blobName).catch(error => {
+          console.error('Failed to delete unused generated poster:', error);
+        });
+      }
+      thumbnails = {
+        ...result.thumbnails,
+        poster: supplied.poster,
+        large: supplied.large,
+        medium: supplied.medium,
+        small: supplied.small
+      };
+    }
+
+    // Capture details read from the original's tags
+    const { camera, recordedAt, location } = result.metadata.capture;
+
+    const completedAt = new Date();
+    video.set({
+      video: result.video,
+      thumbnails,
+      'metadata.camera': camera ? { make: camera.make, model: camera.model } : undefined,
+      'metadata.recordedAt': recordedAt || undefined,
+      'metadata.location': location || undefined,
+      'metadata.processingStatus': 'completed',
+      'metadata.processedAt': result.metadata.processedAt,
+      'metadata.processing': {
+        stage: 'completed',
+        percent: 100,
+        attempts: job.attempts,
+        startedAt,
+        updatedAt: completedAt,
+        completedAt
+      }
+    });
+    // Keep the frame hashes from the upload check if this run could not fingerprint
+    if (fingerprint) {
+      video.fingerprint = fingerprint;
+    }
+    await video.save();
+    processingEvents.publish(videoId, 'completed', {
+      status: 'completed',
+      stage: 'completed',
+      percent: 100,
+      completedAt
+    });
+
+    console.log(`Video ${videoId} processed successfully`);
+
+    if (fingerprint) {
+      try {
+        await flagDuplicateOfOthers(video);
+      } catch (error) {
+        console.error(`Failed to check video ${videoId} for duplicates:`, error);
+      }
+    }
+
+    // The original, a creator-supplied poster, or the visibility itself may
+    // not match where the outputs were just stored
+    try {
+      const latest = await Video.findById(videoId);
+      if (latest) {
+        await relocateVideoMedia(latest);
+      }
+    } catch (error) {
+      console.error(`Failed to relocate media of video ${videoId}, retrying in the background:`, error);
+      await jobQueue.enqueue(RELOCATE_VIDEO_MEDIA_JOB, { videoId });
+    }
+
+    // Location removal was turned on while processing ran
+    if (!stripLocation && await Video.exists({ _id: videoId, 'privacy.stripLocation': true })) {
+      await jobQueue.enqueue(STRIP_VIDEO_LOCATION_JOB, { videoId });
+    }
+  } catch (error) {
+    // processVideo cleans up after itself, but the download may have failed first
+    videoProcessor.cleanupFile(localPath);
+
+    // Deleted while processing (its original may be what failed to download),
+    // so there is nothing left to retry for
+    if (!await Video.exists({ _id: videoId })) {
+      console.log(`Video ${videoId} was deleted while processing, not retrying`);
+      return;
+    }
+
+    // Back to pending until the queue retries it; onFailed marks it failed for good
+    await Video.updateOne({ _id: videoId }, {
+      'metadata.processingStatus': 'pending',
+      'metadata.processing.stage': 'queued',
+      'metadata.processing.error': error.message,
+      'metadata.processing.updatedAt': new Date()
+    });
+
+    if (job.attempts < job.maxAttempts) {
+      processingEvents.publish(videoId, 'retrying', {
+        status: 'pending',
+        stage: 'queued',
+        error: error.message,
+        attempts: job.attempts
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Mark the video as failed once every attempt has been used
+ * @param {Object} job - Failed job
+ * @param {Error} error - Error from the last attempt
+ */
+const onProcessVideoFailed = async (job, error) => {
+  await Video.updateOne({ _id: job.payload.videoId }, {
+    'metadata.processingStatus': 'failed',
+    'metadata.processing.stage': 'failed',
+    'metadata.processing.error': error.message,
+    'metadata.processing.updatedAt': new Date()
+  });
+
+  processingEvents.publish(job.payload.videoId, 'failed', {
+    status: 'failed',
+    stage: 'failed',
+    error: error.message,
+    attempts: job.attempts
+  });
+};
+
+module.exports = {
+  PROCESS_VIDEO_JOB,
+  processVideoJob,
+  onProcessVideoFailed
+};
@@ -0,0 +1,32 @@
+const Video = require('../models/Video');
+const { getPurgeDate, deleteVideo } = require('../utils/videoDeletion');
+
+const PURGE_DELETED_VIDEO_JOB = 'video.purge-deleted';
+
+/**
+ * Permanently delete a video once it has spent the retention window in the trash
+ * @param {Object} job - Job with payload { videoId }
+ */
+const purgeDeletedVideoJob = async (job) => {
+  const { videoId } = job.payload;
+
+  const video = await Video.findById(videoId);
+  if (!video || !video.deletedAt) {
+    console.log(`Skipping purge of video ${videoId}, it is gone or was restored`);
+    return;
+  }
+
+  // Restored and deleted again since this job was queued; a later job purges it
+  if (getPurgeDate(video.deletedAt) > new Date()) {
+    console.log(`Skipping purge of video ${videoId} until ${getPurgeDate(video.deletedAt).toISOString()}`);
+    return;
+  }
+
+  const result = await deleteVideo(video);
+  console.log(`Purged video ${videoId}: ${result.blobsDeleted} blobs and ${result.commentsDeleted} comments deleted`);
+};
+
+module.exports = {
+  PURGE_DELETED_VIDEO_JOB,
+  purgeDeletedVideoJob
+};
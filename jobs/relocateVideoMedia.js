@@ -0,0 +1,32 @@
+const Video = require('../models/Video');
+const { relocateVideoMedia } = require('../utils/videoMedia');
+
+const RELOCATE_VIDEO_MEDIA_JOB = 'video.relocate-media';
+
+/**
+ * Move a video's media to public or private storage after its visibility changed
+ * @param {Object} job - Job with payload { videoId }
+ */
+const relocateVideoMediaJob = async (job) => {
+  const { videoId } = job.payload;
+
+  const video = await Video.findById(videoId);
+  if (!video) {
+    console.log(`Skipping media relocation for missing video ${videoId}`);
+    return;
+  }
+
+  // The processing job relocates whatever it did not already store correctly
+  if (['pending', 'processing'].includes(video.metadata?.processingStatus)) {
+    console.log(`Skipping media relocation for video ${videoId} until processing finishes`);
+    return;
+  }
+
+  const moved = await relocateVideoMedia(video);
+  console.log(`Moved ${moved} blobs of video ${videoId} to ${video.visibility} storage`);
+};
+
+module.exports = {
+  RELOCATE_VIDEO_MEDIA_JOB,
+  relocateVideoMediaJob
+};
@@ -0,0 +1,49 @@
+const path = require('path');
+const Video = require('../models/Video');
+const storage = require('../utils/storage');
+const videoProcessor = require('../utils/videoProcessor');
+
+const STRIP_VIDEO_LOCATION_JOB = 'video.strip-location';
+
+/**
+ * Remove the capture metadata from a processed video's original after its
+ * creator turned on privacy.stripLocation
+ * @param {Object} job - Job with payload { videoId }
+ */
+const stripVideoLocationJob = async (job) => {
+  const { videoId } = job.payload;
+
+  const video = await Video.findById(videoId);
+  if (!video || !video.privacy?.stripLocation) {
+    console.log(`Skipping location removal for video ${videoId}, it is gone or no longer asks for it`);
+    return;
+  }
+
+  // The processing job strips the original itself and queues this job if the
+  // flag was turned on while it ran
+  if (['pending', 'processing'].includes(video.metadata?.processingStatus)) {
+    console.log(`Skipping location removal for video ${videoId} until processing finishes`);
+    return;
+  }
+
+  const original = video.video.original;
+  const localPath = path.join(videoProcessor.tempDir, `strip_${Date.now()}_${path.basename(original.blobName)}`);
+
+  try {
+    await storage.downloadToFile(original.blobName, localPath);
+    const bytes = await videoProcessor.stripOriginalMetadata(localPath, original);
+
+    await Video.updateOne({ _id: videoId, 'video.original.blobName': original.blobName }, {
+      $set: { 'video.original.bytes': bytes },
+      $unset: { 'metadata.location': '' }
+    });
+    console.log(`Removed capture metadata from the original of video ${videoId}`);
+  } finally {
+    videoProcessor.cleanupFile(localPath);
+  }
+};
+
+module.exports = {
+  STRIP_VIDEO_LOCATION_JOB,
+  stripVideoLocationJob
+};
@@ -0,0 +1,81 @@
+const express = require('express');
+const multer = require('multer');
+const request = require('supertest');
+
+jest.mock('../../utils/videoProcessor', () => ({}));
+
+const { handleMediaUpload } = require('../mediaUpload');
+const { isVideoFileType, createUnsupportedFileTypeError } = require('../../utils/mediaValidation');
+
+const MAX_FILE_SIZE = 1024;
+
+const createApp = () => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE },
+    fileFilter: (req, file, cb) => {
+      if (isVideoFileType(file.originalname, file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(createUnsupportedFileTypeError(file.originalname, file.mimetype), false);
+      }
+    }
+  });
+
+  const app = express();
+  app.post('/upload', handleMediaUpload(upload.single('video'), { maxFileSize: MAX_FILE_SIZE }), (req, res) => {
+    res.json({ success: true, size: req.file.size });
+  });
+  app.use((error, req, res, next) => {
+    res.status(500).json({ success: false, error: error.message, code: error.code });
+  });
+  return app;
+};
+
+describe('handleMediaUpload', () => {
+  const app = createApp();
+
+  it('passes accepted files through', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .attach('video', Buffer.alloc(100), { filename: 'clip.mp4', contentType: 'video/mp4' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ success: true, size: 100 });
+  });
+
+  it('answers files that are not videos with a 415 media error', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .attach('video', Buffer.alloc(100), { filename: 'photo.jpg', contentType: 'image/jpeg' });
+
+    expect(response.status).toBe(415);
+    expect(response.body).toMatchObject({
+      success: false,
+      code: 'MEDIA_UNSUPPORTED_FILE_TYPE',
+      details: { fileName: 'photo.jpg', mimeType: 'image/jpeg' }
+    });
+  });
+
+  it('answers files over the size limit with a 413 media error', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .attach('video', Buffer.alloc(MAX_FILE_SIZE + 1), { filename: 'clip.mp4', contentType: 'video/mp4' });
+
+    expect(response.status).toBe(413);
+    expect(response.body).toMatchObject({
+      success: false,
+      code: 'MEDIA_FILE_TOO_LARGE',
+      details: { field: 'video', maxFileSize: MAX_FILE_SIZE }
+    });
+  });
+
+  it('leaves other upload errors to the error handler', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .attach('other', Buffer.alloc(10), { filename: 'clip.mp4', contentType: 'video/mp4' });
+
+    expect(response.status).toBe(500);
+    expect(response.body.code).toBe('LIMIT_UNEXPECTED_FILE');
+  });
+});
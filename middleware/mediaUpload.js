@@ -0,0 +1,40 @@
+const multer = require('multer');
+const { MEDIA_ERROR_CODES, createMediaError, isMediaValidationError } = require('../utils/mediaValidation');
+
+/**
+ * Wrap a multer middleware so rejected uploads (file too large, not a video)
+ * get the same response as any other rejected media: the status, message,
+ * code from MEDIA_ERROR_CODES and details. Other errors go to the error handler.
+ * @param {Function} multerMiddleware - Middleware from multer (e.g., upload.single('video'))
+ * @param {Object} options - Options
+ * @param {number} options.maxFileSize - File size limit configured on multer, in bytes
+ * @returns {Function} Express middleware
+ */
+const handleMediaUpload = (multerMiddleware, { maxFileSize } = {}) => (req, res, next) => {
+  multerMiddleware(req, res, (error) => {
+    if (!error) return next();
+
+    let mediaError = error;
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+      mediaError = createMediaError(
+        MEDIA_ERROR_CODES.FILE_TOO_LARGE,
+        `Files can be at most ${Math.floor(maxFileSize / (1024 * 1024))} MB.`,
+        { field: error.field, maxFileSize },
+        413
+      );
+    }
+
+    if (!isMediaValidationError(mediaError)) return next(error);
+
+    res.status(mediaError.statusCode).json({
+      success: false,
+      error: mediaError.message,
+      code: mediaError.code,
+      details: mediaError.details
+    });
+  });
+};
+
+module.exports = {
+  handleMediaUpload
+};
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    trim: true
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: [1, 'A job needs at least one attempt']
+  },
+
+  // Base delay before a retry, doubled on every failed attempt
+  backoffMs: {
+    type: Number,
+    default: 60 * 1000
+  },
+
+  // Earliest time the job may be picked up
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Lease held by the worker running the job. A running job whose lease has
+  // expired belongs to a dead worker and can be claimed again.
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  lastError: String,
+  startedAt: Date,
+  completedAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for claiming work
+jobSchema.index({ status: 1, type: 1, runAt: 1 });
+jobSchema.index({ status: 1, type: 1, lockedUntil: 1 });
+jobSchema.index({ 'payload.videoId': 1 });
+
+// Static method to atomically claim the next runnable job
+jobSchema.statics.claimNext = function(types, workerId, leaseMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate({
+    type: { $in: types },
+    $or: [
+      { status: 'queued', runAt: { $lte: now } },
+      { status: 'running', lockedUntil: { $lt: now } }
+    ]
+  }, {
+    $set: {
+      status: 'running',
+      lockedBy: workerId,
+      lockedUntil: new Date(now.getTime() + leaseMs),
+      startedAt: now
+    },
+    $inc: { attempts: 1 }
+  }, {
+    sort: { runAt: 1 },
+    new: true
+  });
+};
+
+// Method to keep the lease alive while a long job runs
+jobSchema.methods.extendLease = function(leaseMs) {
+  return this.constructor.updateOne(
+    { _id: this._id, lockedBy: this.lockedBy, status: 'running' },
+    { $set: { lockedUntil: new Date(Date.now() + leaseMs) } }
+  );
+};
+
+// Write the job's outcome, provided the lease is still held. Returns false when
+// the lease expired and another worker claimed the job in the meantime, in which
+// case that worker owns the outcome and nothing is written.
+jobSchema.methods.releaseLease = async function(update) {
+  const result = await this.constructor.updateOne(
+    { _id: this._id, lockedBy: this.lockedBy, status: 'running' },
+    { $set: { ...update, lockedBy: null, lockedUntil: null } }
+  );
+  if (result.matchedCount === 0) return false;
+
+  this.set({ ...update, lockedBy: null, lockedUntil: null });
+  return true;
+};
+
+// Method to mark the job as done
+jobSchema.methods.markCompleted = function() {
+  return this.releaseLease({
+    status: 'completed',
+    completedAt: new Date()
+  });
+};
+
+// Method to record a failure and schedule a retry with exponential backoff.
+// The payload is written too, so a handler can narrow it for the next attempt.
+jobSchema.methods.markFailed = function(error) {
+  const update = {
+    payload: this.payload,
+    lastError: error?.message || String(error)
+  };
+
+  if (this.attempts >= this.maxAttempts) {
+    update.status = 'failed';
+    update.failedAt = new Date();
+  } else {
+    update.status = 'queued';
+    update.runAt = new Date(Date.now() + this.backoffMs * Math.pow(2, this.attempts - 1));
+  }
+
+  return this.releaseLease(update);
+};
+
+module.exports = mongoose.model('Job', jobSchema);
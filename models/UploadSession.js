@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+
+const uploadSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+
+  // Upload protocol the session was created through. 'sas' sessions record a
+  // direct-to-blob upload URL issued to the user; the client writes the blob.
+  protocol: {
+    type: String,
+    enum: ['resumable', 'tus', 'sas'],
+    default: 'resumable'
+  },
+
+  // Public ID used for every blob of the resulting video
+  videoPublicId: {
+    type: String,
+    required: [true, 'Video public ID is required'],
+    unique: true
+  },
+
+  // Direct uploads from older clients declare the file details on completion instead
+  fileName: {
+    type: String,
+    required: [function() {
+      return this.protocol !== 'sas';
+    }, 'File name is required'],
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: [function() {
+      return this.protocol !== 'sas';
+    }, 'MIME type is required']
+  },
+  totalSize: {
+    type: Number,
+    required: [function() {
+      return this.protocol !== 'sas';
+    }, 'Total size is required'],
+    min: [1, 'Total size must be greater than zero']
+  },
+  // Largest chunk the server accepts per request
+  chunkSize: {
+    type: Number,
+    required: function() {
+      return this.protocol !== 'sas';
+    }
+  },
+
+  // Where chunks are staged until the upload is finalized
+  staging: {
+    type: String,
+    enum: ['disk', 'storage'],
+    required: true
+  },
+  stagingPath: String, // local directory of the part files for disk staging
+  blobName: String, // destination blob of the original
+
+  // Received byte ranges, end exclusive. Each range is one staged chunk
+  // (one storage block when staging to storage).
+  chunks: [{
+    _id: false,
+    start: { type: Number, required: true },
+    end: { type: Number, required: true }
+  }],
+
+  // Raw tus Upload-Metadata header, echoed back on HEAD
+  uploadMetadata: String,
+
+  // Held by the tus PATCH request currently writing, so two requests cannot
+  // both write at the same offset. Renewed as data lands; an expired lock is free.
+  writeLock: {
+    token: String,
+    expiresAt: Date
+  },
+
+  // Details for the video created on finalize
+  video: {
+    title: String,
+    description: String,
+    visibility: {
+      type: String,
+      enum: ['public', 'unlisted', 'private'],
+      default: 'public'
+    },
+    tags: [String],
+    stripLocation: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'finalizing', 'completed', 'cancelled', 'expired'],
+    default: 'active'
+  },
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    default: null
+  },
+
+  // Cleared on completed direct uploads, which are kept for their video
+  expiresAt: {
+    type: Date,
+    required: function() {
+      return !(this.protocol === 'sas' && this.status === 'completed');
+    }
+  },
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.stagingPath;
+      return ret;
+    }
+  }
+});
+
+// Indexes for performance
+uploadSessionSchema.index({ userId: 1, status: 1, createdAt: -1 });
+// Remove sessions a day after they expire (documents without expiresAt are kept)
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Method to check if the session can still receive data
+uploadSessionSchema.methods.isExpired = function() {
+  return this.expiresAt < new Date();
+};
+
+// Method to get received ranges merged into contiguous spans
+uploadSessionSchema.methods.getReceivedRanges = function() {
+  const sorted = this.chunks
+    .map(chunk => ({ start: chunk.start, end: chunk.end }))
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push(range);
+    }
+  }
+  return merged;
+};
+
+// Method to count distinct bytes received
+uploadSessionSchema.methods.getBytesReceived = function() {
+  return this.getReceivedRanges().reduce((sum, range) => sum + (range.end - range.start), 0);
+};
+
+// Method to get the first byte not yet received, where the client should resume
+uploadSessionSchema.methods.getOffset = function() {
+  const [first] = this.getReceivedRanges();
+  return first && first.start === 0 ? first.end : 0;
+};
+
+// Method to check if every byte has been received
+uploadSessionSchema.methods.isComplete = function() {
+  return this.getOffset() >= this.totalSize;
+};
+
+// Method to find a chunk that partially overlaps the given range
+uploadSessionSchema.methods.findConflictingChunk = function(start, end) {
+  return this.chunks.find(chunk =>
+    chunk.start < end && start < chunk.end &&
+    !(chunk.start === start && chunk.end === end)
+  );
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
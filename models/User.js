@@ -82,6 +82,10 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    videosCount: {
+      type: Number,
+      default: 0
+    },
     followersCount: {
       type: Number,
       default: 0
@@ -35,14 +35,33 @@ const videoSchema = new mongoose.Schema({
     index: true
   },
 
+  privacy: {
+    // Remove the recording location from the original and never store it
+    stripLocation: {
+      type: Boolean,
+      default: false
+    }
+  },
+
   // Azure Storage video data
   video: {
     original: {
       url: { type: String, required: true },
       blobName: { type: String, required: true },
       duration: Number, // in seconds
-      width: Number,
+      width: Number, // display size: square pixels, upright
       height: Number,
+      codedWidth: Number, // size as stored in the stream
+      codedHeight: Number,
+      rotation: Number, // clockwise degrees applied for display
+      sampleAspectRatio: String,
+      displayAspectRatio: String,
+      colorPrimaries: String,
+      colorTransfer: String,
+      dynamicRange: {
+        type: String,
+        enum: ['SDR', 'HDR10', 'HLG']
+      },
       format: String,
       bytes: Number,
       frameRate: Number,
@@ -71,6 +90,35 @@ const videoSchema = new mongoose.Schema({
         height: Number,
         bitRate: Number
       }
+    },
+    // Adaptive streaming packages
+    streaming: {
+      prefix: String, // blob prefix holding every manifest and segment
+      hls: {
+        masterUrl: String,
+        masterBlobName: String,
+        segmentDuration: Number, // target segment length in seconds
+        segmentFormat: {
+          type: String,
+          enum: ['fmp4', 'ts']
+        },
+        renditions: [{
+          _id: false,
+          quality: String,
+          url: String, // media playlist
+          blobName: String,
+          width: Number,
+          height: Number,
+          bandwidth: Number,
+          codecs: String
+        }]
+      },
+      // DASH MPD referencing the same fMP4 segments as the HLS playlists
+      dash: {
+        manifestUrl: String,
+        manifestBlobName: String,
+        segmentDuration: Number
+      }
     }
   },
 
@@ -80,7 +128,8 @@ const videoSchema = new mongoose.Schema({
       url: String,
       blobName: String,
       width: Number,
-      height: Number
+      height: Number,
+      timestamp: Number // frame the poster was taken from, unset for uploaded images
     },
     timeline: [{
       url: String,
@@ -106,7 +155,49 @@ const videoSchema = new mongoose.Schema({
       blobName: String,
       width: Number,
       height: Number
-    }
+    },
+    // Hover-scrub previews: frames tiled into sprite sheets, with a WebVTT
+    // track mapping time ranges to #xywh regions of the sheets
+    sprites: {
+      vttUrl: String,
+      vttBlobName: String,
+      interval: Number, // seconds between frames
+      tileWidth: Number,
+      tileHeight: Number,
+      columns: Number,
+      rows: Number,
+      count: Number, // frames across all sheets
+      sheets: [{
+        _id: false,
+        url: String,
+        blobName: String
+      }]
+    },
+    // Hover preview: a short silent loop stitched from several segments
+    preview: {
+      mp4: {
+        url: String,
+        blobName: String,
+        width: Number,
+        height: Number,
+        bytes: Number
+      },
+      webp: {
+        url: String,
+        blobName: String,
+        width: Number,
+        height: Number,
+        bytes: Number
+      },
+      duration: Number
+    },
+    // Images the creator uploaded to choose the poster from (thumbnail-sas)
+    uploads: [{
+      _id: false,
+      index: Number,
+      url: String,
+      blobName: String
+    }]
   },
 
   metadata: {
@@ -133,7 +224,8 @@ const videoSchema = new mongoose.Schema({
       },
       coordinates: {
         type: [Number], // [longitude, latitude]
-        index: '2dsphere'
+        index: '2dsphere',
+        default: undefined // no empty point on videos without a location
       },
       address: String,
       city: String,
@@ -149,6 +241,25 @@ const videoSchema = new mongoose.Schema({
       type: String,
       enum: ['pending', 'processing', 'completed', 'failed'],
       default: 'pending'
+    },
+    // Live progress of the processing job
+    processing: {
+      stage: {
+        type: String,
+        enum: ['queued', 'download', 'probe', 'thumbnails', 'transcode', 'upload', 'packaging', 'completed', 'failed']
+      },
+      rendition: String, // quality being transcoded
+      percent: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+      },
+      error: String,
+      attempts: Number,
+      startedAt: Date,
+      updatedAt: Date,
+      completedAt: Date
     }
   },
 
@@ -220,6 +331,27 @@ const videoSchema = new mongoose.Schema({
     index: true
   },
 
+  // Content fingerprint for duplicate detection: a hash of the uploaded bytes
+  // and perceptual hashes of frames sampled across the video
+  fingerprint: {
+    algorithm: String,
+    sha256: String,
+    frameHashes: [String], // 16 hex digits each, null where a frame could not be read
+    duration: Number, // seconds, to find candidates of similar length
+    computedAt: Date
+  },
+
+  // Set while the video is in its creator's trash; purged after the retention window
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
   likes: [{
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -266,6 +398,9 @@ videoSchema.index({ 'stats.averageRating': -1 });
 videoSchema.index({ 'moderation.status': 1 });
 videoSchema.index({ 'video.original.duration': 1 });
 videoSchema.index({ 'metadata.processingStatus': 1 });
+videoSchema.index({ creatorId: 1, deletedAt: -1 });
+videoSchema.index({ 'fingerprint.sha256': 1 });
+videoSchema.index({ 'fingerprint.algorithm': 1, 'fingerprint.duration': 1 });
 
 // Compound indexes for complex queries
 videoSchema.index({ visibility: 1, 'moderation.status': 1, createdAt: -1 });
@@ -323,6 +458,20 @@ videoSchema.methods.removeLike = function(userId) {
   return this.save();
 };
 
+// Method to move the video to the trash
+videoSchema.methods.moveToTrash = function(userId) {
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+  return this.save();
+};
+
+// Method to take the video back out of the trash
+videoSchema.methods.restoreFromTrash = function() {
+  this.deletedAt = null;
+  this.deletedBy = null;
+  return this.save();
+};
+
 // Method to add view with watch time tracking
 videoSchema.methods.addView = function(userId, ip, userAgent, watchTime = 0) {
   // Don't count multiple views from same user within 24 hours
@@ -380,7 +529,8 @@ videoSchema.statics.searchVideos = function(query, options = {}) {
   
   let searchQuery = {
     visibility: { $in: visibility },
-    'moderation.status': 'approved'
+    'moderation.status': 'approved',
+    deletedAt: null
   };
   
   if (query && query.trim()) {
@@ -442,6 +592,7 @@ videoSchema.statics.getTrendingVideos = function(options = {}) {
   return this.find({
     visibility: 'public',
     'moderation.status': 'approved',
+    deletedAt: null,
     createdAt: { $gte: dateFilter }
   })
   .populate('creatorId', 'username firstName lastName avatar')
@@ -469,7 +620,8 @@ videoSchema.statics.getUserVideos = function(userId, options = {}) {
   const searchQuery = {
     creatorId: userId,
     visibility: { $in: visibility },
-    'moderation.status': 'approved'
+    'moderation.status': 'approved',
+    deletedAt: null
   };
   
   return this.find(searchQuery)
@@ -480,6 +632,96 @@ videoSchema.statics.getUserVideos = function(userId, options = {}) {
     .lean();
 };
 
+// Static method to get videos recorded near a point, closest first. Each
+// result carries its distance from the point in meters.
+videoSchema.statics.findNearby = async function(longitude, latitude, options = {}) {
+  const {
+    page = 1,
+    limit = 20,
+    radius = 5000, // meters
+    tags
+  } = options;
+
+  const searchQuery = {
+    visibility: 'public',
+    'moderation.status': 'approved',
+    deletedAt: null
+  };
+
+  if (tags && tags.length > 0) {
+    searchQuery.tags = { $in: tags };
+  }
+
+  const videos = await this.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [longitude, latitude] },
+        key: 'metadata.location',
+        distanceField: 'distance',
+        maxDistance: radius,
+        spherical: true,
+        query: searchQuery
+      }
+    },
+    { $skip: (page - 1) * limit },
+    { $limit: limit * 1 }
+  ]);
+
+  return this.populate(videos, { path: 'creatorId', select: 'username firstName lastName avatar' });
+};
+
+// Static method to get videos recorded inside a bounding box, for map views.
+// A box whose west edge is east of its east edge crosses the antimeridian.
+videoSchema.statics.findWithinBounds = function(bounds, options = {}) {
+  const { west, south, east, north } = bounds;
+  const {
+    page = 1,
+    limit = 100,
+    tags
+  } = options;
+
+  // Polygon edges are great circles, so wide boxes are split into slices
+  // narrow enough to follow the parallels closely
+  const width = east >= west ? east - west : 360 - (west - east);
+  const slices = Math.max(1, Math.ceil(width / 30));
+  const polygons = Array.from({ length: slices }, (_, index) => {
+    const from = west + (width * index) / slices;
+    const to = west + (width * (index + 1)) / slices;
+    const wrap = (longitude) => (longitude > 180 ? longitude - 360 : longitude);
+
+    return {
+      type: 'Polygon',
+      coordinates: [[
+        [wrap(from), south],
+        [wrap(to), south],
+        [wrap(to), north],
+        [wrap(from), north],
+        [wrap(from), south]
+      ]]
+    };
+  });
+
+  const searchQuery = {
+    visibility: 'public',
+    'moderation.status': 'approved',
+    deletedAt: null,
+    $or: polygons.map(polygon => ({
+      'metadata.location': { $geoWithin: { $geometry: polygon } }
+    }))
+  };
+
+  if (tags && tags.length > 0) {
+    searchQuery.tags = { $in: tags };
+  }
+
+  return this.find(searchQuery)
+    .populate('creatorId', 'username firstName lastName avatar')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .lean();
+};
+
 // Pre-save middleware to update stats
 videoSchema.pre('save', function(next) {
   if (this.isModified('likes')) {
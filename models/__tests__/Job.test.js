@@ -0,0 +1,64 @@
+const Job = require('../Job');
+
+const createJob = (fields) => new Job({
+  type: 'video.process',
+  status: 'running',
+  lockedBy: 'worker_1',
+  lockedUntil: new Date(Date.now() + 60 * 1000),
+  backoffMs: 1000,
+  maxAttempts: 3,
+  ...fields
+});
+
+describe('Job outcomes', () => {
+  const now = new Date('2026-01-01T00:00:00Z').getTime();
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+  });
+
+  it('doubles the retry delay on every failed attempt', async () => {
+    const first = createJob({ attempts: 1 });
+    const second = createJob({ attempts: 2 });
+
+    await first.markFailed(new Error('boom'));
+    await second.markFailed(new Error('boom'));
+
+    expect(first.status).toBe('queued');
+    expect(first.runAt.getTime()).toBe(now + 1000);
+    expect(second.runAt.getTime()).toBe(now + 2000);
+    expect(second.lastError).toBe('boom');
+  });
+
+  it('fails for good once every attempt is used', async () => {
+    const job = createJob({ attempts: 3 });
+
+    expect(await job.markFailed(new Error('boom'))).toBe(true);
+    expect(job.status).toBe('failed');
+    expect(job.failedAt).toBeInstanceOf(Date);
+  });
+
+  it('writes the outcome only while the lease is held', async () => {
+    const job = createJob({ attempts: 1 });
+
+    await job.markCompleted();
+
+    expect(Job.updateOne).toHaveBeenCalledWith(
+      { _id: job._id, lockedBy: 'worker_1', status: 'running' },
+      { $set: expect.objectContaining({ status: 'completed', lockedBy: null, lockedUntil: null }) }
+    );
+    expect(job.status).toBe('completed');
+    expect(job.lockedBy).toBeNull();
+  });
+
+  it('leaves the job alone when another worker claimed it', async () => {
+    Job.updateOne.mockResolvedValue({ matchedCount: 0 });
+    const job = createJob({ attempts: 1 });
+
+    expect(await job.markFailed(new Error('boom'))).toBe(false);
+    expect(job.status).toBe('running');
+    expect(job.lockedBy).toBe('worker_1');
+  });
+});
@@ -0,0 +1,54 @@
+const UploadSession = require('../UploadSession');
+
+const createSession = (chunks, totalSize = 100) => new UploadSession({
+  fileName: 'clip.mp4',
+  mimeType: 'video/mp4',
+  totalSize,
+  chunks
+});
+
+describe('UploadSession received ranges', () => {
+  it('merges adjacent and overlapping chunks into spans', () => {
+    const session = createSession([
+      { start: 40, end: 60 },
+      { start: 0, end: 20 },
+      { start: 20, end: 30 },
+      { start: 50, end: 70 }
+    ]);
+
+    expect(session.getReceivedRanges()).toEqual([
+      { start: 0, end: 30 },
+      { start: 40, end: 70 }
+    ]);
+    expect(session.getBytesReceived()).toBe(60);
+  });
+
+  it('resumes at the end of the span that starts at zero', () => {
+    expect(createSession([{ start: 0, end: 20 }, { start: 40, end: 60 }]).getOffset()).toBe(20);
+    expect(createSession([{ start: 10, end: 20 }]).getOffset()).toBe(0);
+    expect(createSession([]).getOffset()).toBe(0);
+  });
+
+  it('is complete once every byte has been received', () => {
+    expect(createSession([{ start: 0, end: 60 }, { start: 60, end: 100 }]).isComplete()).toBe(true);
+    expect(createSession([{ start: 0, end: 60 }, { start: 70, end: 100 }]).isComplete()).toBe(false);
+  });
+});
+
+describe('UploadSession chunk conflicts', () => {
+  const session = createSession([{ start: 0, end: 10 }, { start: 10, end: 20 }]);
+
+  it('accepts a retry of an already received chunk', () => {
+    expect(session.findConflictingChunk(0, 10)).toBeUndefined();
+  });
+
+  it('accepts chunks that only touch received ones', () => {
+    expect(session.findConflictingChunk(20, 30)).toBeUndefined();
+  });
+
+  it('finds a chunk overlapping the range with different boundaries', () => {
+    expect(session.findConflictingChunk(5, 15)).toMatchObject({ start: 0, end: 10 });
+    expect(session.findConflictingChunk(0, 20)).toMatchObject({ start: 0, end: 10 });
+    expect(session.findConflictingChunk(15, 25)).toMatchObject({ start: 10, end: 20 });
+  });
+});
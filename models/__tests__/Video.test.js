@@ -0,0 +1,75 @@
+const Video = require('../Video');
+
+describe('Video.findNearby', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(Video, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Video, 'populate').mockImplementation(async (videos) => videos);
+  });
+
+  it('searches public approved videos around the point within the radius', async () => {
+    await Video.findNearby(4.9, 52.37, { radius: 2000, tags: ['city'], page: 2, limit: 10 });
+
+    const [geoNear, skip, limit] = Video.aggregate.mock.calls[0][0];
+    expect(geoNear.$geoNear).toMatchObject({
+      near: { type: 'Point', coordinates: [4.9, 52.37] },
+      key: 'metadata.location',
+      distanceField: 'distance',
+      maxDistance: 2000,
+      query: {
+        visibility: 'public',
+        'moderation.status': 'approved',
+        deletedAt: null,
+        tags: { $in: ['city'] }
+      }
+    });
+    expect(skip).toEqual({ $skip: 10 });
+    expect(limit).toEqual({ $limit: 10 });
+  });
+});
+
+describe('Video.findWithinBounds', () => {
+  let searchQuery;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    const query = {
+      populate: () => query,
+      sort: () => query,
+      limit: () => query,
+      skip: () => query,
+      lean: () => query
+    };
+    jest.spyOn(Video, 'find').mockImplementation((conditions) => {
+      searchQuery = conditions;
+      return query;
+    });
+  });
+
+  const getPolygons = () => searchQuery.$or.map(condition =>
+    condition['metadata.location'].$geoWithin.$geometry.coordinates[0]
+  );
+
+  it('searches a small box as a single polygon', () => {
+    Video.findWithinBounds({ west: 4, south: 52, east: 5, north: 53 });
+
+    expect(getPolygons()).toEqual([[[4, 52], [5, 52], [5, 53], [4, 53], [4, 52]]]);
+    expect(searchQuery).toMatchObject({ visibility: 'public', 'moderation.status': 'approved', deletedAt: null });
+  });
+
+  it('splits wide boxes into slices of at most 30 degrees', () => {
+    Video.findWithinBounds({ west: -90, south: -10, east: 90, north: 10 });
+
+    const polygons = getPolygons();
+    expect(polygons).toHaveLength(6);
+    expect(polygons[0][0]).toEqual([-90, -10]);
+    expect(polygons[0][1]).toEqual([-60, -10]);
+    expect(polygons[5][1]).toEqual([90, -10]);
+  });
+
+  it('wraps boxes that cross the antimeridian', () => {
+    Video.findWithinBounds({ west: 170, south: -20, east: -170, north: -10 });
+
+    expect(getPolygons()).toEqual([[[170, -20], [-170, -20], [-170, -10], [170, -10], [170, -20]]]);
+  });
+});
@@ -0,0 +1,128 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { _id: 'creator', role: 'Creator' };
+    next();
+  },
+  requireRole: () => (req, res, next) => next()
+}));
+jest.mock('../../utils/videoProcessor', () => ({}));
+jest.mock('../../utils/videoIngest', () => ({ finalizeUploadSession: jest.fn() }));
+jest.mock('../../utils/uploadStaging', () => ({
+  writeChunk: jest.fn().mockResolvedValue(),
+  discard: jest.fn(),
+  createStaging: jest.fn()
+}));
+
+const UploadSession = require('../../models/UploadSession');
+const { finalizeUploadSession } = require('../../utils/videoIngest');
+const tusRoutes = require('../tus');
+
+const app = express();
+app.use('/api/upload/tus', tusRoutes);
+
+const TOTAL_SIZE = 10;
+
+const createSession = (chunks) => new UploadSession({
+  userId: '507f1f77bcf86cd799439011',
+  protocol: 'tus',
+  videoPublicId: 'video_1',
+  fileName: 'clip.mov',
+  mimeType: 'video/quicktime',
+  totalSize: TOTAL_SIZE,
+  chunkSize: 8,
+  staging: 'storage',
+  blobName: 'videos/video_1.mov',
+  chunks,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+});
+
+const finalized = (session) => ({
+  session: Object.assign(session, { status: 'completed', videoId: 'video_id' }),
+  video: { _id: 'video_id' },
+  warnings: []
+});
+
+const patch = (session, offset, body) => request(app)
+  .patch(`/api/upload/tus/${session._id}`)
+  .set('Tus-Resumable', '1.0.0')
+  .set('Content-Type', 'application/offset+octet-stream')
+  .set('Upload-Offset', String(offset))
+  .send(body);
+
+const head = (session) => request(app)
+  .head(`/api/upload/tus/${session._id}`)
+  .set('Tus-Resumable', '1.0.0');
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(UploadSession, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+});
+
+describe('tus finalization', () => {
+  it('retries creating the video on HEAD after the last PATCH failed to', async () => {
+    const partial = createSession([{ start: 0, end: 6 }]);
+    const complete = createSession([{ start: 0, end: 6 }, { start: 6, end: 10 }]);
+    complete._id = partial._id;
+
+    jest.spyOn(UploadSession, 'findOne').mockResolvedValueOnce(partial);
+    jest.spyOn(UploadSession, 'findOneAndUpdate').mockResolvedValue(partial);
+    jest.spyOn(UploadSession, 'findById').mockResolvedValue(complete);
+    finalizeUploadSession.mockRejectedValueOnce(new Error('connect ETIMEDOUT'));
+
+    const failed = await patch(partial, 6, Buffer.alloc(4));
+    expect(failed.status).toBe(500);
+    expect(finalizeUploadSession).toHaveBeenCalledTimes(1);
+
+    // The session is still active at full offset, which is all a tus client sees
+    UploadSession.findOne.mockResolvedValueOnce(complete);
+    finalizeUploadSession.mockImplementationOnce(async (session) => finalized(session));
+
+    const retried = await head(complete);
+    expect(retried.status).toBe(200);
+    expect(retried.headers['upload-offset']).toBe(String(TOTAL_SIZE));
+    expect(retried.headers['x-video-id']).toBe('video_id');
+    expect(finalizeUploadSession).toHaveBeenCalledTimes(2);
+  });
+
+  it('retries creating the video on an empty PATCH at full offset', async () => {
+    const complete = createSession([{ start: 0, end: 10 }]);
+    jest.spyOn(UploadSession, 'findOne').mockResolvedValue(complete);
+    jest.spyOn(UploadSession, 'findOneAndUpdate').mockResolvedValue(complete);
+    jest.spyOn(UploadSession, 'findById').mockResolvedValue(complete);
+    finalizeUploadSession.mockImplementationOnce(async (session) => finalized(session));
+
+    const response = await patch(complete, TOTAL_SIZE, Buffer.alloc(0));
+
+    expect(response.status).toBe(204);
+    expect(response.headers['x-video-id']).toBe('video_id');
+  });
+
+  it('answers a HEAD with the media error status when the retried file is rejected', async () => {
+    const complete = createSession([{ start: 0, end: 10 }]);
+    jest.spyOn(UploadSession, 'findOne').mockResolvedValue(complete);
+    finalizeUploadSession.mockRejectedValueOnce(Object.assign(new Error('No video track'), {
+      statusCode: 422,
+      code: 'MEDIA_NO_VIDEO_STREAM'
+    }));
+
+    const response = await head(complete);
+
+    expect(response.status).toBe(422);
+  });
+
+  it('does not finalize incomplete uploads on HEAD', async () => {
+    const partial = createSession([{ start: 0, end: 6 }]);
+    jest.spyOn(UploadSession, 'findOne').mockResolvedValue(partial);
+
+    const response = await head(partial);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['upload-offset']).toBe('6');
+    expect(finalizeUploadSession).not.toHaveBeenCalled();
+  });
+});
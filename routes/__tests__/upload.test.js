@@ -0,0 +1,102 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { _id: '507f1f77bcf86cd799439011', role: 'Creator' };
+    next();
+  },
+  requireRole: () => (req, res, next) => next()
+}));
+jest.mock('../../utils/thumbnailProcessor', () => ({
+  createThumbnailSet: jest.fn(),
+  getThumbnailSetBlobNames: jest.fn()
+}));
+jest.mock('../../utils/videoIngest', () => ({ completeDirectUpload: jest.fn() }));
+jest.mock('../../utils/mediaValidation', () => ({ isMediaValidationError: () => false }));
+
+const storage = require('../../utils/storage');
+const Video = require('../../models/Video');
+const UploadSession = require('../../models/UploadSession');
+const thumbnailProcessor = require('../../utils/thumbnailProcessor');
+const { collectBlobNames } = require('../../utils/videoMedia');
+const uploadRoutes = require('../upload');
+
+const app = express();
+app.use(express.json());
+app.use('/api/upload', uploadRoutes);
+
+const thumbnail = (blobName) => ({ url: storage.getBlobUrl(blobName), blobName });
+
+describe('PATCH /api/upload/video-thumbnails/:videoId', () => {
+  let video;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+
+    video = new Video({
+      title: 'Clip',
+      creatorId: '507f1f77bcf86cd799439011',
+      visibility: 'public',
+      thumbnails: { poster: thumbnail('video_thumbnails/video_1_poster.jpg') }
+    });
+    jest.spyOn(Video, 'findById').mockResolvedValue(video);
+    jest.spyOn(video, 'save').mockResolvedValue(video);
+    jest.spyOn(UploadSession, 'findOne').mockResolvedValue({ videoPublicId: 'video_1' });
+
+    const uploaded = [0, 2].map(index => storage.getThumbnailUploadBlobName('video_1', index, false));
+    jest.spyOn(storage, 'stat').mockImplementation(async (blobName) =>
+      uploaded.includes(blobName) ? { size: 100 } : null
+    );
+    jest.spyOn(storage, 'downloadToBuffer').mockResolvedValue(Buffer.from('image'));
+    jest.spyOn(storage, 'deleteBlob').mockResolvedValue();
+
+    thumbnailProcessor.createThumbnailSet.mockResolvedValue({
+      poster: thumbnail('video_thumbnails/video_1_poster_2.jpg'),
+      large: thumbnail('video_thumbnails/video_1_large_2.jpg'),
+      medium: thumbnail('video_thumbnails/video_1_medium_2.jpg'),
+      small: thumbnail('video_thumbnails/video_1_small_2.jpg')
+    });
+    thumbnailProcessor.getThumbnailSetBlobNames.mockReturnValue(['video_thumbnails/video_1_poster.jpg']);
+  });
+
+  it('records the uploaded images on the video so they are not orphaned', async () => {
+    const res = await request(app)
+      .patch(`/api/upload/video-thumbnails/${video._id}`)
+      .send({ posterIndex: 2 });
+
+    expect(res.status).toBe(200);
+    expect(video.toObject().thumbnails.uploads).toEqual([
+      { index: 0, ...thumbnail(storage.getThumbnailUploadBlobName('video_1', 0, false)) },
+      { index: 2, ...thumbnail(storage.getThumbnailUploadBlobName('video_1', 2, false)) }
+    ]);
+
+    const referenced = new Set();
+    collectBlobNames(video.toObject(), referenced);
+    expect(referenced).toContain(storage.getThumbnailUploadBlobName('video_1', 0, false));
+    expect(referenced).toContain(storage.getThumbnailUploadBlobName('video_1', 2, false));
+  });
+
+  it('deletes the replaced set but keeps the uploaded images', async () => {
+    thumbnailProcessor.getThumbnailSetBlobNames.mockReturnValue([
+      'video_thumbnails/video_1_poster.jpg',
+      storage.getThumbnailUploadBlobName('video_1', 0, false)
+    ]);
+
+    await request(app)
+      .patch(`/api/upload/video-thumbnails/${video._id}`)
+      .send({ posterIndex: 2 });
+
+    expect(storage.deleteBlob).toHaveBeenCalledTimes(1);
+    expect(storage.deleteBlob).toHaveBeenCalledWith('video_thumbnails/video_1_poster.jpg');
+  });
+
+  it('rejects an index that was never uploaded', async () => {
+    const res = await request(app)
+      .patch(`/api/upload/video-thumbnails/${video._id}`)
+      .send({ posterIndex: 1 });
+
+    expect(res.status).toBe(400);
+    expect(video.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,59 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('sharp', () => jest.fn());
+jest.mock('../../middleware/auth', () => {
+  const authenticate = (req, res, next) => {
+    req.user = { _id: '507f1f77bcf86cd799439011', role: 'Creator' };
+    next();
+  };
+  return {
+    authenticateToken: authenticate,
+    protect: authenticate,
+    optionalAuth: authenticate,
+    requireRole: () => (req, res, next) => next()
+  };
+});
+
+const Video = require('../../models/Video');
+const { MEDIA_ERROR_CODES } = require('../../utils/mediaValidation');
+const videoRoutes = require('../videos');
+
+const app = express();
+app.use(express.json());
+app.use('/api/videos', videoRoutes);
+
+describe('POST /api/videos/:id/poster', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(Video, 'findOne');
+  });
+
+  it('rejects files that are not images with a media error', async () => {
+    const res = await request(app)
+      .post('/api/videos/507f1f77bcf86cd799439012/poster')
+      .attach('image', Buffer.from('not an image'), { filename: 'poster.txt', contentType: 'text/plain' });
+
+    expect(res.status).toBe(415);
+    expect(res.body).toMatchObject({
+      success: false,
+      code: MEDIA_ERROR_CODES.UNSUPPORTED_FILE_TYPE,
+      details: { fileName: 'poster.txt', mimeType: 'text/plain' }
+    });
+    expect(Video.findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects images over 10 MB with a media error', async () => {
+    const res = await request(app)
+      .post('/api/videos/507f1f77bcf86cd799439012/poster')
+      .attach('image', Buffer.alloc(10 * 1024 * 1024 + 1), { filename: 'poster.jpg', contentType: 'image/jpeg' });
+
+    expect(res.status).toBe(413);
+    expect(res.body).toMatchObject({
+      success: false,
+      code: MEDIA_ERROR_CODES.FILE_TOO_LARGE,
+      details: { field: 'image', maxFileSize: 10 * 1024 * 1024 }
+    });
+    expect(Video.findOne).not.toHaveBeenCalled();
+  });
+});
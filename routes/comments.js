@@ -30,7 +30,7 @@ router.get('/video/:videoId', optionalAuth, async (req, res) => {
     console.log('Query params:', { page, limit, sortBy, sortOrder });
 
     // Verify video exists
-    const video = await Video.findById(videoId);
+    const video = await Video.findOne({ _id: videoId, deletedAt: null });
     if (!video) {
       console.log('Video not found for ID:', videoId);
       return res.status(404).json({
@@ -149,7 +149,7 @@ router.post('/', protect, async (req, res) => {
     const { videoId, content, parentId } = value;
 
     // Verify video exists
-    const video = await Video.findById(videoId);
+    const video = await Video.findOne({ _id: videoId, deletedAt: null });
     if (!video) {
       return res.status(404).json({
         success: false,
@@ -0,0 +1,74 @@
+const express = require('express');
+const storage = require('../utils/storage');
+
+// Serves blobs of the local storage driver. Only mounted when
+// STORAGE_DRIVER is 'local'.
+const router = express.Router();
+
+// Media is embedded by the frontend from another origin
+router.use((req, res, next) => {
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  next();
+});
+
+// @route   PUT /storage/*
+// @desc    Upload a blob through a signed upload URL
+// @access  Signed URL
+router.put('/*', async (req, res) => {
+  const blobName = req.params[0];
+  const { expires, signature } = req.query;
+
+  try {
+    storage.resolvePath(blobName);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (!storage.verifySignature('PUT', blobName, expires, signature)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid or expired upload URL'
+    });
+  }
+
+  try {
+    await storage.uploadStream(blobName, req);
+    res.status(201).end();
+  } catch (error) {
+    console.error('Error storing uploaded blob:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to store upload'
+    });
+  }
+});
+
+// @route   GET /storage/private/*
+// @desc    Read a private blob through a signed read URL
+// @access  Signed URL
+router.get('/private/*', (req, res, next) => {
+  const { expires, signature } = req.query;
+
+  if (!storage.verifySignature('GET', `private/${req.params[0]}`, expires, signature)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid or expired URL'
+    });
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  next();
+});
+
+// @route   GET /storage/*
+// @desc    Read a blob
+// @access  Public (private blobs need a signed URL, see above)
+router.use(express.static(storage.rootDir, {
+  index: false,
+  dotfiles: 'ignore'
+}));
+
+module.exports = router;
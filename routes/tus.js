@@ -0,0 +1,432 @@
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const Joi = require('joi');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const UploadSession = require('../models/UploadSession');
+const uploadStaging = require('../utils/uploadStaging');
+const { finalizeUploadSession } = require('../utils/videoIngest');
+const { isMediaValidationError, getOriginalExtension } = require('../utils/mediaValidation');
+const { isPrivateVisibility } = require('../utils/videoMedia');
+const { parseUploadMetadata } = require('../utils/tusMetadata');
+
+const router = express.Router();
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'termination', 'expiration'];
+const MAX_UPLOAD_SIZE = 500 * 1024 * 1024; // 500MB, same as direct uploads
+// PATCH bodies are streamed and staged in pieces of this size
+const CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024; // 8MB
+const SESSION_TTL_MS = (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// A PATCH that stages nothing for this long loses its write lock
+const WRITE_LOCK_MS = 60 * 1000;
+
+// Headers browser clients need to read from responses
+const TUS_EXPOSED_HEADERS = [
+  'Location',
+  'Tus-Resumable',
+  'Tus-Version',
+  'Tus-Extension',
+  'Tus-Max-Size',
+  'Upload-Offset',
+  'Upload-Length',
+  'Upload-Expires',
+  'Upload-Metadata',
+  'X-Video-Id',
+  'X-Duplicate-Of'
+];
+
+// Validation schema for the decoded Upload-Metadata
+const uploadMetadataSchema = Joi.object({
+  filename: Joi.string().max(255).required(),
+  filetype: Joi.string().pattern(/^video\//).required()
+    .messages({ 'string.pattern.base': 'Only video files are allowed' }),
+  title: Joi.string().min(1).max(200).required(),
+  description: Joi.string().max(1000).optional().allow(''),
+  tags: Joi.array().items(Joi.string().max(30)).max(10).optional(),
+  visibility: Joi.string().valid('public', 'unlisted', 'private').default('public'),
+  stripLocation: Joi.boolean().default(false)
+}).unknown(true);
+
+const sendError = (res, statusCode, error) => {
+  res.status(statusCode).json({
+    success: false,
+    error
+  });
+};
+
+// Load the caller's tus upload, expiring it if needed. Sends the error
+// response and returns null when the upload cannot be used.
+const loadUpload = async (req, res) => {
+  const session = await UploadSession.findOne({
+    _id: req.params.id,
+    userId: req.user._id,
+    protocol: 'tus'
+  });
+
+  if (!session || session.status === 'cancelled') {
+    sendError(res, 404, 'Upload not found');
+    return null;
+  }
+
+  if (session.status === 'active' && session.isExpired()) {
+    session.status = 'expired';
+    await session.save();
+    uploadStaging.discard(session);
+  }
+
+  if (session.status === 'expired') {
+    sendError(res, 410, 'Upload has expired');
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * Take the write lock of an active upload
+ * @param {Object} session - Upload session
+ * @returns {Promise<Object|null>} { token, session } with the session as locked, or null if
+ *   another request holds the lock or the upload is no longer active
+ */
+const acquireWriteLock = async (session) => {
+  const token = crypto.randomUUID();
+  const now = Date.now();
+
+  const locked = await UploadSession.findOneAndUpdate({
+    _id: session._id,
+    status: 'active',
+    'writeLock.expiresAt': { $not: { $gt: new Date(now) } }
+  }, {
+    writeLock: { token, expiresAt: new Date(now + WRITE_LOCK_MS) }
+  }, { new: true });
+
+  return locked ? { token, session: locked } : null;
+};
+
+/**
+ * Release a write lock, unless it already passed to another request
+ * @param {Object} session - Upload session
+ * @param {string} token - Token from acquireWriteLock
+ */
+const releaseWriteLock = async (session, token) => {
+  await UploadSession.updateOne(
+    { _id: session._id, 'writeLock.token': token },
+    { $unset: { writeLock: '' } }
+  );
+};
+
+/**
+ * Stream a PATCH body into staging, recording each staged piece as it lands
+ * so an interrupted request still advances the offset
+ * @param {Object} req - Request to read
+ * @param {Object} session - Upload session, locked by this request
+ * @param {string} lockToken - Token of the write lock
+ * @returns {Promise<number>} New upload offset
+ */
+const receiveBody = async (req, session, lockToken) => {
+  let offset = session.getOffset();
+  let pending = [];
+  let pendingBytes = 0;
+
+  const flush = async () => {
+    if (!pendingBytes) return;
+
+    const buffer = Buffer.concat(pending, pendingBytes);
+    pending = [];
+    pendingBytes = 0;
+
+    await uploadStaging.writeChunk(session, offset, buffer);
+    const { matchedCount } = await UploadSession.updateOne(
+      { _id: session._id, status: 'active', 'writeLock.token': lockToken },
+      {
+        $push: { chunks: { start: offset, end: offset + buffer.length } },
+        $set: { 'writeLock.expiresAt': new Date(Date.now() + WRITE_LOCK_MS) }
+      }
+    );
+    if (matchedCount === 0) {
+      const error = new Error('Upload was changed by another request');
+      error.statusCode = 409;
+      throw error;
+    }
+    offset += buffer.length;
+  };
+
+  try {
+    for await (const data of req) {
+      if (offset + pendingBytes + data.length > session.totalSize) {
+        const error = new Error('Upload exceeds Upload-Length');
+        error.statusCode = 413;
+        throw error;
+      }
+
+      pending.push(data);
+      pendingBytes += data.length;
+
+      if (pendingBytes >= CHUNK_SIZE) {
+        await flush();
+      }
+    }
+  } finally {
+    // Keep whatever arrived before the client went away
+    await flush();
+  }
+
+  return offset;
+};
+
+/**
+ * Create the video of an upload whose every byte has arrived, reporting it in
+ * the X-Video-Id and X-Duplicate-Of headers (tus responses have no body)
+ * @param {Object} session - Upload session at full offset
+ * @param {Object} user - Authenticated creator
+ * @param {Object} res - Response to set the headers on
+ * @returns {Promise<Object|null>} Result of finalizeUploadSession; throws what it throws
+ */
+const finalizeUpload = async (session, user, res) => {
+  const result = await finalizeUploadSession(session, user);
+  if (!result) return null;
+
+  res.set('X-Video-Id', String(result.video._id));
+  // The uploader's own videos this one duplicates
+  const ownMatches = (result.warnings || [])
+    .filter(warning => warning.code === 'DUPLICATE_OF_OWN_VIDEO')
+    .flatMap(warning => warning.matches);
+  if (ownMatches.length > 0) {
+    res.set('X-Duplicate-Of', ownMatches.map(match => String(match.videoId)).join(','));
+  }
+
+  return result;
+};
+
+// CORS for browser clients, answering preflights together with tus discovery
+router.use(cors({
+  origin: true,
+  exposedHeaders: TUS_EXPOSED_HEADERS,
+  preflightContinue: true
+}));
+
+router.use((req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+
+  if (req.method !== 'OPTIONS' && req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return sendError(res, 412, `Unsupported tus version, use ${TUS_VERSION}`);
+  }
+
+  next();
+});
+
+// @route   OPTIONS /api/upload/tus
+// @desc    tus server discovery
+// @access  Public
+router.options('*', (req, res) => {
+  res.set({
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS.join(','),
+    'Tus-Max-Size': String(MAX_UPLOAD_SIZE)
+  });
+  res.status(204).end();
+});
+
+// @route   POST /api/upload/tus
+// @desc    Create an upload (creation extension)
+// @access  Private (Creator only)
+router.post('/', authenticateToken, requireRole(['Creator']), async (req, res) => {
+  try {
+    if (req.get('Upload-Defer-Length')) {
+      return sendError(res, 400, 'Upload-Defer-Length is not supported');
+    }
+
+    const totalSize = Number(req.get('Upload-Length'));
+    if (!Number.isInteger(totalSize) || totalSize < 1) {
+      return sendError(res, 400, 'Upload-Length header is required');
+    }
+
+    if (totalSize > MAX_UPLOAD_SIZE) {
+      return sendError(res, 413, `Upload-Length exceeds the maximum of ${MAX_UPLOAD_SIZE} bytes`);
+    }
+
+    const { error, value } = uploadMetadataSchema.validate(parseUploadMetadata(req.get('Upload-Metadata')));
+    if (error) {
+      return sendError(res, 400, error.details[0].message);
+    }
+
+    const videoPublicId = `video_${Date.now()}_${req.user._id}`;
+
+    const session = await UploadSession.create({
+      userId: req.user._id,
+      protocol: 'tus',
+      videoPublicId,
+      fileName: value.filename,
+      mimeType: value.filetype,
+      totalSize,
+      chunkSize: CHUNK_SIZE,
+      ...uploadStaging.createStaging(
+        videoPublicId,
+        getOriginalExtension(value.filename),
+        isPrivateVisibility(value.visibility)
+      ),
+      uploadMetadata: req.get('Upload-Metadata'),
+      video: {
+        title: value.title,
+        description: value.description || '',
+        visibility: value.visibility,
+        tags: value.tags || [],
+        stripLocation: value.stripLocation
+      },
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    });
+
+    // Relative, so it stays right behind proxies that change the scheme or host
+    res.set({
+      'Location': `${req.baseUrl}/${session._id}`,
+      'Upload-Expires': session.expiresAt.toUTCString()
+    });
+    res.status(201).end();
+  } catch (error) {
+    console.error('Error creating tus upload:', error);
+    sendError(res, 500, 'Failed to create upload');
+  }
+});
+
+// @route   HEAD /api/upload/tus/:id
+// @desc    Get the current upload offset; retries creating the video of a complete upload
+// @access  Private (Owner only)
+router.head('/:id', authenticateToken, async (req, res) => {
+  try {
+    let session = await loadUpload(req, res);
+    if (!session) return;
+
+    // The video could not be created after the last PATCH. Clients stop
+    // sending PATCHes once the offset reaches Upload-Length, so retry here.
+    if (session.status === 'active' && session.isComplete()) {
+      const result = await finalizeUpload(session, req.user, res);
+      if (result) {
+        session = result.session;
+      }
+    }
+
+    res.set({
+      'Cache-Control': 'no-store',
+      'Upload-Offset': String(session.getOffset()),
+      'Upload-Length': String(session.totalSize)
+    });
+    if (session.uploadMetadata) {
+      res.set('Upload-Metadata', session.uploadMetadata);
+    }
+    if (session.status === 'active') {
+      res.set('Upload-Expires', session.expiresAt.toUTCString());
+    }
+    if (session.videoId) {
+      res.set('X-Video-Id', String(session.videoId));
+    }
+
+    res.status(200).end();
+  } catch (error) {
+    // HEAD responses have no body, so a rejected file only gets its status
+    if (isMediaValidationError(error)) {
+      return res.status(error.statusCode).end();
+    }
+
+    console.error('Error fetching tus upload offset:', error);
+    res.status(500).end();
+  }
+});
+
+// @route   PATCH /api/upload/tus/:id
+// @desc    Append bytes at Upload-Offset; the PATCH reaching Upload-Length (or an
+//          empty one at that offset, after a failure) creates the video
+// @access  Private (Owner only)
+router.patch('/:id', authenticateToken, async (req, res) => {
+  let lock = null;
+
+  try {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return sendError(res, 415, 'Content-Type must be application/offset+octet-stream');
+    }
+
+    const loaded = await loadUpload(req, res);
+    if (!loaded) return;
+
+    if (loaded.status !== 'active') {
+      return sendError(res, 409, `Upload is ${loaded.status}`);
+    }
+
+    // One writer at a time, and the offset is checked on the locked session
+    lock = await acquireWriteLock(loaded);
+    if (!lock) {
+      return sendError(res, 423, 'Another request is writing to this upload');
+    }
+    const { session } = lock;
+
+    const offset = session.getOffset();
+    if (Number(req.get('Upload-Offset')) !== offset) {
+      res.set('Upload-Offset', String(offset));
+      return sendError(res, 409, `Upload-Offset does not match the current offset of ${offset}`);
+    }
+
+    const newOffset = await receiveBody(req, session, lock.token);
+
+    res.set({
+      'Upload-Offset': String(newOffset),
+      'Upload-Expires': session.expiresAt.toUTCString()
+    });
+
+    if (newOffset === session.totalSize) {
+      await finalizeUpload(await UploadSession.findById(session._id), req.user, res);
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    // The upload is complete but the file was rejected; the upload is terminated
+    if (isMediaValidationError(error)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    if ([409, 413].includes(error.statusCode)) {
+      return sendError(res, error.statusCode, error.message);
+    }
+
+    console.error('Error receiving tus upload data:', error);
+    if (!res.headersSent) {
+      sendError(res, 500, 'Failed to receive upload data');
+    }
+  } finally {
+    if (lock) {
+      await releaseWriteLock(lock.session, lock.token).catch(error => {
+        console.error('Error releasing tus upload lock:', error);
+      });
+    }
+  }
+});
+
+// @route   DELETE /api/upload/tus/:id
+// @desc    Terminate an upload (termination extension)
+// @access  Private (Owner only)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await loadUpload(req, res);
+    if (!session) return;
+
+    if (session.status !== 'active') {
+      return sendError(res, 409, `Upload is ${session.status} and can no longer be terminated`);
+    }
+
+    session.status = 'cancelled';
+    await session.save();
+    uploadStaging.discard(session);
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error terminating tus upload:', error);
+    sendError(res, 500, 'Failed to terminate upload');
+  }
+});
+
+module.exports = router;
@@ -1,30 +1,52 @@
 const express = require('express');
 const multer = require('multer');
-const azureStorage = require('../utils/azureStorage');
-const videoProcessor = require('../utils/videoProcessor');
 const fs = require('fs');
 const path = require('path');
-const ffprobe = require('ffprobe-static');
-const { execSync } = require('child_process');
+const storage = require('../utils/storage');
+const videoProcessor = require('../utils/videoProcessor');
+const { createPendingVideo } = require('../utils/videoIngest');
+const thumbnailProcessor = require('../utils/thumbnailProcessor');
+const { isPrivateVisibility } = require('../utils/videoMedia');
+const { handleMediaUpload } = require('../middleware/mediaUpload');
+const {
+  validateVideoFile,
+  isMediaValidationError,
+  isVideoFileType,
+  createUnsupportedFileTypeError,
+  getOriginalExtension
+} = require('../utils/mediaValidation');
+const { screenUpload } = require('../utils/videoFingerprint');
 
 const router = express.Router();
 
-// Configure multer for memory storage (no temp files)
+const MAX_VIDEO_SIZE = 500 * 1024 * 1024; // 500MB
+
+// Configure multer for memory storage (the video only touches disk to be probed)
 const upload = multer({ 
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 500 * 1024 * 1024, // 500MB
+    fileSize: MAX_VIDEO_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    // The thumbnail is checked by sharp when the set is created
+    if (file.fieldname !== 'video' || isVideoFileType(file.originalname, file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(createUnsupportedFileTypeError(file.originalname, file.mimetype), false);
+    }
   }
 });
 
-// Direct proxy upload to Azure with optional thumbnail
+// Direct proxy upload to storage with optional thumbnail
 router.post('/video-proxy', 
   require('../middleware/auth').authenticateToken,
-  upload.fields([
+  handleMediaUpload(upload.fields([
     { name: 'video', maxCount: 1 },
     { name: 'thumbnail', maxCount: 1 }
-  ]), 
+  ]), { maxFileSize: MAX_VIDEO_SIZE }),
   async (req, res) => {
+  let tempVideoPath = null;
+
   try {
     // Check for video file (req.files when using upload.fields)
     if (!req.files || !req.files.video || !req.files.video[0]) {
@@ -37,10 +59,11 @@ router.post('/video-proxy',
     const videoFile = req.files.video[0];
     const thumbnailFile = req.files.thumbnail ? req.files.thumbnail[0] : null;
     
-    const { title, description, visibility, tags } = req.body;
+    const { title, description, visibility, tags, stripLocation } = req.body;
     const videoPublicId = `video_${Date.now()}_proxy`;
+    const isPrivate = isPrivateVisibility(visibility || 'public');
 
-    console.log('Direct Azure upload:', {
+    console.log('Direct proxy upload:', {
       videoFilename: videoFile.originalname,
       videoSize: videoFile.size,
       hasThumbnail: !!thumbnailFile,
@@ -48,156 +71,91 @@ router.post('/video-proxy',
       videoPublicId
     });
 
-    // Upload video buffer directly to Azure
-    console.log('📤 Uploading video directly to Azure...');
-    const videoUploadResult = await azureStorage.uploadBuffer(
-      videoFile.buffer,
-      'videos',
-      `${videoPublicId}.mp4`,
-      videoFile.mimetype
-    );
-
-    console.log('✅ Video upload completed:', videoUploadResult.url);
+    // ffprobe needs a file, so the buffer is written out for validation and the upload
+    tempVideoPath = path.join(videoProcessor.tempDir, `upload_${Date.now()}_${videoPublicId}`);
+    fs.writeFileSync(tempVideoPath, videoFile.buffer);
 
-    // Extract video metadata (duration, dimensions, etc.)
-    let videoMetadata = {};
-    try {
-      console.log('🔍 Extracting video metadata...');
-      
-      // Write buffer to temporary file for ffprobe
-      const tempVideoPath = path.join(__dirname, '..', 'temp', `temp_${Date.now()}.mp4`);
-      fs.writeFileSync(tempVideoPath, videoFile.buffer);
-      
-      // Use ffprobe to get video metadata
-      const ffprobeCommand = `"${ffprobe.path}" -v quiet -show_entries format=duration:stream=width,height,duration -of json "${tempVideoPath}"`;
-      const ffprobeOutput = execSync(ffprobeCommand, { encoding: 'utf8' });
-      const metadata = JSON.parse(ffprobeOutput);
-      
-      // Extract duration from format or stream
-      const duration = metadata.format?.duration || 
-                      metadata.streams?.find(s => s.codec_type === 'video')?.duration || 
-                      0;
-      
-      // Extract dimensions from video stream
-      const videoStream = metadata.streams?.find(s => s.codec_type === 'video');
-      const width = videoStream?.width || 0;
-      const height = videoStream?.height || 0;
-      
-      videoMetadata = {
-        duration: parseFloat(duration),
-        width: width,
-        height: height
-      };
-      
-      console.log('✅ Video metadata extracted:', videoMetadata);
-      
-      // Clean up temp file
-      fs.unlinkSync(tempVideoPath);
-    } catch (error) {
-      console.error('⚠️ Failed to extract video metadata:', error);
-      videoMetadata = { duration: 0, width: 0, height: 0 };
-    }
+    // Reject anything the pipeline cannot process before it reaches storage
+    const metadata = await validateVideoFile(tempVideoPath, req.user);
+    const { fingerprint, warnings } = await screenUpload(tempVideoPath, metadata, req.user);
 
-    // Upload thumbnail if provided
+    // Create the thumbnail set before the video, so an invalid image fails the upload early
     let thumbnails = {};
     if (thumbnailFile) {
-      console.log('📸 Uploading thumbnail to Azure...');
-      
-      // Determine thumbnail file extension
-      const thumbnailExt = path.extname(thumbnailFile.originalname) || '.jpg';
-      const thumbnailUploadResult = await azureStorage.uploadBuffer(
-        thumbnailFile.buffer,
-        'video_thumbnails',
-        `${videoPublicId}_poster${thumbnailExt}`,
-        thumbnailFile.mimetype
-      );
-      
-      console.log('✅ Thumbnail upload completed:', thumbnailUploadResult.url);
-      
-      // Create thumbnail object
-      thumbnails = {
-        poster: {
-          url: thumbnailUploadResult.url,
-          blobName: thumbnailUploadResult.blobName,
-          width: 1280, // Default dimensions
-          height: 720
-        },
-        large: {
-          url: thumbnailUploadResult.url,
-          blobName: thumbnailUploadResult.blobName,
-          width: 1280,
-          height: 720
-        },
-        medium: {
-          url: thumbnailUploadResult.url,
-          blobName: thumbnailUploadResult.blobName,
-          width: 1280,
-          height: 720
-        },
-        small: {
-          url: thumbnailUploadResult.url,
-          blobName: thumbnailUploadResult.blobName,
-          width: 1280,
-          height: 720
-        }
-      };
+      console.log('📸 Creating thumbnails from the uploaded image...');
+      thumbnails = await thumbnailProcessor.createThumbnailSet(thumbnailFile.buffer, videoPublicId, {
+        private: isPrivate
+      });
+      console.log('✅ Thumbnail upload completed:', thumbnails.poster.url);
     }
 
-    // Create video database record with thumbnails
-    const Video = require('../models/Video');
-    const User = require('../models/User');
-    
-    console.log('=== CREATOR DEBUG ===');
-    console.log('Authenticated user:', req.user);
-    console.log('User ID for creatorId:', req.user._id);
-    
-    const videoData = {
-      title: title || 'Untitled Video',
-      description: description || '',
-      creatorId: req.user._id, // Set authenticated user as creator
-      tags: tags ? JSON.parse(tags) : [],
-      visibility: visibility || 'public',
-      video: {
-        original: {
-          url: videoUploadResult.url,
-          blobName: videoUploadResult.blobName,
-          format: 'mp4',
-          bytes: videoFile.size,
-          duration: videoMetadata.duration,
-          width: videoMetadata.width,
-          height: videoMetadata.height
-        }
-      },
-      thumbnails: thumbnails, // Uploaded thumbnails or empty object
-      metadata: {
-        fileName: videoFile.originalname,
-        mimeType: videoFile.mimetype,
-        fileSize: videoFile.size,
-        uploadedAt: new Date(),
-        processingStatus: 'completed'
-      },
-      status: 'ready'
-    };
+    // Upload the original to storage
+    console.log('📤 Uploading video to storage...');
+    const videoUploadResult = await storage.uploadVideo(tempVideoPath, videoPublicId, {
+      private: isPrivate,
+      extension: getOriginalExtension(videoFile.originalname, metadata),
+      contentType: videoFile.mimetype
+    });
 
-    const video = new Video(videoData);
-    await video.save();
+    console.log('✅ Video upload completed:', videoUploadResult.url);
+
+    // Create the video record and queue it for processing
+    const video = await createPendingVideo({
+      user: req.user,
+      videoPublicId,
+      original: {
+        url: videoUploadResult.url,
+        blobName: videoUploadResult.blobName,
+        bytes: videoFile.size
+      },
+      fileName: videoFile.originalname,
+      mimeType: videoFile.mimetype,
+      title,
+      description,
+      tags: tags ? JSON.parse(tags) : [],
+      visibility,
+      stripLocation: stripLocation === 'true',
+      thumbnails, // Uploaded thumbnails or empty object
+      fingerprint
+    });
 
     console.log('✅ Video saved to database:', video._id);
 
     // Return video data
-    res.json({
+    res.status(202).json({
       success: true,
       data: {
         video: video.toObject()
-      }
+      },
+      warnings
     });
 
   } catch (error) {
+    if (isMediaValidationError(error)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     console.error('❌ Direct upload error:', error);
     res.status(500).json({
       success: false,
       error: 'Upload failed: ' + error.message
     });
+  } finally {
+    if (tempVideoPath) {
+      videoProcessor.cleanupFile(tempVideoPath);
+    }
   }
 });
 
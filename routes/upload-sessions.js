@@ -0,0 +1,339 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const UploadSession = require('../models/UploadSession');
+const uploadStaging = require('../utils/uploadStaging');
+const { finalizeUploadSession } = require('../utils/videoIngest');
+const { isMediaValidationError, getOriginalExtension } = require('../utils/mediaValidation');
+const { isPrivateVisibility } = require('../utils/videoMedia');
+
+const router = express.Router();
+
+const MAX_UPLOAD_SIZE = 500 * 1024 * 1024; // 500MB, same as direct uploads
+const CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024; // 8MB
+const SESSION_TTL_MS = (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Validation schemas
+const createSessionSchema = Joi.object({
+  fileName: Joi.string().max(255).required(),
+  mimeType: Joi.string().pattern(/^video\//).required()
+    .messages({ 'string.pattern.base': 'Only video files are allowed' }),
+  totalSize: Joi.number().integer().min(1).max(MAX_UPLOAD_SIZE).required(),
+  title: Joi.string().min(1).max(200).required(),
+  description: Joi.string().max(1000).optional().allow(''),
+  tags: Joi.array().items(Joi.string().max(30)).max(10).optional(),
+  visibility: Joi.string().valid('public', 'unlisted', 'private').default('public'),
+  stripLocation: Joi.boolean().default(false)
+});
+
+// Shape an upload session for responses
+const formatSession = (session) => ({
+  sessionId: session._id,
+  status: session.status,
+  fileName: session.fileName,
+  totalSize: session.totalSize,
+  chunkSize: session.chunkSize,
+  offset: session.getOffset(),
+  bytesReceived: session.getBytesReceived(),
+  receivedRanges: session.getReceivedRanges(),
+  expiresAt: session.expiresAt,
+  videoId: session.videoId
+});
+
+// Parse "Content-Range: bytes <start>-<end>/<total>" (end inclusive)
+const parseContentRange = (header) => {
+  const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(header || '');
+  if (!match) return null;
+
+  return {
+    start: parseInt(match[1]),
+    end: parseInt(match[2]) + 1,
+    total: match[3] === '*' ? null : parseInt(match[3])
+  };
+};
+
+// Load the caller's session, expiring it if needed. Sends the error response
+// and returns null when the session cannot be used.
+const loadSession = async (req, res) => {
+  const session = await UploadSession.findOne({
+    _id: req.params.id,
+    userId: req.user._id,
+    protocol: 'resumable'
+  });
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      error: 'Upload session not found'
+    });
+    return null;
+  }
+
+  if (session.status === 'active' && session.isExpired()) {
+    session.status = 'expired';
+    await session.save();
+    uploadStaging.discard(session);
+  }
+
+  return session;
+};
+
+// Reject requests against sessions that no longer accept data
+const ensureActive = (session, res) => {
+  if (session.status === 'active') return true;
+
+  const statusCode = session.status === 'expired' ? 410 : 409;
+  res.status(statusCode).json({
+    success: false,
+    error: `Upload session is ${session.status}`,
+    data: formatSession(session)
+  });
+  return false;
+};
+
+// @route   POST /api/upload-proxy/sessions
+// @desc    Create a resumable upload session
+// @access  Private (Creator only)
+router.post('/', authenticateToken, requireRole(['Creator']), async (req, res) => {
+  try {
+    const { error, value } = createSessionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const videoPublicId = `video_${Date.now()}_${req.user._id}`;
+
+    const session = await UploadSession.create({
+      userId: req.user._id,
+      videoPublicId,
+      fileName: value.fileName,
+      mimeType: value.mimeType,
+      totalSize: value.totalSize,
+      chunkSize: CHUNK_SIZE,
+      ...uploadStaging.createStaging(
+        videoPublicId,
+        getOriginalExtension(value.fileName),
+        isPrivateVisibility(value.visibility)
+      ),
+      video: {
+        title: value.title,
+        description: value.description || '',
+        visibility: value.visibility,
+        tags: value.tags || [],
+        stripLocation: value.stripLocation
+      },
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatSession(session)
+    });
+  } catch (error) {
+    console.error('Error creating upload session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create upload session'
+    });
+  }
+});
+
+// @route   GET /api/upload-proxy/sessions/:id
+// @desc    Get the upload offset and received ranges to resume from
+// @access  Private (Owner only)
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    res.json({
+      success: true,
+      data: formatSession(session)
+    });
+  } catch (error) {
+    console.error('Error fetching upload session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch upload session'
+    });
+  }
+});
+
+// @route   PUT /api/upload-proxy/sessions/:id
+// @desc    Upload one chunk; the body is raw bytes placed by Content-Range
+// @access  Private (Owner only)
+router.put('/:id',
+  authenticateToken,
+  express.raw({ type: () => true, limit: CHUNK_SIZE }),
+  async (req, res) => {
+    try {
+      const session = await loadSession(req, res);
+      if (!session) return;
+      if (!ensureActive(session, res)) return;
+
+      const range = parseContentRange(req.get('Content-Range'));
+      const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+      if (!range) {
+        return res.status(400).json({
+          success: false,
+          error: 'Content-Range header is required (bytes <start>-<end>/<total>)'
+        });
+      }
+
+      if (range.end - range.start !== chunk.length) {
+        return res.status(400).json({
+          success: false,
+          error: `Content-Range covers ${range.end - range.start} bytes but ${chunk.length} were sent`
+        });
+      }
+
+      if (range.end > session.totalSize || (range.total !== null && range.total !== session.totalSize)) {
+        return res.status(416).json({
+          success: false,
+          error: `Range is outside the declared size of ${session.totalSize} bytes`
+        });
+      }
+
+      if (session.findConflictingChunk(range.start, range.end)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Chunk overlaps data that was already received with different boundaries',
+          data: formatSession(session)
+        });
+      }
+
+      await uploadStaging.writeChunk(session, range.start, chunk);
+
+      // Record the range only if it overlaps nothing received meanwhile. The
+      // check above used the session as loaded before the body was read, so
+      // a concurrent request for an overlapping range can get here too.
+      const updated = await UploadSession.findOneAndUpdate({
+        _id: session._id,
+        status: 'active',
+        chunks: { $not: { $elemMatch: { start: { $lt: range.end }, end: { $gt: range.start } } } }
+      }, {
+        $push: { chunks: { start: range.start, end: range.end } }
+      }, { new: true });
+
+      if (!updated) {
+        const current = await loadSession(req, res);
+        if (!current) return;
+        if (!ensureActive(current, res)) return;
+
+        // A retry of a chunk we already have
+        const isRetry = current.chunks.some(received =>
+          received.start === range.start && received.end === range.end
+        );
+        if (!isRetry) {
+          // The staged copy is never assembled: block IDs and part file
+          // names include both ends, and only recorded chunks are used
+          return res.status(409).json({
+            success: false,
+            error: 'Chunk overlaps data that was already received with different boundaries',
+            data: formatSession(current)
+          });
+        }
+
+        return res.json({
+          success: true,
+          data: formatSession(current)
+        });
+      }
+
+      res.json({
+        success: true,
+        data: formatSession(updated)
+      });
+    } catch (error) {
+      console.error('Error uploading chunk:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to upload chunk'
+      });
+    }
+  }
+);
+
+// @route   POST /api/upload-proxy/sessions/:id/finalize
+// @desc    Assemble the uploaded chunks and queue the video for processing
+// @access  Private (Owner only)
+router.post('/:id/finalize', authenticateToken, async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+    if (!ensureActive(session, res)) return;
+
+    if (!session.isComplete()) {
+      return res.status(409).json({
+        success: false,
+        error: `Upload is incomplete: ${session.getBytesReceived()} of ${session.totalSize} bytes received`,
+        data: formatSession(session)
+      });
+    }
+
+    const result = await finalizeUploadSession(session, req.user);
+    if (!result) {
+      return ensureActive(await UploadSession.findById(session._id), res);
+    }
+
+    const { video } = result;
+    await video.populate('creatorId', 'username firstName lastName avatar');
+
+    res.status(202).json({
+      success: true,
+      data: {
+        session: formatSession(result.session),
+        video
+      },
+      warnings: result.warnings,
+      message: 'Video uploaded successfully and queued for processing'
+    });
+  } catch (error) {
+    if (isMediaValidationError(error)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    console.error('Error finalizing upload session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to finalize upload'
+    });
+  }
+});
+
+// @route   DELETE /api/upload-proxy/sessions/:id
+// @desc    Cancel an upload session and discard its chunks
+// @access  Private (Owner only)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+    if (!ensureActive(session, res)) return;
+
+    session.status = 'cancelled';
+    await session.save();
+    uploadStaging.discard(session);
+
+    res.json({
+      success: true,
+      message: 'Upload session cancelled'
+    });
+  } catch (error) {
+    console.error('Error cancelling upload session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel upload session'
+    });
+  }
+});
+
+module.exports = router;
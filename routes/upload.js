@@ -1,21 +1,123 @@
 const express = require('express');
 const Joi = require('joi');
 const { authenticateToken, requireRole } = require('../middleware/auth');
-const azureStorage = require('../utils/azureStorage');
+const storage = require('../utils/storage');
 const Video = require('../models/Video');
-const User = require('../models/User');
+const UploadSession = require('../models/UploadSession');
+const thumbnailProcessor = require('../utils/thumbnailProcessor');
+const { completeDirectUpload } = require('../utils/videoIngest');
+const { isMediaValidationError } = require('../utils/mediaValidation');
+const { isPrivateVisibility, signVideoMedia } = require('../utils/videoMedia');
 
 const router = express.Router();
 
-// Generate SAS token for video upload
-router.post('/video-sas', 
+const MAX_UPLOAD_SIZE = 500 * 1024 * 1024; // 500MB, same as direct uploads
+const SESSION_TTL_MS = (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Absolute base URL of this API, used for links that leave the JSON response
+const getApiBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+// Validation schemas. The file details are optional for older clients, which
+// send them with /video-complete instead; the size must be declared in one of
+// the two places.
+const videoSasSchema = Joi.object({
+  fileName: Joi.string().max(255).optional(),
+  mimeType: Joi.string().pattern(/^video\//).optional()
+    .messages({ 'string.pattern.base': 'Only video files are allowed' }),
+  fileSize: Joi.number().integer().min(1).max(MAX_UPLOAD_SIZE).optional()
+});
+
+const videoCompleteSchema = Joi.object({
+  videoPublicId: Joi.string().required(),
+  blobUrl: Joi.string().uri().optional(), // ignored, the URL is derived from the issued upload
+  title: Joi.string().min(1).max(200).required(),
+  description: Joi.string().max(1000).optional().allow(''),
+  visibility: Joi.string().valid('public', 'unlisted', 'private').default('public'),
+  tags: Joi.array().items(Joi.string().max(50)).max(10).optional().default([]),
+  stripLocation: Joi.boolean().default(false),
+  // Sent by older clients. Only the file details are used, and only when they
+  // were not declared with /video-sas; the file itself is probed server-side.
+  metadata: Joi.object({
+    fileName: Joi.string().max(255).optional(),
+    mimeType: Joi.string().pattern(/^video\//).optional()
+      .messages({ 'string.pattern.base': 'Only video files are allowed' }),
+    fileSize: Joi.number().integer().min(1).max(MAX_UPLOAD_SIZE).optional()
+  }).unknown(true).optional()
+});
+
+const videoThumbnailsSchema = Joi.object({
+  // Index of the thumbnail-sas upload to use as the poster
+  posterIndex: Joi.number().integer().min(0).max(4).default(0)
+});
+
+// Find the video's upload and check it belongs to the caller. Sends the
+// error response and returns null when the caller may not use it.
+const loadOwnedVideoUpload = async (req, res) => {
+  const video = await Video.findById(req.params.videoId);
+  if (!video) {
+    res.status(404).json({
+      success: false,
+      error: 'Video not found'
+    });
+    return null;
+  }
+
+  if (video.creatorId?.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      error: 'You do not have permission to edit this video'
+    });
+    return null;
+  }
+
+  const session = await UploadSession.findOne({
+    videoId: video._id,
+    userId: req.user._id,
+    protocol: 'sas'
+  });
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      error: 'No direct upload found for this video'
+    });
+    return null;
+  }
+
+  return { video, session };
+};
+
+// Generate a signed URL for direct video upload
+router.post('/video-sas',
+  authenticateToken,
+  requireRole(['Creator']),
   async (req, res) => {
     try {
-      const userId = 'anonymous_' + Date.now();
+      const { error, value } = videoSasSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+
+      const userId = req.user._id.toString();
       const videoPublicId = `video_${Date.now()}_${userId}`;
-      
-      const sasData = azureStorage.generateVideoUploadSAS(videoPublicId, userId);
-      
+
+      const sasData = storage.generateVideoUploadUrl(videoPublicId);
+
+      // Record the upload so only this user can complete it
+      await UploadSession.create({
+        userId: req.user._id,
+        protocol: 'sas',
+        videoPublicId,
+        fileName: value.fileName,
+        mimeType: value.mimeType,
+        totalSize: value.fileSize,
+        staging: 'storage',
+        blobName: sasData.blobName,
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+      });
+
       console.log('Generated SAS token for video upload:', {
         videoPublicId,
         userId,
@@ -36,23 +138,10 @@ router.post('/video-sas',
   }
 );
 
-// Complete video upload (after direct Azure upload)
-const videoCompleteSchema = Joi.object({
-  videoPublicId: Joi.string().required(),
-  blobUrl: Joi.string().uri().required(),
-  title: Joi.string().min(1).max(200).required(),
-  description: Joi.string().max(1000).optional().allow(''),
-  visibility: Joi.string().valid('public', 'unlisted', 'private').default('public'),
-  tags: Joi.array().items(Joi.string().max(50)).max(10).optional().default([]),
-  metadata: Joi.object({
-    fileName: Joi.string().required(),
-    mimeType: Joi.string().required(),
-    fileSize: Joi.number().required(),
-    duration: Joi.number().optional()
-  }).required()
-});
-
+// Complete video upload (after direct upload to storage)
 router.post('/video-complete',
+  authenticateToken,
+  requireRole(['Creator']),
   async (req, res) => {
     try {
       const { error, value } = videoCompleteSchema.validate(req.body);
@@ -63,7 +152,34 @@ router.post('/video-complete',
         });
       }
 
-      const { videoPublicId, blobUrl, title, description, visibility, tags, metadata } = value;
+      const { videoPublicId, title, description, visibility, tags, stripLocation, metadata = {} } = value;
+
+      const session = await UploadSession.findOne({
+        videoPublicId,
+        userId: req.user._id,
+        protocol: 'sas'
+      });
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Upload not found'
+        });
+      }
+
+      if (session.status === 'completed') {
+        return res.status(409).json({
+          success: false,
+          error: 'Upload has already been completed',
+          data: { videoId: session.videoId }
+        });
+      }
+
+      if (session.status === 'expired' || (session.status === 'active' && session.isExpired())) {
+        return res.status(410).json({
+          success: false,
+          error: 'Upload has expired'
+        });
+      }
 
       console.log('Completing video upload:', {
         videoPublicId,
@@ -71,48 +187,53 @@ router.post('/video-complete',
         visibility
       });
 
-      // Create anonymous user ID from videoPublicId
-      const anonymousUserId = null;
-
-      // Create video document
-      const videoData = {
+      // Create the video and queue it for server-side processing
+      const result = await completeDirectUpload(session, req.user, {
         title,
-        description: description || '',
-        creatorId: anonymousUserId,
-        tags: tags || [],
+        description,
+        tags,
         visibility,
-        video: {
-          url: blobUrl,
-          publicId: videoPublicId,
-          format: 'mp4'
-        },
-        thumbnails: [], // Will be populated when thumbnails are generated
-        metadata: {
-          fileName: metadata.fileName,
-          mimeType: metadata.mimeType,
-          fileSize: metadata.fileSize,
-          duration: metadata.duration || null,
-          uploadedAt: new Date()
-        },
-        status: 'processing' // Will be updated when thumbnails are ready
-      };
-
-      const video = new Video(videoData);
-      await video.save();
-
-      // Skip user stats update for anonymous uploads
+        stripLocation,
+        fileName: metadata.fileName,
+        mimeType: metadata.mimeType,
+        fileSize: metadata.fileSize
+      });
+      if (!result) {
+        return res.status(409).json({
+          success: false,
+          error: `Upload is ${session.status}`
+        });
+      }
 
+      const { video, warnings } = result;
       console.log('Video upload completed successfully:', video._id);
 
-      res.status(201).json({
+      res.status(202).json({
         success: true,
         data: {
           video: video.toObject()
         },
-        message: 'Video uploaded successfully'
+        warnings,
+        message: 'Video uploaded successfully and queued for processing'
       });
 
     } catch (error) {
+      if (isMediaValidationError(error)) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
       console.error('Error completing video upload:', error);
       res.status(500).json({
         success: false,
@@ -122,26 +243,25 @@ router.post('/video-complete',
   }
 );
 
-// Generate thumbnail upload SAS tokens
+// Generate signed thumbnail upload URLs
 router.post('/thumbnail-sas/:videoId',
+  authenticateToken,
   async (req, res) => {
     try {
       const { videoId } = req.params;
       const { count = 3 } = req.body; // Default 3 thumbnails
 
-      // Find video (no ownership check for anonymous uploads)
-      const video = await Video.findById(videoId);
-      if (!video) {
-        return res.status(404).json({
-          success: false,
-          error: 'Video not found'
-        });
-      }
+      const upload = await loadOwnedVideoUpload(req, res);
+      if (!upload) return;
 
-      // Generate SAS tokens for thumbnails
+      // Generate signed upload URLs for thumbnails
       const thumbnailTokens = [];
       for (let i = 0; i < Math.min(count, 5); i++) {
-        const sasData = azureStorage.generateThumbnailUploadSAS(video.video.publicId, i);
+        const sasData = storage.generateThumbnailUploadUrl(
+          upload.session.videoPublicId,
+          i,
+          isPrivateVisibility(upload.video.visibility)
+        );
         thumbnailTokens.push({
           index: i,
           ...sasData
@@ -166,35 +286,87 @@ router.post('/thumbnail-sas/:videoId',
   }
 );
 
-// Update video with thumbnails
+// Use an uploaded thumbnail as the video's poster
 router.patch('/video-thumbnails/:videoId',
+  authenticateToken,
   async (req, res) => {
     try {
-      const { videoId } = req.params;
-      const { thumbnails } = req.body;
+      const { error, value } = videoThumbnailsSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
 
-      // Find video (no ownership check for anonymous uploads)
-      const video = await Video.findById(videoId);
-      if (!video) {
-        return res.status(404).json({
+      const upload = await loadOwnedVideoUpload(req, res);
+      if (!upload) return;
+
+      const { video, session } = upload;
+      const isPrivate = isPrivateVisibility(video.visibility);
+      const blobName = storage.getThumbnailUploadBlobName(session.videoPublicId, value.posterIndex, isPrivate);
+
+      if (!await storage.stat(blobName)) {
+        return res.status(400).json({
           success: false,
-          error: 'Video not found'
+          error: 'Uploaded thumbnail not found in storage'
         });
       }
 
-      // Update video with thumbnails and mark as ready
-      await Video.findByIdAndUpdate(videoId, {
-        thumbnails: thumbnails,
-        status: 'ready',
-        'metadata.processedAt': new Date()
+      // Build the sized set from the chosen image
+      const thumbnails = await thumbnailProcessor.createThumbnailSet(
+        await storage.downloadToBuffer(blobName),
+        session.videoPublicId,
+        { private: isPrivate }
+      );
+
+      // The creator's uploaded originals are recorded on the video so they
+      // stay selectable and are not collected as orphaned blobs
+      const uploads = [];
+      for (const index of [0, 1, 2, 3, 4]) {
+        const uploadBlobName = storage.getThumbnailUploadBlobName(session.videoPublicId, index, isPrivate);
+        if (await storage.stat(uploadBlobName)) {
+          uploads.push({ index, url: storage.getBlobUrl(uploadBlobName), blobName: uploadBlobName });
+        }
+      }
+
+      // The set this replaces is deleted
+      const uploadedBlobNames = uploads.map(upload => upload.blobName);
+      const replacedBlobNames = thumbnailProcessor.getThumbnailSetBlobNames(video.thumbnails)
+        .filter(name => !uploadedBlobNames.includes(name));
+
+      video.set({
+        'thumbnails.poster': thumbnails.poster,
+        'thumbnails.large': thumbnails.large,
+        'thumbnails.medium': thumbnails.medium,
+        'thumbnails.small': thumbnails.small,
+        'thumbnails.uploads': uploads
       });
+      await video.save();
+
+      for (const replacedBlobName of replacedBlobNames) {
+        await storage.deleteBlob(replacedBlobName).catch(error => {
+          console.error('Failed to delete replaced poster:', error);
+        });
+      }
 
       res.json({
         success: true,
+        data: {
+          // Private videos' thumbnails are only readable through signed URLs
+          thumbnails: signVideoMedia(video.toObject(), getApiBaseUrl(req)).thumbnails
+        },
         message: 'Video thumbnails updated successfully'
       });
 
     } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
       console.error('Error updating video thumbnails:', error);
       res.status(500).json({
         success: false,
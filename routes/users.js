@@ -1,7 +1,7 @@
 const express = require('express');
 const multer = require('multer');
 const sharp = require('sharp');
-const azureStorage = require('../utils/azureStorage');
+const storage = require('../utils/storage');
 const Joi = require('joi');
 const User = require('../models/User');
 const { protect, optionalAuth, checkOwnership } = require('../middleware/auth');
@@ -9,9 +9,9 @@ const { protect, optionalAuth, checkOwnership } = require('../middleware/auth');
 const router = express.Router();
 
 // Configure multer for avatar uploads
-const storage = multer.memoryStorage();
+const memoryStorage = multer.memoryStorage();
 const upload = multer({
-  storage,
+  storage: memoryStorage,
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit for avatars
   },
@@ -42,10 +42,10 @@ const updateProfileSchema = Joi.object({
   })
 });
 
-// Helper function to upload avatar to Azure Storage
-const uploadAvatarToAzure = async (buffer) => {
+// Helper function to upload avatar to storage
+const uploadAvatarToStorage = async (buffer) => {
   try {
-    const result = await azureStorage.uploadAvatar(buffer);
+    const result = await storage.uploadAvatar(buffer);
     return result;
   } catch (error) {
     throw error;
@@ -235,8 +235,8 @@ router.post('/:id/avatar', protect, checkOwnership(User, 'id', '_id'), upload.si
       .jpeg({ quality: 85 })
       .toBuffer();
 
-    // Upload to Azure Storage
-    const uploadResult = await uploadAvatarToAzure(processedBuffer);
+    // Upload to storage
+    const uploadResult = await uploadAvatarToStorage(processedBuffer);
 
     // Update user
     const user = await User.findByIdAndUpdate(
@@ -260,7 +260,7 @@ router.post('/:id/avatar', protect, checkOwnership(User, 'id', '_id'), upload.si
     // Delete old avatar if exists
     if (req.resource.avatar?.blobName && req.resource.avatar.blobName !== uploadResult.blobName) {
       try {
-        await azureStorage.deleteBlob(req.resource.avatar.blobName);
+        await storage.deleteBlob(req.resource.avatar.blobName);
       } catch (deleteError) {
         console.error('Failed to delete old avatar:', deleteError);
       }
@@ -296,12 +296,12 @@ router.delete('/:id/avatar', protect, checkOwnership(User, 'id', '_id'), async (
       });
     }
 
-    // Delete from Azure Storage if exists
+    // Delete from storage if exists
     if (user.avatar?.blobName) {
       try {
-        await azureStorage.deleteBlob(user.avatar.blobName);
+        await storage.deleteBlob(user.avatar.blobName);
       } catch (deleteError) {
-        console.error('Failed to delete avatar from Azure Storage:', deleteError);
+        console.error('Failed to delete avatar from storage:', deleteError);
       }
     }
 
@@ -347,7 +347,7 @@ router.get('/:id/stats', optionalAuth, async (req, res) => {
     const Comment = require('../models/Comment');
     
     // Find videos for this user (including null creatorId videos if no videos found)
-    let videos = await Video.find({ creatorId: id }).lean();
+    let videos = await Video.find({ creatorId: id, deletedAt: null }).lean();
     
     // If no videos found, check if there are videos with null creatorId (from old uploads)
     if (videos.length === 0) {
@@ -355,7 +355,7 @@ router.get('/:id/stats', optionalAuth, async (req, res) => {
       if (nullVideos.length > 0) {
         // Update null creatorId videos to current user
         await Video.updateMany({ creatorId: null }, { $set: { creatorId: id } });
-        videos = await Video.find({ creatorId: id }).lean();
+        videos = await Video.find({ creatorId: id, deletedAt: null }).lean();
       }
     }
 
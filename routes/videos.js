@@ -1,16 +1,37 @@
 const express = require('express');
 const multer = require('multer');
-const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, protect, requireRole, optionalAuth } = require('../middleware/auth');
 const Video = require('../models/Video');
-const User = require('../models/User');
 const videoProcessor = require('../utils/videoProcessor');
+const storage = require('../utils/storage');
+const processingEvents = require('../utils/processingEvents');
+const { createPendingVideo } = require('../utils/videoIngest');
+const { handleMediaUpload } = require('../middleware/mediaUpload');
+const {
+  validateVideoFile,
+  isMediaValidationError,
+  isVideoFileType,
+  createUnsupportedFileTypeError,
+  createMediaError,
+  MEDIA_ERROR_CODES,
+  getOriginalExtension
+} = require('../utils/mediaValidation');
+const { screenUpload, findDuplicates, formatDuplicateMatch } = require('../utils/videoFingerprint');
+const { deleteVideo, trashVideo, restoreVideo, getPurgeDate } = require('../utils/videoDeletion');
+const jobQueue = require('../utils/jobQueue');
+const thumbnailProcessor = require('../utils/thumbnailProcessor');
+const { isPrivateVisibility, signVideoMedia, verifyStreamingToken, getSegmentUrl } = require('../utils/videoMedia');
+const { RELOCATE_VIDEO_MEDIA_JOB, STRIP_VIDEO_LOCATION_JOB } = require('../jobs');
 const Joi = require('joi');
 const path = require('path');
 
 const router = express.Router();
 
+const MAX_VIDEO_SIZE = 500 * 1024 * 1024; // 500MB limit
+const MAX_POSTER_SIZE = 10 * 1024 * 1024; // 10MB limit
+
 // Configure multer for video uploads
-const storage = multer.diskStorage({
+const diskStorage = multer.diskStorage({
   destination: function (req, file, cb) {
     cb(null, 'uploads/temp/');
   },
@@ -21,16 +42,36 @@ const storage = multer.diskStorage({
 });
 
 const upload = multer({
-  storage: storage,
+  storage: diskStorage,
   limits: {
-    fileSize: 500 * 1024 * 1024, // 500MB limit
+    fileSize: MAX_VIDEO_SIZE
   },
   fileFilter: (req, file, cb) => {
     // Check if file is a video
-    if (file.mimetype.startsWith('video/')) {
+    if (isVideoFileType(file.originalname, file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(createUnsupportedFileTypeError(file.originalname, file.mimetype), false);
+    }
+  }
+});
+
+// Configure multer for poster images (kept in memory, resized by sharp)
+const posterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_POSTER_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
       cb(null, true);
     } else {
-      cb(new Error('Only video files are allowed'), false);
+      cb(createMediaError(
+        MEDIA_ERROR_CODES.UNSUPPORTED_FILE_TYPE,
+        'Only image files are allowed.',
+        { fileName: file.originalname, mimeType: file.mimetype },
+        415
+      ), false);
     }
   }
 });
@@ -40,16 +81,77 @@ const videoUploadSchema = Joi.object({
   title: Joi.string().min(1).max(200).required(),
   description: Joi.string().max(1000).optional().allow(''),
   tags: Joi.array().items(Joi.string().max(30)).max(10).optional(),
-  visibility: Joi.string().valid('public', 'unlisted', 'private').default('public')
+  visibility: Joi.string().valid('public', 'unlisted', 'private').default('public'),
+  stripLocation: Joi.boolean().default(false)
 });
 
 const videoUpdateSchema = Joi.object({
   title: Joi.string().min(1).max(200).optional(),
   description: Joi.string().max(1000).optional().allow(''),
   tags: Joi.array().items(Joi.string().max(30)).max(10).optional(),
-  visibility: Joi.string().valid('public', 'unlisted', 'private').optional()
+  visibility: Joi.string().valid('public', 'unlisted', 'private').optional(),
+  stripLocation: Joi.boolean().optional()
+});
+
+const nearbySchema = Joi.object({
+  lng: Joi.number().min(-180).max(180).required(),
+  lat: Joi.number().min(-90).max(90).required(),
+  radius: Joi.number().min(1).max(200000).default(5000), // meters
+  tags: Joi.string().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const boundsSchema = Joi.object({
+  west: Joi.number().min(-180).max(180).required(),
+  south: Joi.number().min(-90).max(90).required(),
+  east: Joi.number().min(-180).max(180).invalid(Joi.ref('west')).required()
+    .messages({ 'any.invalid': 'east must differ from west' }),
+  north: Joi.number().min(-90).max(90).greater(Joi.ref('south')).required(),
+  tags: Joi.string().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500).default(100)
 });
 
+const posterSchema = Joi.object({
+  timestamp: Joi.number().min(0).optional() // seconds into the video
+});
+
+const STREAMING_MANIFESTS = ['hls', 'dash'];
+
+// How often an open processing event stream re-reads the stored status
+const PROCESSING_EVENTS_POLL_MS = 5000;
+
+// Fields needed to report processing status
+const PROCESSING_STATUS_FIELDS = 'creatorId metadata.uploadedAt metadata.processedAt metadata.processingStatus metadata.processing';
+
+// Streaming files served through the private streaming route rather than redirected
+// (playlists, manifests and the sprite WebVTT track all use relative references)
+const STREAMING_MANIFEST_EXTENSIONS = ['.m3u8', '.mpd', '.vtt'];
+
+// Absolute base URL of this API, used for links that leave the JSON response
+const getApiBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+// Shape processing status for the polling and SSE endpoints
+const formatProcessingStatus = (video) => {
+  const processing = video.metadata?.processing || {};
+
+  return {
+    videoId: video._id,
+    status: video.metadata?.processingStatus,
+    stage: processing.stage || null,
+    rendition: processing.rendition || null,
+    percent: processing.percent || 0,
+    error: processing.error || null,
+    attempts: processing.attempts || 0,
+    uploadedAt: video.metadata?.uploadedAt,
+    startedAt: processing.startedAt || null,
+    updatedAt: processing.updatedAt || null,
+    completedAt: processing.completedAt || null,
+    processedAt: video.metadata?.processedAt || null
+  };
+};
+
 // GET /api/videos - Get all videos with pagination and filters
 router.get('/', async (req, res) => {
   try {
@@ -96,7 +198,7 @@ router.get('/', async (req, res) => {
         videoObj.isLikedByUser = false;
       }
       
-      return videoObj;
+      return signVideoMedia(videoObj, getApiBaseUrl(req));
     });
     
     const response = {
@@ -134,7 +236,8 @@ router.get('/liked', authenticateToken, async (req, res) => {
     // Find videos that the user has liked
     const videos = await Video.find({
       'likes.userId': req.user._id,
-      visibility: 'public'
+      visibility: 'public',
+      deletedAt: null
     })
     .populate('creatorId', 'username firstName lastName avatar')
     .sort({ 'likes.createdAt': -1 }) // Sort by when user liked them
@@ -170,6 +273,51 @@ router.get('/liked', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/videos/trash - Get the current user's deleted videos
+router.get('/trash', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const options = {
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 100)
+    };
+
+    const videos = await Video.find({
+      creatorId: req.user._id,
+      deletedAt: { $ne: null }
+    })
+    .select('-likes -views')
+    .sort({ deletedAt: -1 })
+    .skip((options.page - 1) * options.limit)
+    .limit(options.limit)
+    .lean();
+
+    const videosWithPurgeDate = videos.map(video => signVideoMedia({
+      ...video,
+      purgeAt: getPurgeDate(video.deletedAt)
+    }, getApiBaseUrl(req)));
+
+    res.json({
+      success: true,
+      data: {
+        videos: videosWithPurgeDate,
+        pagination: {
+          page: options.page,
+          limit: options.limit,
+          hasMore: videos.length === options.limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching deleted videos:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch deleted videos'
+    });
+  }
+});
+
 // GET /api/videos/trending - Get trending videos
 router.get('/trending', async (req, res) => {
   try {
@@ -197,7 +345,7 @@ router.get('/trending', async (req, res) => {
         videoObj.isLikedByUser = false;
       }
       
-      return videoObj;
+      return signVideoMedia(videoObj, getApiBaseUrl(req));
     });
     
     const response = {
@@ -222,6 +370,129 @@ router.get('/trending', async (req, res) => {
   }
 });
 
+// GET /api/videos/nearby - Get public videos recorded within a radius of a point, closest first
+router.get('/nearby', optionalAuth, async (req, res) => {
+  try {
+    const { error, value } = nearbySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const options = {
+      page: value.page,
+      limit: value.limit,
+      radius: value.radius
+    };
+    if (value.tags) options.tags = value.tags.split(',');
+
+    const videos = await Video.findNearby(value.lng, value.lat, options);
+
+    // Add isLikedByUser field for authenticated users
+    const userId = req.user?.id;
+    const videosWithLikeStatus = videos.map(video => {
+      const videoObj = video.toObject ? video.toObject() : video;
+
+      if (userId && videoObj.likes) {
+        videoObj.isLikedByUser = videoObj.likes.some(like =>
+          like.userId && like.userId.toString() === userId.toString()
+        );
+      } else {
+        videoObj.isLikedByUser = false;
+      }
+
+      // Distance from the requested point, in meters
+      videoObj.distance = Math.round(videoObj.distance);
+
+      return signVideoMedia(videoObj, getApiBaseUrl(req));
+    });
+
+    res.json({
+      success: true,
+      data: {
+        videos: videosWithLikeStatus,
+        center: { lng: value.lng, lat: value.lat },
+        radius: value.radius,
+        pagination: {
+          page: options.page,
+          limit: options.limit,
+          hasMore: videos.length === options.limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching nearby videos:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch nearby videos'
+    });
+  }
+});
+
+// GET /api/videos/nearby/bounds - Get public videos recorded inside a map bounding box, newest first
+router.get('/nearby/bounds', optionalAuth, async (req, res) => {
+  try {
+    const { error, value } = boundsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const bounds = {
+      west: value.west,
+      south: value.south,
+      east: value.east,
+      north: value.north
+    };
+    const options = {
+      page: value.page,
+      limit: value.limit
+    };
+    if (value.tags) options.tags = value.tags.split(',');
+
+    const videos = await Video.findWithinBounds(bounds, options);
+
+    // Add isLikedByUser field for authenticated users
+    const userId = req.user?.id;
+    const videosWithLikeStatus = videos.map(video => {
+      const videoObj = video.toObject ? video.toObject() : video;
+
+      if (userId && videoObj.likes) {
+        videoObj.isLikedByUser = videoObj.likes.some(like =>
+          like.userId && like.userId.toString() === userId.toString()
+        );
+      } else {
+        videoObj.isLikedByUser = false;
+      }
+
+      return signVideoMedia(videoObj, getApiBaseUrl(req));
+    });
+
+    res.json({
+      success: true,
+      data: {
+        videos: videosWithLikeStatus,
+        bounds,
+        pagination: {
+          page: options.page,
+          limit: options.limit,
+          hasMore: videos.length === options.limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching videos in bounds:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch videos in bounds'
+    });
+  }
+});
+
 // GET /api/videos/user/:userId - Get videos by user
 router.get('/user/:userId', optionalAuth, async (req, res) => {
   try {
@@ -287,12 +558,25 @@ router.get('/user/:userId', optionalAuth, async (req, res) => {
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
+
+    // Optional ?manifests=hls,dash to choose which streaming manifests to return
+    const requestedManifests = req.query.manifests
+      ? String(req.query.manifests).split(',').map(manifest => manifest.trim().toLowerCase())
+      : STREAMING_MANIFESTS;
+
+    const unknownManifests = requestedManifests.filter(manifest => !STREAMING_MANIFESTS.includes(manifest));
+    if (unknownManifests.length) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported manifests: ${unknownManifests.join(', ')}. Use ${STREAMING_MANIFESTS.join(', ')}`
+      });
+    }
     
 
     console.log('=== BACKEND VIDEO DEBUG ===');
     console.log('Video ID being fetched:', id);
     
-    const video = await Video.findById(id)
+    const video = await Video.findOne({ _id: id, deletedAt: null })
       .populate('creatorId', 'username firstName lastName avatar')
       .lean();
     
@@ -328,6 +612,16 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
+    // Drop streaming manifests the client did not ask for
+    if (video.video?.streaming) {
+      STREAMING_MANIFESTS
+        .filter(manifest => !requestedManifests.includes(manifest))
+        .forEach(manifest => delete video.video.streaming[manifest]);
+    }
+
+    // Private and unlisted media is only reachable through short-lived URLs
+    signVideoMedia(video, getApiBaseUrl(req));
+
     // Record view and check if user liked the video
     if (req.user) {
       try {
@@ -360,11 +654,283 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
+// GET /api/videos/:id/streaming/:token/* - Serve a private streaming package
+// The token comes from the URLs signed by GET /api/videos/:id and sits in the
+// path so manifests can keep referencing playlists and segments relatively.
+router.get('/:id/streaming/:token/*', async (req, res) => {
+  try {
+    const { id, token } = req.params;
+    const filePath = req.params[0];
+
+    const expiresOn = verifyStreamingToken(id, token);
+    if (!expiresOn) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or expired streaming URL'
+      });
+    }
+
+    if (filePath.split('/').some(segment => segment === '..' || segment === '')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid streaming path'
+      });
+    }
+
+    const video = await Video.findOne({ _id: id, deletedAt: null }).select('video.streaming.prefix').lean();
+    const prefix = video?.video?.streaming?.prefix;
+    if (!prefix) {
+      return res.status(404).json({
+        success: false,
+        error: 'Streaming package not found'
+      });
+    }
+
+    const blobName = `${prefix}/${filePath}`;
+
+    // Segments and init files go straight to storage
+    if (!STREAMING_MANIFEST_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+      return res.redirect(302, getSegmentUrl(blobName));
+    }
+
+    // Manifests are served from here so their relative references stay on this route
+    if (!await storage.stat(blobName)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Streaming file not found'
+      });
+    }
+
+    const manifest = await storage.downloadToBuffer(blobName);
+    res.set({
+      'Content-Type': storage.getContentType(blobName),
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(manifest);
+  } catch (error) {
+    console.error('Error serving streaming file:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to serve streaming file'
+    });
+  }
+});
+
+// GET /api/videos/:id/processing - Get processing status and progress (Creator/Admin only)
+router.get('/:id/processing', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const video = await Video.findById(id)
+      .select(PROCESSING_STATUS_FIELDS)
+      .lean();
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found'
+      });
+    }
+
+    // Check permissions
+    const canView = video.creatorId?.toString() === req.user._id.toString() ||
+                   req.user.role === 'Admin';
+
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to view this video\'s processing status'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        processing: formatProcessingStatus(video)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching processing status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch processing status'
+    });
+  }
+});
+
+// GET /api/videos/:id/processing/events - Stream processing updates as Server-Sent Events (Creator only)
+router.get('/:id/processing/events', protect, async (req, res) => {
+  const { id } = req.params;
+
+  let video;
+  try {
+    video = await Video.findById(id)
+      .select(PROCESSING_STATUS_FIELDS)
+      .lean();
+  } catch (error) {
+    console.error('Error opening processing event stream:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to open processing event stream'
+    });
+  }
+
+  if (!video) {
+    return res.status(404).json({
+      success: false,
+      error: 'Video not found'
+    });
+  }
+
+  if (video.creatorId?.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      error: 'You do not have permission to view this video\'s processing status'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let lastUpdatedAt = null;
+  let pollTimer = null;
+  let unsubscribe = () => {};
+
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression buffers the body unless flushed explicitly
+    if (res.flush) res.flush();
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(pollTimer);
+    unsubscribe();
+    res.end();
+  };
+
+  // Send the snapshot; terminal states end the stream
+  const sendSnapshot = (snapshot) => {
+    lastUpdatedAt = snapshot.updatedAt?.toString();
+
+    if (snapshot.status === 'completed' || snapshot.status === 'failed') {
+      send(snapshot.status, snapshot);
+      close();
+    } else {
+      send('progress', snapshot);
+    }
+  };
+
+  sendSnapshot(formatProcessingStatus(video));
+  if (closed) return;
+
+  // Live events from a job running in this process
+  unsubscribe = processingEvents.subscribe(id, ({ event, data }) => {
+    send(event, { videoId: id, ...data });
+    if (event === 'completed' || event === 'failed') {
+      close();
+    }
+  });
+
+  // The job may run on another instance, so also watch the stored status.
+  // This doubles as a keep-alive for proxies that drop idle connections.
+  pollTimer = setInterval(async () => {
+    try {
+      const current = await Video.findById(id)
+        .select(PROCESSING_STATUS_FIELDS)
+        .lean();
+
+      if (!current) {
+        send('failed', { videoId: id, status: 'failed', error: 'Video not found' });
+        return close();
+      }
+
+      const snapshot = formatProcessingStatus(current);
+      if (snapshot.updatedAt?.toString() !== lastUpdatedAt || ['completed', 'failed'].includes(snapshot.status)) {
+        sendSnapshot(snapshot);
+      } else if (!closed) {
+        res.write(': keep-alive\n\n');
+        if (res.flush) res.flush();
+      }
+    } catch (error) {
+      console.error('Error polling processing status:', error);
+    }
+  }, PROCESSING_EVENTS_POLL_MS);
+
+  req.on('close', close);
+});
+
+// GET /api/videos/:id/duplicates - Get videos matching this one's fingerprint, including trashed ones (Admin only)
+router.get('/:id/duplicates', authenticateToken, requireRole(['Admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const video = await Video.findById(id)
+      .select('title creatorId fingerprint')
+      .lean();
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found'
+      });
+    }
+
+    if (!video.fingerprint?.computedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'This video has not been fingerprinted yet'
+      });
+    }
+
+    const matches = await findDuplicates(video.fingerprint, {
+      excludeVideoId: video._id,
+      includeDeleted: true
+    });
+
+    res.json({
+      success: true,
+      data: {
+        video: {
+          _id: video._id,
+          title: video.title,
+          creatorId: video.creatorId,
+          fingerprintedAt: video.fingerprint.computedAt
+        },
+        matches: matches.map(match => ({
+          ...formatDuplicateMatch(match, req.user),
+          creatorId: match.video.creatorId,
+          sameCreator: match.video.creatorId?.toString() === video.creatorId?.toString(),
+          visibility: match.video.visibility,
+          distance: match.distance,
+          frames: match.frames,
+          createdAt: match.video.createdAt,
+          deletedAt: match.video.deletedAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error finding duplicate videos:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find duplicate videos'
+    });
+  }
+});
+
 // POST /api/videos - Upload new video (Creator only)
 router.post('/', 
   authenticateToken, 
   requireRole(['Creator']),
-  upload.single('video'),
+  handleMediaUpload(upload.single('video'), { maxFileSize: MAX_VIDEO_SIZE }),
   async (req, res) => {
     let tempVideoPath = null;
     
@@ -386,54 +952,68 @@ router.post('/',
       }
 
       tempVideoPath = req.file.path;
+
+      // Reject anything the pipeline cannot process before it reaches storage
+      const metadata = await validateVideoFile(tempVideoPath, req.user);
+      const { fingerprint, warnings } = await screenUpload(tempVideoPath, metadata, req.user);
       
       // Generate unique public ID for video
       const videoPublicId = `video_${Date.now()}_${req.user._id}`;
       
-      // Process video (generate thumbnails, upload to Cloudinary, etc.)
-      console.log('Starting video processing...');
-      const processingResult = await videoProcessor.processVideo(tempVideoPath, videoPublicId);
+      // Store the original first so processing survives a pod restart
+      const originalUpload = await storage.uploadVideo(tempVideoPath, videoPublicId, {
+        private: isPrivateVisibility(value.visibility),
+        extension: getOriginalExtension(req.file.originalname, metadata),
+        contentType: req.file.mimetype
+      });
+      videoProcessor.cleanupFile(tempVideoPath);
+      tempVideoPath = null;
       
-      // Create video document
-      const videoData = {
+      // Create video document; the processing job fills in the rest
+      const video = await createPendingVideo({
+        user: req.user,
+        videoPublicId,
+        original: {
+          url: originalUpload.url,
+          blobName: originalUpload.blobName,
+          bytes: req.file.size
+        },
+        fileName: req.file.originalname,
+        mimeType: req.file.mimetype,
         title: value.title,
-        description: value.description || '',
-        creatorId: req.user._id,
-        tags: value.tags || [],
-        visibility: value.visibility || 'public',
-        video: processingResult.video,
-        thumbnails: processingResult.thumbnails,
-        metadata: {
-          fileName: req.file.originalname,
-          mimeType: req.file.mimetype,
-          ...processingResult.metadata
-        }
-      };
-
-      const video = new Video(videoData);
-      await video.save();
-
-      // Update user's video count
-      await User.findByIdAndUpdate(req.user._id, {
-        $inc: { 'stats.videosCount': 1 }
+        description: value.description,
+        tags: value.tags,
+        visibility: value.visibility,
+        stripLocation: value.stripLocation,
+        fingerprint
       });
 
       // Populate creator info for response
       await video.populate('creatorId', 'username firstName lastName avatar');
 
 
-      res.status(201).json({
+      res.status(202).json({
         success: true,
         data: { video },
-        message: 'Video uploaded successfully'
+        warnings,
+        message: 'Video uploaded successfully and queued for processing'
       });
     } catch (error) {
-      console.error('Error uploading video:', error);
-      
       // Clean up temp file on error
       if (tempVideoPath) {
         videoProcessor.cleanupFile(tempVideoPath);
       }
+
+      if (isMediaValidationError(error)) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+
+      console.error('Error uploading video:', error);
       
       res.status(500).json({
         success: false,
@@ -457,7 +1037,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    const video = await Video.findById(id);
+    const video = await Video.findOne({ _id: id, deletedAt: null });
     if (!video) {
       return res.status(404).json({
         success: false,
@@ -477,10 +1057,30 @@ router.put('/:id', authenticateToken, async (req, res) => {
     }
 
     // Update video
-    Object.assign(video, value);
+    const { stripLocation, ...updates } = value;
+    const wasPrivate = isPrivateVisibility(video.visibility);
+    const wasStripped = Boolean(video.privacy?.stripLocation);
+    Object.assign(video, updates);
+    if (stripLocation !== undefined) {
+      video.set('privacy.stripLocation', stripLocation);
+    }
+    // A removed location cannot be brought back by turning the flag off again
+    if (stripLocation && !wasStripped) {
+      video.set('metadata.location', undefined);
+    }
     video.updatedAt = new Date();
     await video.save();
 
+    // Move the media to match the new visibility
+    if (isPrivateVisibility(video.visibility) !== wasPrivate) {
+      await jobQueue.enqueue(RELOCATE_VIDEO_MEDIA_JOB, { videoId: video._id });
+    }
+
+    // Remove the location from the stored original too
+    if (stripLocation && !wasStripped) {
+      await jobQueue.enqueue(STRIP_VIDEO_LOCATION_JOB, { videoId: video._id });
+    }
+
     // Populate creator info
     await video.populate('creatorId', 'username firstName lastName avatar');
 
@@ -498,10 +1098,126 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// DELETE /api/videos/:id - Delete video (Creator/Admin only)
+// POST /api/videos/:id/poster - Set the poster from a frame (timestamp) or an uploaded image (Creator/Admin only)
+router.post('/:id/poster', authenticateToken, handleMediaUpload(posterUpload.single('image'), { maxFileSize: MAX_POSTER_SIZE }), async (req, res) => {
+  let framePath = null;
+
+  try {
+    const { id } = req.params;
+
+    const { error, value } = posterSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const hasTimestamp = value.timestamp !== undefined;
+    if (hasTimestamp === !!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either a timestamp or an image'
+      });
+    }
+
+    const video = await Video.findOne({ _id: id, deletedAt: null });
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found'
+      });
+    }
+
+    // Check permissions
+    const canEdit = video.creatorId.toString() === req.user._id.toString() ||
+                   req.user.role === 'Admin';
+
+    if (!canEdit) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to edit this video'
+      });
+    }
+
+    // The poster is named after the original and frames are read from it
+    const original = video.video?.original;
+    if (video.metadata?.processingStatus !== 'completed' || !original?.blobName) {
+      return res.status(409).json({
+        success: false,
+        error: 'Video is still processing'
+      });
+    }
+
+    const duration = original.duration;
+    if (hasTimestamp && duration && value.timestamp >= duration) {
+      return res.status(400).json({
+        success: false,
+        error: `Timestamp must be less than the video duration (${duration}s)`
+      });
+    }
+
+    let source = req.file?.buffer;
+    if (hasTimestamp) {
+      // ffmpeg seeks within the stored original over HTTP instead of downloading it
+      const originalUrl = storage.getSignedReadUrl(original.blobName, new Date(Date.now() + 15 * 60 * 1000));
+      framePath = await videoProcessor.generateThumbnailAtTimestamp(originalUrl, value.timestamp, original);
+      source = framePath;
+    }
+
+    const videoPublicId = path.basename(original.blobName, path.extname(original.blobName));
+    const thumbnails = await thumbnailProcessor.createThumbnailSet(source, videoPublicId, {
+      private: isPrivateVisibility(video.visibility)
+    });
+
+    const replacedBlobNames = thumbnailProcessor.getThumbnailSetBlobNames(video.thumbnails);
+
+    video.set({
+      'thumbnails.poster': hasTimestamp ? { ...thumbnails.poster, timestamp: value.timestamp } : thumbnails.poster,
+      'thumbnails.large': thumbnails.large,
+      'thumbnails.medium': thumbnails.medium,
+      'thumbnails.small': thumbnails.small
+    });
+    await video.save();
+
+    for (const blobName of replacedBlobNames) {
+      await storage.deleteBlob(blobName).catch(error => {
+        console.error('Failed to delete replaced poster:', error);
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        thumbnails: signVideoMedia(video.toObject(), getApiBaseUrl(req)).thumbnails
+      },
+      message: 'Poster updated successfully'
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error updating poster:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update poster'
+    });
+  } finally {
+    if (framePath) {
+      videoProcessor.cleanupFile(framePath);
+    }
+  }
+});
+
+// DELETE /api/videos/:id - Move video to the trash, or delete it for good with ?permanent=true (Creator/Admin only)
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
+    const permanent = req.query.permanent === 'true';
 
     const video = await Video.findById(id);
     if (!video) {
@@ -522,56 +1238,87 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Delete video and thumbnails from Azure Storage
-    const azureStorage = require('../utils/azureStorage');
-    
-    // Delete main video blob
-    if (video.video?.original?.blobName) {
-      try {
-        await azureStorage.deleteBlob(video.video.original.blobName);
-      } catch (error) {
-        console.error('Failed to delete video blob:', error);
-      }
+    if (permanent) {
+      const result = await deleteVideo(video);
+
+      return res.json({
+        success: true,
+        message: 'Video deleted permanently',
+        data: result
+      });
     }
-    
-    // Delete thumbnail blobs
-    if (video.thumbnails?.poster?.blobName) {
-      try {
-        await azureStorage.deleteBlob(video.thumbnails.poster.blobName);
-      } catch (error) {
-        console.error('Failed to delete poster blob:', error);
-      }
+
+    if (video.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Video is already in the trash'
+      });
     }
-    
-    if (video.thumbnails?.timeline) {
-      for (const thumb of video.thumbnails.timeline) {
-        if (thumb.blobName) {
-          try {
-            await azureStorage.deleteBlob(thumb.blobName);
-          } catch (error) {
-            console.error('Failed to delete timeline thumbnail blob:', error);
-          }
-        }
+
+    const purgeAt = await trashVideo(video, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Video moved to trash',
+      data: {
+        videoId: video._id,
+        deletedAt: video.deletedAt,
+        purgeAt
       }
+    });
+  } catch (error) {
+    console.error('Error deleting video:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete video'
+    });
+  }
+});
+
+// POST /api/videos/:id/restore - Restore a video from the trash (Creator/Admin only)
+router.post('/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const video = await Video.findById(id);
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found'
+      });
     }
 
-    // Delete video document
-    await Video.findByIdAndDelete(id);
+    // Check permissions
+    const canRestore = video.creatorId.toString() === req.user._id.toString() ||
+                      req.user.role === 'Admin';
 
-    // Update user's videos count
-    await User.findByIdAndUpdate(video.creatorId, {
-      $inc: { 'stats.videosCount': -1 }
-    });
+    if (!canRestore) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to restore this video'
+      });
+    }
+
+    if (!video.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Video is not in the trash'
+      });
+    }
+
+    await restoreVideo(video);
+    await video.populate('creatorId', 'username firstName lastName avatar');
 
     res.json({
       success: true,
-      message: 'Video deleted successfully'
+      data: { video },
+      message: 'Video restored successfully'
     });
   } catch (error) {
-    console.error('Error deleting video:', error);
+    console.error('Error restoring video:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete video'
+      error: 'Failed to restore video'
     });
   }
 });
@@ -581,7 +1328,7 @@ router.post('/:id/like', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const video = await Video.findById(id);
+    const video = await Video.findOne({ _id: id, deletedAt: null });
     if (!video) {
       return res.status(404).json({
         success: false,
@@ -627,7 +1374,7 @@ router.post('/:id/view', authenticateToken, async (req, res) => {
       });
     }
 
-    const video = await Video.findById(id);
+    const video = await Video.findOne({ _id: id, deletedAt: null });
     if (!video) {
       return res.status(404).json({
         success: false,
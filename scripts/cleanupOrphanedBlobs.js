@@ -0,0 +1,42 @@
+// Find and delete blobs that no video, user or upload refers to.
+//
+// Usage: node scripts/cleanupOrphanedBlobs.js [--dry-run] [--grace-hours=24]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { cleanupOrphanedBlobs, DEFAULT_GRACE_PERIOD_HOURS } = require('../utils/orphanedBlobs');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const graceArg = args.find(arg => arg.startsWith('--grace-hours='));
+const gracePeriodHours = graceArg ? parseFloat(graceArg.split('=')[1]) : DEFAULT_GRACE_PERIOD_HOURS;
+
+const run = async () => {
+  if (!(gracePeriodHours >= 0)) {
+    throw new Error('--grace-hours must be a number of hours');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/pluto');
+
+  console.log(`${dryRun ? 'Listing' : 'Deleting'} orphaned blobs older than ${gracePeriodHours} hours...`);
+  const report = await cleanupOrphanedBlobs({ dryRun, gracePeriodHours });
+
+  report.orphaned.forEach(blob => {
+    console.log(`orphaned  ${blob.name}  ${blob.size} bytes  ${blob.lastModified?.toISOString?.() || ''}`);
+  });
+  console.log(
+    `Scanned ${report.scanned} blobs, ${report.orphaned.length} orphaned (${report.bytes} bytes)` +
+    (dryRun ? '' : `, deleted ${report.deleted}, failed ${report.failed}`)
+  );
+
+  return report.failed ? 1 : 0;
+};
+
+run()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error('Orphaned blob cleanup failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -15,19 +15,47 @@ const userRoutes = require('./routes/users');
 const commentRoutes = require('./routes/comments');
 const uploadRoutes = require('./routes/upload');
 const uploadProxyRoutes = require('./routes/upload-proxy');
+const uploadSessionRoutes = require('./routes/upload-sessions');
+const tusRoutes = require('./routes/tus');
+const storageRoutes = require('./routes/storage');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 
+// Background jobs
+const jobQueue = require('./utils/jobQueue');
+const { registerJobHandlers, scheduleOrphanedBlobCleanup } = require('./jobs');
+const { startTempCleanup, stopTempCleanup } = require('./utils/tempCleanup');
+
+// Media storage driver
+const storage = require('./utils/storage');
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a TLS-terminating proxy, take the client IP (rate limiting) and the
+// protocol (absolute URLs) from its X-Forwarded-* headers. TRUST_PROXY is a
+// hop count, 'true', or a list of proxy addresses.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy));
+}
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/pluto', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB Connected'))
+.then(() => {
+  console.log('MongoDB Connected');
+
+  // Run the background job worker in-process unless disabled for this instance
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    registerJobHandlers();
+    jobQueue.start();
+    scheduleOrphanedBlobCleanup().catch(err => console.error('Failed to schedule orphaned blob cleanup:', err));
+  }
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Security middleware
@@ -52,13 +80,9 @@ app.use(helmet({
 //   credentials: true,
 //   optionsSuccessStatus: 200
 // };
-app.use(cors({ origin: true }));
 
-// General middleware
-app.use(compression());
+// Logging applies to every route, tus uploads included
 app.use(morgan('combined'));
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Rate limiting
 const limiter = rateLimit({
@@ -70,6 +94,19 @@ const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
 });
+
+// tus uploads answer OPTIONS themselves (server discovery), so they are
+// mounted ahead of the global CORS handler that ends every preflight, with
+// the rate limiter applied explicitly. They skip compression and the body
+// parsers: PATCH bodies are streamed.
+app.use('/api/upload/tus', limiter, tusRoutes);
+
+app.use(cors({ origin: true }));
+
+// General middleware
+app.use(compression());
+app.use(express.json({ limit: '50mb' }));
+app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(limiter);
 
 // Specific rate limiting for auth endpoints
@@ -109,11 +146,17 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/upload-proxy/sessions', uploadSessionRoutes);
 app.use('/api/upload-proxy', uploadProxyRoutes);
 app.use('/api/videos', videoRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/comments', commentRoutes);
 
+// Media of the local storage driver
+if (storage.driver === 'local') {
+  app.use('/storage', storageRoutes);
+}
+
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({ 
@@ -129,6 +172,8 @@ app.use(errorHandler);
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  jobQueue.stop();
+  stopTempCleanup();
   server.close(() => {
     console.log('HTTP server closed');
     mongoose.connection.close(false, () => {
@@ -141,6 +186,9 @@ process.on('SIGTERM', () => {
 const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Leftovers of interrupted processing on this instance's disk
+  startTempCleanup();
 });
 
 module.exports = app;
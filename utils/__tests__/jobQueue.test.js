@@ -0,0 +1,100 @@
+const Job = require('../../models/Job');
+const jobQueue = require('../jobQueue');
+
+const createJob = (type, fields = {}) => new Job({
+  type,
+  status: 'running',
+  lockedBy: jobQueue.workerId,
+  attempts: 1,
+  maxAttempts: 3,
+  ...fields
+});
+
+describe('jobQueue lanes', () => {
+  it('groups job types by the lane they were registered in', () => {
+    jobQueue.registerHandler('test.lane-a', jest.fn(), { lane: 'test-lane' });
+    jobQueue.registerHandler('test.lane-b', jest.fn(), { lane: 'test-lane' });
+    jobQueue.registerHandler('test.default', jest.fn());
+
+    expect(jobQueue.lanes.get('test-lane').types).toEqual(['test.lane-a', 'test.lane-b']);
+    expect(jobQueue.lanes.get('default').types).toContain('test.default');
+  });
+
+  it('does not list a type twice when it is registered again', () => {
+    jobQueue.registerHandler('test.lane-a', jest.fn(), { lane: 'test-lane' });
+
+    expect(jobQueue.lanes.get('test-lane').types).toEqual(['test.lane-a', 'test.lane-b']);
+  });
+});
+
+describe('jobQueue.runJob', () => {
+  let onFailed;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(jobQueue, 'reportLostLease');
+    onFailed = jest.fn();
+  });
+
+  const register = (handler) => jobQueue.registerHandler('test.run', handler, { onFailed });
+
+  it('calls the failure hook once the last attempt fails', async () => {
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    const error = new Error('boom');
+    register(jest.fn().mockRejectedValue(error));
+    const job = createJob('test.run', { attempts: 3 });
+
+    await jobQueue.runJob(job);
+
+    expect(job.status).toBe('failed');
+    expect(onFailed).toHaveBeenCalledWith(job, error);
+  });
+
+  it('schedules a retry without calling the failure hook', async () => {
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    register(jest.fn().mockRejectedValue(new Error('boom')));
+    const job = createJob('test.run');
+
+    await jobQueue.runJob(job);
+
+    expect(job.status).toBe('queued');
+    expect(onFailed).not.toHaveBeenCalled();
+  });
+
+  it('reports a lost lease instead of recording the failure', async () => {
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 0 });
+    register(jest.fn().mockRejectedValue(new Error('boom')));
+    const job = createJob('test.run', { attempts: 3 });
+
+    await jobQueue.runJob(job);
+
+    expect(jobQueue.reportLostLease).toHaveBeenCalledWith(job);
+    expect(onFailed).not.toHaveBeenCalled();
+  });
+
+  it('reports a lost lease when a completed job was claimed by another worker', async () => {
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 0 });
+    register(jest.fn().mockResolvedValue());
+    const job = createJob('test.run');
+
+    await jobQueue.runJob(job);
+
+    expect(jobQueue.reportLostLease).toHaveBeenCalledWith(job);
+    expect(jobQueue.getOldestRunningJobStart()).toBeNull();
+  });
+
+  it('fails a job whose worker died on its final attempt without running it', async () => {
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    const handler = jest.fn();
+    register(handler);
+    const job = createJob('test.run', { attempts: 4 });
+
+    await jobQueue.runJob(job);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(job.status).toBe('failed');
+    expect(onFailed).toHaveBeenCalledWith(job, expect.any(Error));
+  });
+});
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../videoProcessor', () => ({
+  getVideoMetadata: jest.fn(),
+  generateThumbnailAtTimestamp: jest.fn(),
+  cleanupFile: jest.fn()
+}));
+
+const videoProcessor = require('../videoProcessor');
+const {
+  MEDIA_ERROR_CODES,
+  createMediaError,
+  isMediaValidationError,
+  isVideoFileType,
+  createUnsupportedFileTypeError,
+  getRoleLimits,
+  validateVideoFile,
+  getOriginalExtension
+} = require('../mediaValidation');
+
+const framePath = path.join(os.tmpdir(), `media-validation-test-${process.pid}.png`);
+
+const probed = (overrides = {}) => ({
+  duration: 30,
+  format: 'mov,mp4,m4a,3gp,3g2,mj2',
+  video: { codec: 'h264', width: 1920, height: 1080 },
+  audio: { codec: 'aac' },
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  fs.writeFileSync(framePath, 'frame');
+  videoProcessor.generateThumbnailAtTimestamp.mockResolvedValue(framePath);
+});
+
+afterAll(() => {
+  fs.rmSync(framePath, { force: true });
+});
+
+describe('media errors', () => {
+  it('builds errors with a status, code and details', () => {
+    const error = createMediaError(MEDIA_ERROR_CODES.ZERO_DURATION, 'No duration', { duration: 0 });
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toMatchObject({ statusCode: 422, code: 'MEDIA_ZERO_DURATION', details: { duration: 0 } });
+    expect(isMediaValidationError(error)).toBe(true);
+  });
+
+  it('does not mistake other errors for media errors', () => {
+    expect(isMediaValidationError(new Error('boom'))).toBe(false);
+    expect(isMediaValidationError(Object.assign(new Error('dup'), { code: 11000 }))).toBe(false);
+    expect(isMediaValidationError(undefined)).toBe(false);
+  });
+});
+
+describe('isVideoFileType', () => {
+  it('accepts video MIME types', () => {
+    expect(isVideoFileType('clip', 'video/mp4')).toBe(true);
+  });
+
+  it('accepts known video extensions sent with a generic type', () => {
+    expect(isVideoFileType('clip.MKV', 'application/octet-stream')).toBe(true);
+    expect(isVideoFileType('clip.flv', undefined)).toBe(true);
+  });
+
+  it('rejects anything else', () => {
+    expect(isVideoFileType('photo.jpg', 'image/jpeg')).toBe(false);
+    expect(isVideoFileType(undefined, undefined)).toBe(false);
+  });
+
+  it('explains the rejection with a 415 media error', () => {
+    const error = createUnsupportedFileTypeError('photo.jpg', 'image/jpeg');
+
+    expect(error).toMatchObject({ statusCode: 415, code: MEDIA_ERROR_CODES.UNSUPPORTED_FILE_TYPE });
+    expect(error.details).toMatchObject({ fileName: 'photo.jpg', mimeType: 'image/jpeg' });
+    expect(error.details.extensions).toContain('.mp4');
+  });
+});
+
+describe('getRoleLimits', () => {
+  it('gives creators higher limits than consumers', () => {
+    expect(getRoleLimits({ role: 'Creator' }).maxDuration).toBeGreaterThan(getRoleLimits({ role: 'Consumer' }).maxDuration);
+  });
+
+  it('falls back to the consumer limits', () => {
+    expect(getRoleLimits({ role: 'Unknown' })).toEqual(getRoleLimits({ role: 'Consumer' }));
+    expect(getRoleLimits(undefined)).toEqual(getRoleLimits({ role: 'Consumer' }));
+  });
+});
+
+describe('getOriginalExtension', () => {
+  it('keeps a known extension', () => {
+    expect(getOriginalExtension('Clip.MOV', probed())).toBe('.mov');
+  });
+
+  it('names unknown files after the probed container', () => {
+    expect(getOriginalExtension('upload', probed({ format: 'matroska,webm', video: { codec: 'vp9' } }))).toBe('.webm');
+    expect(getOriginalExtension('upload', probed({ format: 'matroska,webm', video: { codec: 'h264' } }))).toBe('.mkv');
+    expect(getOriginalExtension('upload.bin', probed({ format: 'avi' }))).toBe('.avi');
+    expect(getOriginalExtension('upload')).toBe('.mp4');
+  });
+});
+
+describe('validateVideoFile', () => {
+  const consumer = { role: 'Consumer' };
+
+  const expectRejection = async (code, user = consumer) => {
+    const error = await validateVideoFile('clip.mp4', user).catch(rejection => rejection);
+    expect(error).toMatchObject({ statusCode: 422, code });
+    return error;
+  };
+
+  it('returns the metadata of a supported video', async () => {
+    videoProcessor.getVideoMetadata.mockResolvedValue(probed());
+
+    await expect(validateVideoFile('clip.mp4', consumer)).resolves.toMatchObject({ duration: 30 });
+    expect(videoProcessor.generateThumbnailAtTimestamp).toHaveBeenCalledWith('clip.mp4', 29);
+    expect(videoProcessor.cleanupFile).toHaveBeenCalledWith(framePath);
+  });
+
+  it('tells truncated files apart from unreadable ones', async () => {
+    videoProcessor.getVideoMetadata.mockRejectedValue(new Error('moov atom not found'));
+    await expectRejection(MEDIA_ERROR_CODES.TRUNCATED);
+
+    videoProcessor.getVideoMetadata.mockRejectedValue(new Error('Invalid data found when processing input'));
+    await expectRejection(MEDIA_ERROR_CODES.UNREADABLE);
+  });
+
+  it('rejects files without a video track', async () => {
+    videoProcessor.getVideoMetadata.mockResolvedValue(probed({ video: null }));
+    await expectRejection(MEDIA_ERROR_CODES.NO_VIDEO_STREAM);
+  });
+
+  it('rejects unsupported codecs', async () => {
+    videoProcessor.getVideoMetadata.mockResolvedValue(probed({ video: { codec: 'cinepak', width: 640, height: 480 } }));
+    const error = await expectRejection(MEDIA_ERROR_CODES.UNSUPPORTED_VIDEO_CODEC);
+    expect(error.details.codec).toBe('cinepak');
+
+    videoProcessor.getVideoMetadata.mockResolvedValue(probed({ audio: { codec: 'dts' } }));
+    await expectRejection(MEDIA_ERROR_CODES.UNSUPPORTED_AUDIO_CODEC);
+  });
+
+  it('accepts PCM audio', async () => {
+    videoProcessor.getVideoMetadata.mockResolvedValue(probed({ audio: { codec: 'pcm_s16le' } }));
+    await expect(validateVideoFile('clip.mov', consumer)).resolves.toBeDefined();
+  });
+
+  it('rejects videos without a duration', async () => {
+    videoProcessor.getVideoMetadata.mockResolvedValue(probed({ duration: 0 }));
+    await expectRejection(MEDIA_ERROR_CODES.ZERO_DURATION);
+  });
+
+  it('applies the uploader\'s duration limit', async () => {
+    videoProcessor.getVideoMetadata.mockResolvedValue(probed({ duration: 20 * 60 }));
+
+    const error = await expectRejection(MEDIA_ERROR_CODES.DURATION_LIMIT_EXCEEDED);
+    expect(error.details).toEqual({ duration: 20 * 60, maxDuration: getRoleLimits(consumer).maxDuration });
+    await expect(validateVideoFile('clip.mp4', { role: 'Creator' })).resolves.toBeDefined();
+  });
+
+  it('measures resolution on the shorter side', async () => {
+    videoProcessor.getVideoMetadata.mockResolvedValue(probed({ video: { codec: 'h264', width: 1080, height: 1920 } }));
+    await expect(validateVideoFile('portrait.mp4', consumer)).resolves.toBeDefined();
+
+    videoProcessor.getVideoMetadata.mockResolvedValue(probed({ video: { codec: 'hevc', width: 3840, height: 2160 } }));
+    await expectRejection(MEDIA_ERROR_CODES.RESOLUTION_LIMIT_EXCEEDED);
+  });
+
+  it('rejects files whose last frame cannot be decoded', async () => {
+    videoProcessor.getVideoMetadata.mockResolvedValue(probed());
+    videoProcessor.generateThumbnailAtTimestamp.mockRejectedValue(new Error('Output file is empty'));
+
+    await expectRejection(MEDIA_ERROR_CODES.TRUNCATED);
+  });
+});
@@ -0,0 +1,76 @@
+const Video = require('../../models/Video');
+const User = require('../../models/User');
+const UploadSession = require('../../models/UploadSession');
+const storage = require('../storage');
+const { cleanupOrphanedBlobs } = require('../orphanedBlobs');
+
+// Query chain ending in .cursor(), as used for the reference scan
+const queryOf = (documents) => {
+  const query = {
+    select: () => query,
+    lean: () => query,
+    cursor: async function* () {
+      yield* documents;
+    }
+  };
+  return query;
+};
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+describe('cleanupOrphanedBlobs', () => {
+  let blobs;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+
+    jest.spyOn(Video, 'find').mockReturnValue(queryOf([{
+      video: {
+        original: { blobName: 'videos/video_1.mov' },
+        streaming: { prefix: 'streaming/video_1' }
+      },
+      thumbnails: {
+        poster: { blobName: 'video_thumbnails/video_1_poster.jpg' },
+        uploads: [{ index: 0, blobName: 'video_thumbnails/video_1_thumb_0.jpg' }]
+      }
+    }]));
+    jest.spyOn(User, 'find').mockReturnValue(queryOf([{ avatar: { blobName: 'avatars/user_1.jpg' } }]));
+    jest.spyOn(UploadSession, 'find').mockReturnValue(queryOf([{ blobName: 'videos/video_2.mp4' }]));
+
+    blobs = [
+      'videos/video_1.mov',
+      'videos/video_2.mp4',
+      'videos/video_3.mp4',
+      'streaming/video_1/master.m3u8',
+      'video_thumbnails/video_1_poster.jpg',
+      'video_thumbnails/video_1_thumb_0.jpg',
+      'video_thumbnails/video_1_thumb_1.jpg',
+      'avatars/user_1.jpg'
+    ].map(name => ({ name, size: 10, lastModified: hoursAgo(48) }));
+    blobs.push({ name: 'videos/video_4.mp4', size: 10, lastModified: hoursAgo(1) });
+
+    jest.spyOn(storage, 'listBlobs').mockImplementation(async function* (prefix) {
+      yield* blobs.filter(blob => blob.name.startsWith(prefix));
+    });
+    jest.spyOn(storage, 'deleteBlob').mockResolvedValue();
+  });
+
+  it('deletes only old blobs that nothing refers to', async () => {
+    const report = await cleanupOrphanedBlobs({ gracePeriodHours: 24 });
+
+    expect(report.orphaned.map(blob => blob.name).sort()).toEqual([
+      'video_thumbnails/video_1_thumb_1.jpg',
+      'videos/video_3.mp4'
+    ]);
+    expect(report).toMatchObject({ deleted: 2, failed: 0, bytes: 20 });
+    expect(storage.deleteBlob).toHaveBeenCalledTimes(2);
+  });
+
+  it('only reports the orphans on a dry run', async () => {
+    const report = await cleanupOrphanedBlobs({ dryRun: true, gracePeriodHours: 24 });
+
+    expect(report.orphaned).toHaveLength(2);
+    expect(report.deleted).toBe(0);
+    expect(storage.deleteBlob).not.toHaveBeenCalled();
+  });
+});
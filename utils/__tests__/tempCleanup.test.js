@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('sharp', () => jest.fn());
+
+const videoProcessor = require('../videoProcessor');
+const uploadStaging = require('../uploadStaging');
+const jobQueue = require('../jobQueue');
+const { cleanupTempFiles } = require('../tempCleanup');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let tempDir;
+const originalTempDir = videoProcessor.tempDir;
+const originalStagingDir = uploadStaging.stagingDir;
+
+// Create a temp entry last modified the given time ago
+const createEntry = (name, ageMs, { directory = false } = {}) => {
+  const entryPath = path.join(tempDir, name);
+  if (directory) {
+    fs.mkdirSync(path.join(entryPath, 'hls'), { recursive: true });
+    fs.writeFileSync(path.join(entryPath, 'hls', 'index.m3u8'), '#EXTM3U');
+  } else {
+    fs.writeFileSync(entryPath, 'data');
+  }
+  const modifiedAt = new Date(Date.now() - ageMs);
+  fs.utimesSync(entryPath, modifiedAt, modifiedAt);
+  return entryPath;
+};
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'temp-cleanup-test-'));
+  videoProcessor.tempDir = tempDir;
+  uploadStaging.stagingDir = path.join(tempDir, 'uploads');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+afterAll(() => {
+  videoProcessor.tempDir = originalTempDir;
+  uploadStaging.stagingDir = originalStagingDir;
+});
+
+describe('videoProcessor.cleanupOldFiles', () => {
+  it('removes old files and directories and keeps recent ones', () => {
+    const oldFile = createEntry('thumb_1.png', 2 * HOUR_MS);
+    const oldDirectory = createEntry('streaming_1_video_1', 2 * HOUR_MS, { directory: true });
+    const recentFile = createEntry('rendition_2_hd.mp4', 10 * 60 * 1000);
+
+    videoProcessor.cleanupOldFiles();
+
+    expect(fs.existsSync(oldFile)).toBe(false);
+    expect(fs.existsSync(oldDirectory)).toBe(false);
+    expect(fs.existsSync(recentFile)).toBe(true);
+  });
+
+  it('never removes kept paths', () => {
+    const staging = createEntry('uploads', 2 * HOUR_MS, { directory: true });
+
+    videoProcessor.cleanupOldFiles({ keep: [staging] });
+
+    expect(fs.existsSync(staging)).toBe(true);
+  });
+
+  it('keeps going after an entry fails', () => {
+    const first = createEntry('a.png', 2 * HOUR_MS);
+    const second = createEntry('b.png', 2 * HOUR_MS);
+    const rmSync = fs.rmSync;
+    jest.spyOn(fs, 'rmSync').mockImplementation((entryPath, options) => {
+      if (entryPath === first) throw new Error('EBUSY');
+      return rmSync(entryPath, options);
+    });
+
+    videoProcessor.cleanupOldFiles();
+
+    expect(fs.existsSync(first)).toBe(true);
+    expect(fs.existsSync(second)).toBe(false);
+  });
+});
+
+describe('cleanupTempFiles', () => {
+  it('keeps the working files of a job that has been running for hours', () => {
+    jest.spyOn(jobQueue, 'getOldestRunningJobStart').mockReturnValue(Date.now() - 3 * HOUR_MS);
+    const crashed = createEntry('source_1_video_0.mp4', 4 * HOUR_MS);
+    const source = createEntry('source_2_video_1.mp4', 2.5 * HOUR_MS);
+    const rendition = createEntry('rendition_2_hd.mp4', 2 * HOUR_MS);
+
+    cleanupTempFiles();
+
+    expect(fs.existsSync(crashed)).toBe(false);
+    expect(fs.existsSync(source)).toBe(true);
+    expect(fs.existsSync(rendition)).toBe(true);
+  });
+
+  it('removes leftovers older than an hour when no job is running', () => {
+    jest.spyOn(jobQueue, 'getOldestRunningJobStart').mockReturnValue(null);
+    const leftover = createEntry('source_2_video_1.mp4', 2 * HOUR_MS);
+
+    cleanupTempFiles();
+
+    expect(fs.existsSync(leftover)).toBe(false);
+  });
+
+  it('leaves disk-staged uploads alone', () => {
+    jest.spyOn(jobQueue, 'getOldestRunningJobStart').mockReturnValue(null);
+    const staging = createEntry('uploads', 5 * HOUR_MS, { directory: true });
+
+    cleanupTempFiles();
+
+    expect(fs.existsSync(staging)).toBe(true);
+  });
+});
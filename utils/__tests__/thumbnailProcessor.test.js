@@ -0,0 +1,121 @@
+jest.mock('sharp', () => jest.fn());
+
+const sharp = require('sharp');
+const thumbnailProcessor = require('../thumbnailProcessor');
+
+// A sharp pipeline whose raw output is the given 9x8 greyscale pixels
+const mockPixels = (pixels) => {
+  const image = {
+    removeAlpha: () => image,
+    grayscale: () => image,
+    resize: () => image,
+    raw: () => image,
+    toBuffer: async () => Buffer.from(pixels)
+  };
+  sharp.mockReturnValue(image);
+};
+
+const rows = (row) => Array.from({ length: 8 }, () => row).flat();
+
+describe('thumbnailProcessor.perceptualHash', () => {
+  it('sets a bit wherever a pixel is brighter than its right neighbour', async () => {
+    mockPixels(rows([90, 80, 70, 60, 50, 40, 30, 20, 10]));
+    await expect(thumbnailProcessor.perceptualHash('frame.png')).resolves.toBe('ffffffffffffffff');
+
+    mockPixels(rows([10, 20, 30, 40, 50, 60, 70, 80, 90]));
+    await expect(thumbnailProcessor.perceptualHash('frame.png')).resolves.toBe('0000000000000000');
+  });
+
+  it('reads the grid row by row, most significant bit first', async () => {
+    const pixels = rows([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    pixels[0] = 255; // first pixel of the first row
+    pixels[9 * 7 + 7] = 255; // last compared pixel of the last row
+    mockPixels(pixels);
+
+    await expect(thumbnailProcessor.perceptualHash('frame.png')).resolves.toBe('8000000000000001');
+  });
+
+  it('always returns 16 hex digits', async () => {
+    mockPixels(rows([0, 0, 0, 0, 0, 0, 0, 10, 0]));
+    await expect(thumbnailProcessor.perceptualHash('frame.png')).resolves.toBe('0101010101010101');
+  });
+});
+
+describe('thumbnailProcessor.hashDistance', () => {
+  it('counts the differing bits', () => {
+    expect(thumbnailProcessor.hashDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(thumbnailProcessor.hashDistance('0000000000000000', 'ffffffffffffffff')).toBe(64);
+    expect(thumbnailProcessor.hashDistance('8000000000000001', '0000000000000000')).toBe(2);
+    expect(thumbnailProcessor.hashDistance('f0f0f0f0f0f0f0f0', '0f0f0f0f0f0f0f0f')).toBe(64);
+  });
+
+  it('is symmetric', () => {
+    expect(thumbnailProcessor.hashDistance('0123456789abcdef', 'fedcba9876543210'))
+      .toBe(thumbnailProcessor.hashDistance('fedcba9876543210', '0123456789abcdef'));
+  });
+});
+
+describe('thumbnailProcessor.scoreFrame', () => {
+  // A frame with the same statistics on every channel
+  const mockStats = ({ mean, stdev, entropy = 6, sharpness = 3 }) => {
+    const channel = { mean, stdev };
+    sharp.mockReturnValue({
+      stats: async () => ({ channels: [channel, channel, channel], entropy, sharpness })
+    });
+  };
+
+  it('rejects black, white and flat frames', async () => {
+    mockStats({ mean: 5, stdev: 30 });
+    await expect(thumbnailProcessor.scoreFrame('frame.png')).resolves.toMatchObject({ rejected: true });
+
+    mockStats({ mean: 250, stdev: 30 });
+    await expect(thumbnailProcessor.scoreFrame('frame.png')).resolves.toMatchObject({ rejected: true });
+
+    mockStats({ mean: 128, stdev: 4 });
+    await expect(thumbnailProcessor.scoreFrame('frame.png')).resolves.toMatchObject({ rejected: true });
+  });
+
+  it('accepts frames with normal brightness and contrast', async () => {
+    mockStats({ mean: 120, stdev: 50 });
+
+    await expect(thumbnailProcessor.scoreFrame('frame.png')).resolves.toMatchObject({
+      rejected: false,
+      brightness: expect.closeTo(120, 6),
+      contrast: 50
+    });
+  });
+
+  it('ranks every accepted frame above every rejected one', async () => {
+    mockStats({ mean: 60, stdev: 13, entropy: 1, sharpness: 0 });
+    const dull = await thumbnailProcessor.scoreFrame('frame.png');
+
+    mockStats({ mean: 128, stdev: 11, entropy: 8, sharpness: 10 });
+    const flat = await thumbnailProcessor.scoreFrame('frame.png');
+
+    expect(dull.rejected).toBe(false);
+    expect(flat.rejected).toBe(true);
+    expect(dull.score).toBeGreaterThan(flat.score);
+  });
+
+  it('prefers sharper, more detailed frames', async () => {
+    mockStats({ mean: 128, stdev: 40, entropy: 4, sharpness: 1 });
+    const soft = await thumbnailProcessor.scoreFrame('frame.png');
+
+    mockStats({ mean: 128, stdev: 40, entropy: 7, sharpness: 5 });
+    const detailed = await thumbnailProcessor.scoreFrame('frame.png');
+
+    expect(detailed.score).toBeGreaterThan(soft.score);
+  });
+
+  it('scores greyscale frames by their single channel', async () => {
+    sharp.mockReturnValue({
+      stats: async () => ({ channels: [{ mean: 100, stdev: 40 }], entropy: 6, sharpness: 3 })
+    });
+
+    await expect(thumbnailProcessor.scoreFrame('frame.png')).resolves.toMatchObject({
+      rejected: false,
+      brightness: expect.closeTo(100, 6),
+      contrast: 40
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const { parseUploadMetadata } = require('../tusMetadata');
+
+const encode = (value) => Buffer.from(value, 'utf8').toString('base64');
+
+describe('parseUploadMetadata', () => {
+  it('returns an empty object without a header', () => {
+    expect(parseUploadMetadata(undefined)).toEqual({});
+    expect(parseUploadMetadata('')).toEqual({});
+  });
+
+  it('decodes base64 values, including non-ASCII text', () => {
+    const metadata = parseUploadMetadata(
+      `filename ${encode('clip.mp4')},filetype ${encode('video/mp4')},title ${encode('Café à la plage')}`
+    );
+
+    expect(metadata).toMatchObject({
+      filename: 'clip.mp4',
+      filetype: 'video/mp4',
+      title: 'Café à la plage'
+    });
+  });
+
+  it('maps keys sent without a value to an empty string', () => {
+    expect(parseUploadMetadata(`title ${encode('Clip')}, description`)).toMatchObject({
+      title: 'Clip',
+      description: ''
+    });
+  });
+
+  it('accepts the name and type keys used by common tus clients', () => {
+    expect(parseUploadMetadata(`name ${encode('clip.mov')},type ${encode('video/quicktime')}`)).toMatchObject({
+      filename: 'clip.mov',
+      filetype: 'video/quicktime'
+    });
+  });
+
+  it('prefers filename and filetype over the client aliases', () => {
+    const metadata = parseUploadMetadata(
+      `filename ${encode('a.mp4')},name ${encode('b.mp4')},filetype ${encode('video/mp4')},type ${encode('video/webm')}`
+    );
+
+    expect(metadata.filename).toBe('a.mp4');
+    expect(metadata.filetype).toBe('video/mp4');
+  });
+
+  it('splits comma-separated tags', () => {
+    expect(parseUploadMetadata(`tags ${encode('travel, food,,beach ')}`).tags).toEqual(['travel', 'food', 'beach']);
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storage = require('../storage');
+const uploadStaging = require('../uploadStaging');
+
+describe('uploadStaging.getBlockId', () => {
+  it('gives every chunk range its own block ID of a fixed length', () => {
+    const first = uploadStaging.getBlockId(0, 8388608);
+    const overlapping = uploadStaging.getBlockId(0, 4194304);
+    const last = uploadStaging.getBlockId(8388608, 524288000);
+
+    expect(new Set([first, overlapping, last]).size).toBe(3);
+    // Azure requires every block ID of a blob to have the same length
+    expect(overlapping).toHaveLength(first.length);
+    expect(last).toHaveLength(first.length);
+  });
+
+  it('returns the same ID for a retried chunk', () => {
+    expect(uploadStaging.getBlockId(100, 200)).toBe(uploadStaging.getBlockId(100, 200));
+  });
+
+  it('is valid base64', () => {
+    const blockId = uploadStaging.getBlockId(0, 10);
+    expect(Buffer.from(blockId, 'base64').toString('base64')).toBe(blockId);
+  });
+});
+
+describe('uploadStaging.createStaging', () => {
+  it('names the original after the declared container', () => {
+    expect(uploadStaging.createStaging('video_1', '.mov').blobName).toBe(`${storage.getFolder('videos', false)}/video_1.mov`);
+  });
+
+  it('stores private originals under the private prefix', () => {
+    expect(uploadStaging.createStaging('video_1', '.mkv', true).blobName).toBe(`${storage.getFolder('videos', true)}/video_1.mkv`);
+  });
+});
+
+describe('uploadStaging disk staging', () => {
+  const originalMode = uploadStaging.mode;
+  const originalStagingDir = uploadStaging.stagingDir;
+  let tempDir;
+  let session;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'staging-'));
+    uploadStaging.mode = 'disk';
+    uploadStaging.stagingDir = tempDir;
+
+    session = {
+      ...uploadStaging.createStaging('video_1', '.mov'),
+      mimeType: 'video/quicktime',
+      chunks: []
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    uploadStaging.mode = originalMode;
+    uploadStaging.stagingDir = originalStagingDir;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const stage = async (start, contents) => {
+    await uploadStaging.writeChunk(session, start, Buffer.from(contents));
+  };
+
+  it('assembles only the recorded chunks', async () => {
+    let uploaded;
+    jest.spyOn(storage, 'uploadFile').mockImplementation(async (filePath, folder, fileName) => {
+      uploaded = fs.readFileSync(filePath, 'utf8');
+      return { url: 'url', blobName: `${folder}/${fileName}` };
+    });
+
+    await stage(4, 'efgh');
+    await stage(0, 'abcd');
+    // A concurrent overlapping chunk that lost the claim on its range
+    await stage(2, 'XXXX');
+    session.chunks = [{ start: 4, end: 8 }, { start: 0, end: 4 }];
+
+    const result = await uploadStaging.finalize(session);
+
+    expect(uploaded).toBe('abcdefgh');
+    expect(result.blobName).toBe(session.blobName);
+    expect(fs.existsSync(session.stagingPath)).toBe(false);
+  });
+
+  it('replaces the part of a retried chunk', async () => {
+    jest.spyOn(storage, 'uploadFile').mockImplementation(async (filePath) => ({ contents: fs.readFileSync(filePath, 'utf8') }));
+
+    await stage(0, 'abcd');
+    await stage(0, 'ABCD');
+    session.chunks = [{ start: 0, end: 4 }];
+
+    expect((await uploadStaging.finalize(session)).contents).toBe('ABCD');
+    expect(fs.readdirSync(tempDir)).toEqual([]);
+  });
+
+  it('removes the staged parts when discarded', async () => {
+    await stage(0, 'abcd');
+
+    uploadStaging.discard(session);
+
+    expect(fs.existsSync(session.stagingPath)).toBe(false);
+  });
+});
@@ -0,0 +1,167 @@
+jest.mock('../../jobs', () => ({
+  DELETE_VIDEO_BLOBS_JOB: 'video.delete-blobs',
+  PURGE_DELETED_VIDEO_JOB: 'video.purge-deleted'
+}));
+
+const Video = require('../../models/Video');
+const User = require('../../models/User');
+const Comment = require('../../models/Comment');
+const jobQueue = require('../jobQueue');
+const storage = require('../storage');
+const {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  trashVideo,
+  restoreVideo,
+  deleteBlobs,
+  deleteVideo
+} = require('../videoDeletion');
+
+const listing = (names) => async function* () {
+  for (const name of names) yield { name };
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(storage, 'deleteBlob').mockResolvedValue();
+  jest.spyOn(jobQueue, 'enqueue').mockResolvedValue({});
+});
+
+describe('deleteBlobs', () => {
+  it('deletes the blobs and everything under the prefixes', async () => {
+    jest.spyOn(storage, 'listBlobs').mockImplementation(listing(['streaming/video_1/master.m3u8']));
+
+    const result = await deleteBlobs(['videos/video_1.mp4'], ['streaming/video_1']);
+
+    expect(storage.listBlobs).toHaveBeenCalledWith('streaming/video_1/');
+    expect(storage.deleteBlob).toHaveBeenCalledWith('videos/video_1.mp4');
+    expect(storage.deleteBlob).toHaveBeenCalledWith('streaming/video_1/master.m3u8');
+    expect(result).toEqual({ deleted: 2, blobNames: [], prefixes: [] });
+  });
+
+  it('returns the blobs and prefixes that could not be deleted', async () => {
+    jest.spyOn(storage, 'listBlobs').mockImplementation(async function* () {
+      throw new Error('listing failed');
+    });
+    storage.deleteBlob.mockImplementation(async (blobName) => {
+      if (blobName === 'video_thumbnails/video_1_poster.jpg') throw new Error('delete failed');
+    });
+
+    const result = await deleteBlobs(
+      ['videos/video_1.mp4', 'video_thumbnails/video_1_poster.jpg'],
+      ['streaming/video_1']
+    );
+
+    expect(result).toEqual({
+      deleted: 1,
+      blobNames: ['video_thumbnails/video_1_poster.jpg'],
+      prefixes: ['streaming/video_1']
+    });
+  });
+});
+
+describe('deleteVideo', () => {
+  const createVideo = (fields) => new Video({
+    title: 'Clip',
+    creatorId: '507f1f77bcf86cd799439011',
+    video: {
+      original: { url: 'url', blobName: 'videos/video_1.mp4' },
+      streaming: { prefix: 'streaming/video_1' }
+    },
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Video, 'findByIdAndDelete').mockImplementation(async (id) => ({ _id: id }));
+    jest.spyOn(Comment, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    jest.spyOn(storage, 'listBlobs').mockImplementation(listing(['streaming/video_1/master.m3u8']));
+  });
+
+  it('deletes the record, comments and blobs and takes the video off the count', async () => {
+    const video = createVideo();
+
+    const result = await deleteVideo(video);
+
+    expect(result).toEqual({ blobsDeleted: 2, blobsPending: 0, commentsDeleted: 2 });
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: video.creatorId, 'stats.videosCount': { $gt: 0 } },
+      { $inc: { 'stats.videosCount': -1 } }
+    );
+    expect(jobQueue.enqueue).not.toHaveBeenCalled();
+  });
+
+  it('retries the blobs that could not be deleted in a job', async () => {
+    storage.deleteBlob.mockRejectedValue(new Error('delete failed'));
+    storage.listBlobs.mockImplementation(async function* () {
+      throw new Error('listing failed');
+    });
+    const video = createVideo();
+
+    const result = await deleteVideo(video);
+
+    expect(result.blobsPending).toBe(2);
+    expect(jobQueue.enqueue).toHaveBeenCalledWith('video.delete-blobs', {
+      videoId: video._id,
+      blobNames: ['videos/video_1.mp4'],
+      prefixes: ['streaming/video_1']
+    }, { maxAttempts: 5 });
+  });
+
+  it('does not take a video in the trash off the count again', async () => {
+    await deleteVideo(createVideo({ deletedAt: new Date() }));
+
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('leaves the cleanup to the request that deleted the record', async () => {
+    Video.findByIdAndDelete.mockResolvedValue(null);
+
+    const result = await deleteVideo(createVideo());
+
+    expect(result).toEqual({ blobsDeleted: 0, blobsPending: 0, commentsDeleted: 0 });
+    expect(storage.deleteBlob).not.toHaveBeenCalled();
+  });
+});
+
+describe('video trash', () => {
+  let video;
+
+  beforeEach(() => {
+    video = new Video({ title: 'Clip', creatorId: '507f1f77bcf86cd799439011' });
+    jest.spyOn(video, 'save').mockResolvedValue(video);
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+  });
+
+  it('purges a video the retention period after it was trashed', () => {
+    const deletedAt = new Date('2026-01-01T00:00:00Z');
+
+    expect(getPurgeDate(deletedAt).getTime() - deletedAt.getTime())
+      .toBe(TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  });
+
+  it('takes a trashed video off the count and schedules its purge', async () => {
+    const purgeAt = await trashVideo(video, 'admin_id');
+
+    expect(video.deletedAt).toBeInstanceOf(Date);
+    expect(purgeAt).toEqual(getPurgeDate(video.deletedAt));
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: video.creatorId, 'stats.videosCount': { $gt: 0 } },
+      { $inc: { 'stats.videosCount': -1 } }
+    );
+    expect(jobQueue.enqueue).toHaveBeenCalledWith('video.purge-deleted', { videoId: video._id }, { runAt: purgeAt });
+  });
+
+  it('counts a restored video again', async () => {
+    video.deletedAt = new Date();
+
+    await restoreVideo(video);
+
+    expect(video.deletedAt).toBeNull();
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: video.creatorId },
+      { $inc: { 'stats.videosCount': 1 } }
+    );
+  });
+});
@@ -0,0 +1,189 @@
+jest.mock('sharp', () => jest.fn());
+jest.mock('../../models/Video', () => ({ find: jest.fn() }));
+jest.mock('../videoProcessor', () => ({
+  generateThumbnailAtTimestamp: jest.fn(),
+  cleanupFile: jest.fn()
+}));
+
+const Video = require('../../models/Video');
+const videoProcessor = require('../videoProcessor');
+const thumbnailProcessor = require('../thumbnailProcessor');
+const {
+  computeFrameHashes,
+  compareFrameHashes,
+  isConclusiveMatch,
+  screenUpload
+} = require('../videoFingerprint');
+
+const HASHES = [
+  '0123456789abcdef', '1123456789abcdef', '2123456789abcdef', '3123456789abcdef',
+  '4123456789abcdef', '5123456789abcdef', '6123456789abcdef', '7123456789abcdef'
+];
+const FLAT = '0000000000000000';
+
+const uploader = { _id: 'uploader', role: 'Creator' };
+const metadata = { duration: 80, video: { codec: 'h264', width: 1280, height: 720 } };
+
+// Frame i of the video hashes to hashes[i]; null frames are blank
+const mockFrames = (hashes) => {
+  videoProcessor.generateThumbnailAtTimestamp.mockImplementation(async (input, timestamp) =>
+    `frame_${Math.floor(timestamp / 10)}.png`
+  );
+  const hashOf = (framePath) => hashes[parseInt(framePath.match(/\d+/)[0])];
+  jest.spyOn(thumbnailProcessor, 'scoreFrame').mockImplementation(async (framePath) => ({
+    rejected: hashOf(framePath) === null
+  }));
+  jest.spyOn(thumbnailProcessor, 'perceptualHash').mockImplementation(async (framePath) => hashOf(framePath));
+};
+
+// Video.find(...).select(...).limit(...).lean() resolving to the given videos
+const mockExistingVideos = (videos) => {
+  const query = {
+    select: () => query,
+    limit: () => query,
+    lean: async () => videos
+  };
+  Video.find.mockReturnValue(query);
+};
+
+const existingVideo = (creatorId, frameHashes) => ({
+  _id: `video_of_${creatorId}`,
+  title: 'Existing',
+  creatorId,
+  visibility: 'public',
+  createdAt: new Date('2024-01-01'),
+  fingerprint: { algorithm: 'dhash64-8', duration: 80, frameHashes }
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('computeFrameHashes', () => {
+  it('hashes frames spread over the duration and cleans them up', async () => {
+    mockFrames(HASHES);
+
+    await expect(computeFrameHashes('clip.mp4', metadata)).resolves.toEqual(HASHES);
+    expect(videoProcessor.generateThumbnailAtTimestamp.mock.calls.map(call => call[1]))
+      .toEqual([5, 15, 25, 35, 45, 55, 65, 75]);
+    expect(videoProcessor.cleanupFile).toHaveBeenCalledTimes(8);
+  });
+
+  it('leaves out blank frames and frames without gradients', async () => {
+    mockFrames([null, HASHES[1], FLAT, ...HASHES.slice(3)]);
+
+    const hashes = await computeFrameHashes('clip.mp4', metadata);
+    expect(hashes.slice(0, 3)).toEqual([null, HASHES[1], null]);
+  });
+
+  it('leaves out frames that fail to extract', async () => {
+    mockFrames(HASHES);
+    videoProcessor.generateThumbnailAtTimestamp.mockRejectedValueOnce(new Error('ffmpeg exited with code 1'));
+
+    const hashes = await computeFrameHashes('clip.mp4', metadata);
+    expect(hashes[0]).toBeNull();
+    expect(hashes.slice(1)).toEqual(HASHES.slice(1));
+  });
+
+  it('stops extracting once the deadline has passed', async () => {
+    mockFrames(HASHES);
+
+    const hashes = await computeFrameHashes('clip.mp4', metadata, { deadline: Date.now() - 1 });
+    expect(hashes).toEqual(Array(8).fill(null));
+    expect(videoProcessor.generateThumbnailAtTimestamp).not.toHaveBeenCalled();
+  });
+
+  it('bounds each extraction by the time left', async () => {
+    mockFrames(HASHES);
+
+    await computeFrameHashes('clip.mp4', metadata, { deadline: Date.now() + 20000 });
+    const [, , , options] = videoProcessor.generateThumbnailAtTimestamp.mock.calls[0];
+    expect(options.timeout).toBeGreaterThan(0);
+    expect(options.timeout).toBeLessThanOrEqual(20);
+  });
+});
+
+describe('compareFrameHashes', () => {
+  it('averages the distance over the frames both videos have', () => {
+    const other = [...HASHES];
+    other[0] = '7123456789abcdef'; // 3 bits from HASHES[0]
+
+    expect(compareFrameHashes(HASHES, other)).toEqual({ distance: 3 / 8, frames: 8 });
+  });
+
+  it('skips frames missing from either side', () => {
+    const a = [null, ...HASHES.slice(1)];
+    const b = [...HASHES.slice(0, 7), null];
+
+    expect(compareFrameHashes(a, b)).toEqual({ distance: 0, frames: 6 });
+  });
+
+  it('refuses to compare too few frames', () => {
+    const sparse = [HASHES[0], HASHES[1], HASHES[2], null, null, null, null, null];
+    expect(compareFrameHashes(sparse, HASHES)).toBeNull();
+    expect(compareFrameHashes(undefined, HASHES)).toBeNull();
+  });
+});
+
+describe('isConclusiveMatch', () => {
+  it('trusts exact matches and near matches over enough frames', () => {
+    expect(isConclusiveMatch({ match: 'exact', frames: null })).toBe(true);
+    expect(isConclusiveMatch({ match: 'near', frames: 6 })).toBe(true);
+    expect(isConclusiveMatch({ match: 'near', frames: 5 })).toBe(false);
+  });
+});
+
+describe('screenUpload', () => {
+  it('rejects an upload matching another creator\'s video on enough frames', async () => {
+    mockFrames(HASHES);
+    mockExistingVideos([existingVideo('someone_else', HASHES)]);
+
+    const error = await screenUpload('https://storage/clip.mp4', metadata, uploader, { contentHash: false })
+      .catch(rejection => rejection);
+
+    expect(error).toMatchObject({ statusCode: 409, code: 'MEDIA_DUPLICATE' });
+    expect(error.details.matches).toEqual([
+      expect.objectContaining({ videoId: 'video_of_someone_else', match: 'near', similarity: 1, own: false })
+    ]);
+  });
+
+  it('only warns when too few informative frames match', async () => {
+    const mostlyBlank = [HASHES[0], HASHES[1], HASHES[2], HASHES[3], null, null, null, null];
+    mockFrames(mostlyBlank);
+    mockExistingVideos([existingVideo('someone_else', HASHES)]);
+
+    const { fingerprint, warnings } = await screenUpload('https://storage/clip.mp4', metadata, uploader, { contentHash: false });
+
+    expect(fingerprint.frameHashes).toEqual(mostlyBlank);
+    expect(warnings).toEqual([expect.objectContaining({ code: 'POSSIBLE_DUPLICATE' })]);
+  });
+
+  it('does not match uploads whose frames are all blank', async () => {
+    mockFrames([null, FLAT, null, FLAT, null, FLAT, null, FLAT]);
+    mockExistingVideos([existingVideo('someone_else', Array(8).fill(FLAT))]);
+
+    const { warnings } = await screenUpload('https://storage/black.mp4', metadata, uploader, { contentHash: false });
+
+    expect(warnings).toEqual([]);
+    expect(Video.find).not.toHaveBeenCalled();
+  });
+
+  it('warns about, but accepts, a re-upload of the uploader\'s own video', async () => {
+    mockFrames(HASHES);
+    mockExistingVideos([{ ...existingVideo('uploader', HASHES), visibility: 'private' }]);
+
+    const { warnings } = await screenUpload('https://storage/clip.mp4', metadata, uploader, { contentHash: false });
+
+    expect(warnings).toEqual([
+      expect.objectContaining({
+        code: 'DUPLICATE_OF_OWN_VIDEO',
+        matches: [expect.objectContaining({ videoId: 'video_of_uploader', own: true })]
+      })
+    ]);
+  });
+});
@@ -0,0 +1,107 @@
+jest.mock('../../models/Video', () => jest.fn().mockImplementation(function(doc) {
+  Object.assign(this, doc, { _id: 'video_id' });
+  this.save = jest.fn().mockResolvedValue(this);
+}));
+jest.mock('../../models/User', () => ({ findByIdAndUpdate: jest.fn() }));
+jest.mock('../../models/UploadSession', () => ({ findOneAndUpdate: jest.fn() }));
+jest.mock('../../jobs', () => ({ PROCESS_VIDEO_JOB: 'video.process' }));
+jest.mock('../storage', () => ({
+  getSignedReadUrl: jest.fn(blobName => `https://storage/${blobName}?sig`),
+  getBlobUrl: jest.fn(blobName => `https://storage/${blobName}`),
+  copyBlob: jest.fn(async (source, destination) => ({ url: `https://storage/${destination}`, blobName: destination })),
+  deleteBlob: jest.fn().mockResolvedValue(),
+  stat: jest.fn(),
+  getFolder: jest.fn((folder, isPrivate) => (isPrivate ? `private/${folder}` : folder))
+}));
+jest.mock('../jobQueue', () => ({ enqueue: jest.fn() }));
+jest.mock('../uploadStaging', () => ({ finalize: jest.fn() }));
+jest.mock('../videoProcessor', () => ({}));
+jest.mock('../videoMedia', () => ({ isPrivateVisibility: visibility => visibility === 'private' }));
+jest.mock('../videoFingerprint', () => ({ screenUpload: jest.fn() }));
+jest.mock('../mediaValidation', () => ({
+  ...jest.requireActual('../mediaValidation'),
+  validateVideoFile: jest.fn()
+}));
+
+const UploadSession = require('../../models/UploadSession');
+const storage = require('../storage');
+const jobQueue = require('../jobQueue');
+const uploadStaging = require('../uploadStaging');
+const { screenUpload } = require('../videoFingerprint');
+const { validateVideoFile } = require('../mediaValidation');
+const { finalizeUploadSession } = require('../videoIngest');
+
+const user = { _id: 'creator', role: 'Creator' };
+
+const claimSession = (fileName, blobName) => {
+  const session = {
+    _id: 'session_id',
+    status: 'finalizing',
+    videoPublicId: 'video_1',
+    fileName,
+    mimeType: 'video/quicktime',
+    totalSize: 1000,
+    blobName,
+    video: { title: 'Clip', visibility: 'public', tags: [], stripLocation: true },
+    save: jest.fn().mockResolvedValue()
+  };
+  UploadSession.findOneAndUpdate.mockResolvedValue(session);
+  uploadStaging.finalize.mockResolvedValue({ url: `https://storage/${blobName}`, blobName });
+  return session;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  screenUpload.mockResolvedValue({ fingerprint: { frameHashes: [] }, warnings: [] });
+});
+
+describe('finalizeUploadSession', () => {
+  it('keeps a resumable .mov upload under its own extension', async () => {
+    claimSession('clip.mov', 'videos/video_1.mov');
+    validateVideoFile.mockResolvedValue({ format: 'mov,mp4,m4a,3gp,3g2,mj2', video: { codec: 'prores' } });
+
+    const { video, session } = await finalizeUploadSession({ _id: 'session_id' }, user);
+
+    expect(video.video.original).toMatchObject({ blobName: 'videos/video_1.mov', url: 'https://storage/videos/video_1.mov' });
+    expect(video.privacy.stripLocation).toBe(true);
+    expect(storage.copyBlob).not.toHaveBeenCalled();
+    expect(jobQueue.enqueue).toHaveBeenCalledWith('video.process', { videoId: 'video_id', videoPublicId: 'video_1' });
+    expect(session.status).toBe('completed');
+  });
+
+  it('renames an original whose file name did not tell its container', async () => {
+    claimSession('clip', 'videos/video_1.mp4');
+    validateVideoFile.mockResolvedValue({ format: 'matroska,webm', video: { codec: 'h264' } });
+
+    const { video } = await finalizeUploadSession({ _id: 'session_id' }, user);
+
+    expect(storage.copyBlob).toHaveBeenCalledWith('videos/video_1.mp4', 'videos/video_1.mkv');
+    expect(storage.deleteBlob).toHaveBeenCalledWith('videos/video_1.mp4');
+    expect(video.video.original.blobName).toBe('videos/video_1.mkv');
+  });
+
+  it('lets the client retry after a failure that is not about the file', async () => {
+    const session = claimSession('clip.mov', 'videos/video_1.mov');
+    validateVideoFile.mockRejectedValue(new Error('connect ETIMEDOUT'));
+
+    await expect(finalizeUploadSession({ _id: 'session_id' }, user)).rejects.toThrow('ETIMEDOUT');
+    expect(session.status).toBe('active');
+  });
+
+  it('cancels the session when the file is rejected', async () => {
+    const session = claimSession('clip.mov', 'videos/video_1.mov');
+    validateVideoFile.mockResolvedValue({ format: 'mov,mp4,m4a,3gp,3g2,mj2', video: { codec: 'h264' } });
+    screenUpload.mockRejectedValue(Object.assign(new Error('duplicate'), { code: 'MEDIA_DUPLICATE', statusCode: 409 }));
+
+    await expect(finalizeUploadSession({ _id: 'session_id' }, user)).rejects.toMatchObject({ statusCode: 409 });
+    expect(session.status).toBe('cancelled');
+    expect(storage.deleteBlob).toHaveBeenCalledWith('videos/video_1.mov');
+  });
+
+  it('does nothing for a session that is no longer active', async () => {
+    UploadSession.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(finalizeUploadSession({ _id: 'session_id' }, user)).resolves.toBeNull();
+    expect(uploadStaging.finalize).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,114 @@
+// sharp's native binary is not needed to parse tags
+jest.mock('sharp', () => jest.fn());
+
+const videoProcessor = require('../videoProcessor');
+
+describe('videoProcessor.parseIso6709', () => {
+  it('parses decimal degrees and ignores the altitude', () => {
+    expect(videoProcessor.parseIso6709('+37.3349-122.0090+042.000/')).toEqual({
+      type: 'Point',
+      coordinates: [-122.009, 37.3349]
+    });
+  });
+
+  it('parses degrees and decimal minutes', () => {
+    const { coordinates: [longitude, latitude] } = videoProcessor.parseIso6709('+4830.00+00215.00/');
+    expect(latitude).toBeCloseTo(48.5, 6);
+    expect(longitude).toBeCloseTo(2.25, 6);
+  });
+
+  it('parses degrees, minutes and seconds in the southern and western hemispheres', () => {
+    const { coordinates: [longitude, latitude] } = videoProcessor.parseIso6709('-335130+1511245/');
+    expect(latitude).toBeCloseTo(-(33 + 51 / 60 + 30 / 3600), 6);
+    expect(longitude).toBeCloseTo(151 + 12 / 60 + 45 / 3600, 6);
+  });
+
+  it('rejects values that are missing, malformed or out of range', () => {
+    expect(videoProcessor.parseIso6709(undefined)).toBeNull();
+    expect(videoProcessor.parseIso6709('37.3349,-122.0090')).toBeNull();
+    expect(videoProcessor.parseIso6709('+91.0000+010.0000/')).toBeNull();
+    expect(videoProcessor.parseIso6709('+10.0000+181.0000/')).toBeNull();
+  });
+
+  it('treats a zero position as no fix', () => {
+    expect(videoProcessor.parseIso6709('+00.0000+000.0000/')).toBeNull();
+  });
+});
+
+describe('videoProcessor.parseRecordingDate', () => {
+  it('parses UTC timestamps', () => {
+    expect(videoProcessor.parseRecordingDate('2024-05-01T12:30:00.000000Z').toISOString())
+      .toBe('2024-05-01T12:30:00.000Z');
+  });
+
+  it('parses QuickTime offsets written without a colon', () => {
+    expect(videoProcessor.parseRecordingDate('2024-05-01T14:30:00+0200').toISOString())
+      .toBe('2024-05-01T12:30:00.000Z');
+  });
+
+  it('ignores missing, invalid, placeholder and future dates', () => {
+    expect(videoProcessor.parseRecordingDate(undefined)).toBeNull();
+    expect(videoProcessor.parseRecordingDate('not a date')).toBeNull();
+    expect(videoProcessor.parseRecordingDate('1970-01-01T00:00:00.000000Z')).toBeNull();
+
+    const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+    expect(videoProcessor.parseRecordingDate(nextWeek)).toBeNull();
+  });
+});
+
+describe('videoProcessor.parseCaptureMetadata', () => {
+  it('reads the camera, recording date and location from QuickTime tags', () => {
+    const capture = videoProcessor.parseCaptureMetadata({
+      streams: [{ tags: { creation_time: '2024-05-01T12:30:00.000000Z' } }],
+      format: {
+        tags: {
+          'com.apple.quicktime.make': 'Apple',
+          'com.apple.quicktime.model': 'iPhone 15 Pro',
+          'com.apple.quicktime.creationdate': '2024-05-01T14:29:58+0200',
+          'com.apple.quicktime.location.ISO6709': '+37.3349-122.0090+042.000/'
+        }
+      }
+    });
+
+    expect(capture.camera).toEqual({ make: 'Apple', model: 'iPhone 15 Pro' });
+    expect(capture.recordedAt.toISOString()).toBe('2024-05-01T12:29:58.000Z');
+    expect(capture.location.coordinates).toEqual([-122.009, 37.3349]);
+  });
+
+  it('prefers container tags over stream tags', () => {
+    const capture = videoProcessor.parseCaptureMetadata({
+      streams: [{ tags: { make: 'Stream' } }],
+      format: { tags: { make: 'Container' } }
+    });
+
+    expect(capture.camera).toEqual({ make: 'Container', model: null });
+  });
+
+  it('returns null for everything missing', () => {
+    expect(videoProcessor.parseCaptureMetadata({ streams: [{}], format: {} })).toEqual({
+      camera: null,
+      recordedAt: null,
+      location: null
+    });
+  });
+});
+
+describe('videoProcessor.uploadVideoToStorage', () => {
+  const metadata = { duration: 12, size: 1000, video: { width: 1920, height: 1080 } };
+
+  it('records the container of an original already in storage', async () => {
+    for (const [blobName, format] of [
+      ['videos/video_1.mov', 'mov'],
+      ['private/videos/video_1.webm', 'webm'],
+      ['videos/video_1.MKV', 'mkv'],
+      ['videos/video_1.mp4', 'mp4']
+    ]) {
+      const { original } = await videoProcessor.uploadVideoToStorage('source.tmp', 'video_1', metadata, [], {
+        url: `https://storage/${blobName}`,
+        blobName
+      });
+
+      expect(original).toMatchObject({ blobName, format, duration: 12, bytes: 1000 });
+    }
+  });
+});
@@ -0,0 +1,187 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+// Lane for job types registered without one
+const DEFAULT_LANE = 'default';
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}_${process.pid}`;
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+    this.leaseMs = parseInt(process.env.JOB_LEASE_MS) || 5 * 60 * 1000;
+    this.running = false;
+    // Each lane claims and runs its own job types one at a time, so a long
+    // job in one lane does not hold up the others
+    this.lanes = new Map();
+    // Start times of the jobs running in this process, by job ID
+    this.runningJobs = new Map();
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job) => void; throwing schedules a retry
+   * @param {Object} options - Handler options
+   * @param {Function} options.onFailed - async (job, error) => void, called once
+   *   the job has used up all of its attempts
+   * @param {string} options.lane - Lane the job type runs in (default: 'default')
+   */
+  registerHandler(type, handler, options = {}) {
+    const laneName = options.lane || DEFAULT_LANE;
+    if (!this.lanes.has(laneName)) {
+      this.lanes.set(laneName, { name: laneName, types: [], polling: false, timer: null });
+    }
+
+    const lane = this.lanes.get(laneName);
+    if (!lane.types.includes(type)) {
+      lane.types.push(type);
+    }
+    this.handlers.set(type, { handler, onFailed: options.onFailed, lane });
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {Object} payload - Data passed to the handler
+   * @param {Object} options - Job options (maxAttempts, backoffMs, runAt)
+   * @returns {Promise<Object>} Created job document
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const job = await Job.create({
+      type,
+      payload,
+      ...options
+    });
+
+    // Pick it up right away if this process is running a worker
+    if (this.running && this.handlers.has(type)) {
+      this.schedule(this.handlers.get(type).lane, 0);
+    }
+
+    return job;
+  }
+
+  /**
+   * Start the in-process worker loop of every lane
+   */
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    for (const lane of this.lanes.values()) {
+      console.log(`Job worker ${this.workerId} started ${lane.name} lane for: ${lane.types.join(', ')}`);
+      this.schedule(lane, 0);
+    }
+  }
+
+  /**
+   * Stop polling for new jobs. A job already running keeps its lease and is
+   * picked up again by another worker if this process exits before it ends.
+   */
+  stop() {
+    this.running = false;
+    for (const lane of this.lanes.values()) {
+      clearTimeout(lane.timer);
+      lane.timer = null;
+    }
+  }
+
+  /**
+   * Get when the longest-running job of this process started
+   * @returns {number|null} Start time (ms since epoch), or null if no job is running
+   */
+  getOldestRunningJobStart() {
+    return this.runningJobs.size ? Math.min(...this.runningJobs.values()) : null;
+  }
+
+  schedule(lane, delayMs) {
+    if (!this.running || lane.polling) return;
+
+    clearTimeout(lane.timer);
+    lane.timer = setTimeout(() => this.poll(lane), delayMs);
+  }
+
+  /**
+   * Run a lane's claimable jobs one at a time until none are left, then wait
+   * @param {Object} lane - Lane to poll
+   */
+  async poll(lane) {
+    lane.polling = true;
+
+    try {
+      while (this.running) {
+        const job = await Job.claimNext(lane.types, this.workerId, this.leaseMs);
+        if (!job) break;
+
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error(`Job worker error in ${lane.name} lane:`, error);
+    } finally {
+      lane.polling = false;
+      this.schedule(lane, this.pollIntervalMs);
+    }
+  }
+
+  /**
+   * Run a claimed job, keeping its lease alive and recording the outcome
+   * @param {Object} job - Claimed job document
+   */
+  async runJob(job) {
+    const { handler, onFailed } = this.handlers.get(job.type);
+
+    // A job whose worker died on its final attempt has nothing left to retry
+    if (job.attempts > job.maxAttempts) {
+      const error = new Error('Job lease expired on its final attempt');
+      if (await job.markFailed(error)) {
+        await this.notifyFailed(job, error, onFailed);
+      }
+      return;
+    }
+
+    this.runningJobs.set(job._id.toString(), Date.now());
+    const heartbeat = setInterval(() => {
+      job.extendLease(this.leaseMs).catch(error => {
+        console.error(`Failed to extend lease for job ${job._id}:`, error);
+      });
+    }, Math.floor(this.leaseMs / 3));
+
+    try {
+      console.log(`Running job ${job._id} (${job.type}), attempt ${job.attempts}/${job.maxAttempts}`);
+      await handler(job);
+
+      if (!await job.markCompleted()) {
+        this.reportLostLease(job);
+      }
+    } catch (error) {
+      console.error(`Job ${job._id} (${job.type}) failed:`, error);
+
+      if (!await job.markFailed(error)) {
+        this.reportLostLease(job);
+      } else if (job.status === 'failed') {
+        await this.notifyFailed(job, error, onFailed);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.runningJobs.delete(job._id.toString());
+    }
+  }
+
+  // The lease ran out and another worker claimed the job; its outcome is theirs to record
+  reportLostLease(job) {
+    console.error(`Job ${job._id} (${job.type}) lost its lease to another worker, outcome not recorded`);
+  }
+
+  async notifyFailed(job, error, onFailed) {
+    if (!onFailed) return;
+
+    try {
+      await onFailed(job, error);
+    } catch (hookError) {
+      console.error(`Failure hook for job ${job._id} (${job.type}) failed:`, hookError);
+    }
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const videoProcessor = require('./videoProcessor');
+
+// Error codes returned to clients when an upload is rejected
+const MEDIA_ERROR_CODES = {
+  UNREADABLE: 'MEDIA_UNREADABLE',
+  TRUNCATED: 'MEDIA_TRUNCATED',
+  NO_VIDEO_STREAM: 'MEDIA_NO_VIDEO_STREAM',
+  UNSUPPORTED_VIDEO_CODEC: 'MEDIA_UNSUPPORTED_VIDEO_CODEC',
+  UNSUPPORTED_AUDIO_CODEC: 'MEDIA_UNSUPPORTED_AUDIO_CODEC',
+  ZERO_DURATION: 'MEDIA_ZERO_DURATION',
+  DURATION_LIMIT_EXCEEDED: 'MEDIA_DURATION_LIMIT_EXCEEDED',
+  RESOLUTION_LIMIT_EXCEEDED: 'MEDIA_RESOLUTION_LIMIT_EXCEEDED',
+  DUPLICATE: 'MEDIA_DUPLICATE',
+  UNSUPPORTED_FILE_TYPE: 'MEDIA_UNSUPPORTED_FILE_TYPE',
+  FILE_TOO_LARGE: 'MEDIA_FILE_TOO_LARGE'
+};
+
+// Codecs the processing pipeline can decode (ffprobe codec_name)
+const SUPPORTED_VIDEO_CODECS = [
+  'h264', 'hevc', 'vp8', 'vp9', 'av1', 'mpeg4', 'mpeg2video', 'mpeg1video',
+  'prores', 'dnxhd', 'mjpeg', 'theora', 'wmv2', 'wmv3', 'vc1', 'flv1'
+];
+const SUPPORTED_AUDIO_CODECS = [
+  'aac', 'mp3', 'mp2', 'opus', 'vorbis', 'ac3', 'eac3', 'flac', 'alac', 'wmav2'
+];
+
+// Per-role limits. Duration is in seconds, resolution is the shorter side of
+// the displayed picture (same measure as the rendition ladder).
+const ROLE_LIMITS = {
+  Consumer: { maxDuration: 10 * 60, maxResolution: 1080 },
+  Creator: { maxDuration: 4 * 60 * 60, maxResolution: 2160 },
+  Admin: { maxDuration: 12 * 60 * 60, maxResolution: 4320 }
+};
+
+// File extensions the stored original may keep; anything else is named after
+// its container. Each needs a muxer in videoProcessor's REMUX_FORMATS.
+const ORIGINAL_EXTENSIONS = ['.mp4', '.m4v', '.mov', '.webm', '.mkv', '.avi', '.wmv', '.flv', '.mpg', '.mpeg', '.ts', '.3gp'];
+
+// Seconds before the end at which the last frame is decoded
+const TAIL_CHECK_SECONDS = 1;
+
+/**
+ * Build a rejected-media error
+ * @param {string} code - One of MEDIA_ERROR_CODES
+ * @param {string} message - Human readable reason
+ * @param {Object} details - Extra data for the client (limits, detected values)
+ * @param {number} statusCode - HTTP status (422 for invalid media, 409 for duplicates)
+ * @returns {Error} Error with statusCode, code and details
+ */
+const createMediaError = (code, message, details = {}, statusCode = 422) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Check whether an error is a media validation rejection
+ * @param {Error} error - Any error
+ * @returns {boolean} True for errors from validateVideoFile and duplicate checks
+ */
+const isMediaValidationError = (error) => Object.values(MEDIA_ERROR_CODES).includes(error?.code);
+
+/**
+ * Check whether an incoming file looks like a video, before it is probed.
+ * Browsers send generic types for some containers (.mkv, .flv), so a known
+ * video extension is accepted too.
+ * @param {string} fileName - Uploaded file name
+ * @param {string} mimeType - Declared MIME type
+ * @returns {boolean} True if the file may be a video
+ */
+const isVideoFileType = (fileName, mimeType) =>
+  Boolean(mimeType?.startsWith('video/')) ||
+  ORIGINAL_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+
+/**
+ * Build the error for an upload that is not a video
+ * @param {string} fileName - Uploaded file name
+ * @param {string} mimeType - Declared MIME type
+ * @returns {Error} Media error with statusCode 415
+ */
+const createUnsupportedFileTypeError = (fileName, mimeType) => createMediaError(
+  MEDIA_ERROR_CODES.UNSUPPORTED_FILE_TYPE,
+  'Only video files are allowed.',
+  { fileName, mimeType, extensions: ORIGINAL_EXTENSIONS },
+  415
+);
+
+/**
+ * Get the limits that apply to a user
+ * @param {Object} user - Uploading user
+ * @returns {Object} { maxDuration, maxResolution }
+ */
+const getRoleLimits = (user) => ROLE_LIMITS[user?.role] || ROLE_LIMITS.Consumer;
+
+/**
+ * Probe a file, turning ffprobe failures into media errors
+ * @param {string} input - Local file path or URL
+ * @returns {Promise<Object>} Metadata from videoProcessor.getVideoMetadata
+ */
+const probe = async (input) => {
+  try {
+    return await videoProcessor.getVideoMetadata(input);
+  } catch (error) {
+    if (/moov atom not found|partial file|end of file|truncat/i.test(error.message)) {
+      throw createMediaError(MEDIA_ERROR_CODES.TRUNCATED, 'The video file is incomplete. Upload it again.');
+    }
+    throw createMediaError(MEDIA_ERROR_CODES.UNREADABLE, 'The file could not be read as a video.');
+  }
+};
+
+/**
+ * Decode a frame near the end of the video. A container whose index points
+ * past the end of the data probes fine but yields no frame there.
+ * @param {string} input - Local file path or URL
+ * @param {number} duration - Probed duration in seconds
+ * @returns {Promise<boolean>} True if a frame was decoded
+ */
+const canDecodeTail = async (input, duration) => {
+  let framePath;
+  try {
+    framePath = await videoProcessor.generateThumbnailAtTimestamp(input, Math.max(0, duration - TAIL_CHECK_SECONDS));
+    return fs.existsSync(framePath) && fs.statSync(framePath).size > 0;
+  } catch (error) {
+    return false;
+  } finally {
+    if (framePath) videoProcessor.cleanupFile(framePath);
+  }
+};
+
+/**
+ * Check that an uploaded file is a complete, supported video within the
+ * uploader's limits. Throws an error with statusCode 422, a code from
+ * MEDIA_ERROR_CODES and details when it is not.
+ * @param {string} input - Local file path or (signed) URL of the upload
+ * @param {Object} user - Uploading user, for the role limits
+ * @returns {Promise<Object>} Metadata from videoProcessor.getVideoMetadata
+ */
+const validateVideoFile = async (input, user) => {
+  const metadata = await probe(input);
+  const limits = getRoleLimits(user);
+
+  if (!metadata.video) {
+    throw createMediaError(MEDIA_ERROR_CODES.NO_VIDEO_STREAM, 'The file has no video track.', {
+      format: metadata.format
+    });
+  }
+
+  if (!SUPPORTED_VIDEO_CODECS.includes(metadata.video.codec)) {
+    throw createMediaError(MEDIA_ERROR_CODES.UNSUPPORTED_VIDEO_CODEC, `Video codec ${metadata.video.codec || 'unknown'} is not supported.`, {
+      codec: metadata.video.codec || null,
+      supported: SUPPORTED_VIDEO_CODECS
+    });
+  }
+
+  if (metadata.audio && !SUPPORTED_AUDIO_CODECS.includes(metadata.audio.codec) && !/^pcm_/.test(metadata.audio.codec)) {
+    throw createMediaError(MEDIA_ERROR_CODES.UNSUPPORTED_AUDIO_CODEC, `Audio codec ${metadata.audio.codec || 'unknown'} is not supported.`, {
+      codec: metadata.audio.codec || null,
+      supported: SUPPORTED_AUDIO_CODECS
+    });
+  }
+
+  if (!(metadata.duration > 0)) {
+    throw createMediaError(MEDIA_ERROR_CODES.ZERO_DURATION, 'The video has no playable duration.');
+  }
+
+  if (metadata.duration > limits.maxDuration) {
+    throw createMediaError(MEDIA_ERROR_CODES.DURATION_LIMIT_EXCEEDED, `Videos can be at most ${Math.floor(limits.maxDuration / 60)} minutes long.`, {
+      duration: metadata.duration,
+      maxDuration: limits.maxDuration
+    });
+  }
+
+  const resolution = Math.min(metadata.video.width || 0, metadata.video.height || 0);
+  if (resolution > limits.maxResolution) {
+    throw createMediaError(MEDIA_ERROR_CODES.RESOLUTION_LIMIT_EXCEEDED, `Videos can be at most ${limits.maxResolution}p.`, {
+      width: metadata.video.width,
+      height: metadata.video.height,
+      maxResolution: limits.maxResolution
+    });
+  }
+
+  if (!await canDecodeTail(input, metadata.duration)) {
+    throw createMediaError(MEDIA_ERROR_CODES.TRUNCATED, 'The video file is incomplete. Upload it again.', {
+      duration: metadata.duration
+    });
+  }
+
+  return metadata;
+};
+
+/**
+ * Pick the file extension for a stored original: the uploaded one when it is
+ * a known video extension, otherwise one matching the probed container
+ * @param {string} fileName - Uploaded file name
+ * @param {Object} metadata - Metadata from validateVideoFile
+ * @returns {string} Extension including the dot (e.g., '.mov')
+ */
+const getOriginalExtension = (fileName, metadata) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+  if (ORIGINAL_EXTENSIONS.includes(extension)) return extension;
+
+  const format = metadata?.format || '';
+  if (format.includes('webm') && ['vp8', 'vp9', 'av1'].includes(metadata.video?.codec)) return '.webm';
+  if (format.includes('matroska')) return '.mkv';
+  if (format.includes('avi')) return '.avi';
+  return '.mp4';
+};
+
+module.exports = {
+  MEDIA_ERROR_CODES,
+  ROLE_LIMITS,
+  createMediaError,
+  isMediaValidationError,
+  isVideoFileType,
+  createUnsupportedFileTypeError,
+  getRoleLimits,
+  validateVideoFile,
+  getOriginalExtension
+};
@@ -0,0 +1,109 @@
+const Video = require('../models/Video');
+const User = require('../models/User');
+const UploadSession = require('../models/UploadSession');
+const storage = require('./storage');
+const { collectBlobNames } = require('./videoMedia');
+
+// Folders holding app media, each also exists under the private prefix
+// ('uploads' only privately, it holds direct uploads not yet completed)
+const MEDIA_FOLDERS = ['videos', 'video_thumbnails', 'avatars', 'streaming', 'uploads'];
+// Blobs younger than this may belong to an upload or processing run that has
+// not saved its blob names yet
+const DEFAULT_GRACE_PERIOD_HOURS = parseInt(process.env.ORPHAN_BLOB_GRACE_HOURS) || 24;
+
+/**
+ * Get every prefix the collector scans
+ * @returns {Array<string>} Blob name prefixes
+ */
+const getScannedPrefixes = () => MEDIA_FOLDERS.flatMap(folder => [
+  `${storage.getFolder(folder, false)}/`,
+  `${storage.getFolder(folder, true)}/`
+]);
+
+/**
+ * Collect the blob names and blob prefixes that are still in use
+ * @returns {Promise<Object>} { blobNames: Set<string>, prefixes: Array<string> }
+ */
+const getReferencedBlobs = async () => {
+  const blobNames = new Set();
+  const prefixes = [];
+
+  const videos = Video.find({}).select('video thumbnails').lean().cursor();
+  for await (const video of videos) {
+    collectBlobNames(video, blobNames);
+    if (video.video?.streaming?.prefix) {
+      prefixes.push(`${video.video.streaming.prefix}/`);
+    }
+  }
+
+  const users = User.find({ 'avatar.blobName': { $ne: null } }).select('avatar').lean().cursor();
+  for await (const user of users) {
+    blobNames.add(user.avatar.blobName);
+  }
+
+  // Uploads still being staged straight into storage
+  const sessions = UploadSession.find({
+    blobName: { $ne: null },
+    $or: [
+      { status: 'active', expiresAt: { $gt: new Date() } },
+      { status: 'finalizing' }
+    ]
+  }).select('blobName').lean().cursor();
+  for await (const session of sessions) {
+    blobNames.add(session.blobName);
+  }
+
+  return { blobNames, prefixes };
+};
+
+/**
+ * Find and delete blobs that no video, user or upload refers to
+ * @param {Object} options - Cleanup options
+ * @param {boolean} options.dryRun - Only report the orphaned blobs
+ * @param {number} options.gracePeriodHours - Minimum age of a blob before it can be removed
+ * @returns {Promise<Object>} Report ({ scanned, orphaned: [{ name, size, lastModified }], deleted, failed, bytes })
+ */
+const cleanupOrphanedBlobs = async ({ dryRun = false, gracePeriodHours = DEFAULT_GRACE_PERIOD_HOURS } = {}) => {
+  // References are read before listing, so a blob created in between is
+  // younger than the grace period and left alone
+  const cutoff = new Date(Date.now() - gracePeriodHours * 60 * 60 * 1000);
+  const { blobNames, prefixes } = await getReferencedBlobs();
+
+  const report = {
+    dryRun,
+    scanned: 0,
+    orphaned: [],
+    deleted: 0,
+    failed: 0,
+    bytes: 0
+  };
+
+  for (const prefix of getScannedPrefixes()) {
+    for await (const blob of storage.listBlobs(prefix)) {
+      report.scanned++;
+
+      if (blobNames.has(blob.name) || prefixes.some(owned => blob.name.startsWith(owned))) continue;
+      if (blob.lastModified && blob.lastModified > cutoff) continue;
+
+      report.orphaned.push(blob);
+      report.bytes += blob.size || 0;
+
+      if (dryRun) continue;
+
+      try {
+        await storage.deleteBlob(blob.name);
+        report.deleted++;
+      } catch (error) {
+        console.error(`Failed to delete orphaned blob ${blob.name}:`, error);
+        report.failed++;
+      }
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  DEFAULT_GRACE_PERIOD_HOURS,
+  cleanupOrphanedBlobs
+};
@@ -0,0 +1,37 @@
+const EventEmitter = require('events');
+
+/**
+ * In-process channel for video processing updates. The processing job
+ * publishes here and Server-Sent Events streams subscribe per video.
+ */
+class ProcessingEvents extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open SSE stream
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Publish an update for a video
+   * @param {string} videoId - Video ID
+   * @param {string} event - Event name (progress, retrying, completed, failed)
+   * @param {Object} data - Event payload
+   */
+  publish(videoId, event, data = {}) {
+    this.emit(`video:${videoId}`, { event, data });
+  }
+
+  /**
+   * Subscribe to updates for a video
+   * @param {string} videoId - Video ID
+   * @param {Function} listener - Called with { event, data }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(videoId, listener) {
+    const channel = `video:${videoId}`;
+    this.on(channel, listener);
+    return () => this.off(channel, listener);
+  }
+}
+
+module.exports = new ProcessingEvents();
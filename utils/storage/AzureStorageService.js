@@ -0,0 +1,258 @@
+const { BlobServiceClient, BlobSASPermissions, StorageSharedKeyCredential, generateBlobSASQueryParameters } = require('@azure/storage-blob');
+const StorageService = require('./StorageService');
+
+/**
+ * Azure Blob Storage driver. Public media lives in a container with public
+ * read access to blobs; blobs under the private prefix live in a second
+ * container without public access and are only reachable through SAS URLs.
+ */
+class AzureStorageService extends StorageService {
+  constructor() {
+    super();
+    this.driver = 'azure';
+    this.connectionString = process.env.AZURE_STORAGE_CONNECTION_STRING;
+    this.containerName = process.env.AZURE_STORAGE_CONTAINER_NAME || 'videos';
+    this.privateContainerName = process.env.AZURE_STORAGE_PRIVATE_CONTAINER_NAME || `${this.containerName}-private`;
+
+    if (!this.connectionString) {
+      throw new Error('Azure Storage connection string is required');
+    }
+
+    // Extract account name and key from connection string for SAS token generation
+    const accountNameMatch = this.connectionString.match(/AccountName=([^;]+)/);
+    const accountKeyMatch = this.connectionString.match(/AccountKey=([^;]+)/);
+
+    this.accountName = accountNameMatch ? accountNameMatch[1] : null;
+    this.accountKey = accountKeyMatch ? accountKeyMatch[1] : null;
+
+    if (!this.accountName || !this.accountKey) {
+      throw new Error('Could not extract account name and key from connection string');
+    }
+
+    // Create credential for SAS token generation
+    this.credential = new StorageSharedKeyCredential(this.accountName, this.accountKey);
+
+    this.blobServiceClient = BlobServiceClient.fromConnectionString(this.connectionString);
+    this.containerClient = this.blobServiceClient.getContainerClient(this.containerName);
+    this.privateContainerClient = this.blobServiceClient.getContainerClient(this.privateContainerName);
+    this.ensureContainers();
+  }
+
+  async ensureContainers() {
+    try {
+      await this.containerClient.createIfNotExists({
+        access: 'blob'
+      });
+      await this.privateContainerClient.createIfNotExists();
+    } catch (error) {
+      console.error('Error creating container:', error);
+    }
+  }
+
+  /**
+   * Find the container and in-container name of a blob
+   * @param {string} blobName - Blob name, possibly under the private prefix
+   * @returns {Object} { containerClient, containerName, name }
+   */
+  locate(blobName) {
+    if (this.isPrivateBlob(blobName)) {
+      return {
+        containerClient: this.privateContainerClient,
+        containerName: this.privateContainerName,
+        name: this.getBlobNameForAccess(blobName, false)
+      };
+    }
+
+    return {
+      containerClient: this.containerClient,
+      containerName: this.containerName,
+      name: blobName
+    };
+  }
+
+  getBlockBlobClient(blobName) {
+    const { containerClient, name } = this.locate(blobName);
+    return containerClient.getBlockBlobClient(name);
+  }
+
+  async uploadBuffer(buffer, folder, filename, contentType) {
+    try {
+      const blobName = `${folder}/${filename}`;
+      const blockBlobClient = this.getBlockBlobClient(blobName);
+
+      await blockBlobClient.upload(buffer, buffer.length, {
+        blobHTTPHeaders: {
+          blobContentType: contentType
+        }
+      });
+
+      return {
+        url: blockBlobClient.url,
+        blobName: blobName
+      };
+    } catch (error) {
+      console.error('Error uploading to Azure:', error);
+      throw error;
+    }
+  }
+
+  async uploadFile(filePath, folder, filename, contentType) {
+    try {
+      const blobName = `${folder}/${filename}`;
+      const blockBlobClient = this.getBlockBlobClient(blobName);
+
+      await blockBlobClient.uploadFile(filePath, {
+        blobHTTPHeaders: {
+          blobContentType: contentType
+        }
+      });
+
+      return {
+        url: blockBlobClient.url,
+        blobName: blobName
+      };
+    } catch (error) {
+      console.error('Error uploading file to Azure:', error);
+      throw error;
+    }
+  }
+
+  async stageBlock(blobName, blockId, buffer) {
+    try {
+      const blockBlobClient = this.getBlockBlobClient(blobName);
+      await blockBlobClient.stageBlock(blockId, buffer, buffer.length);
+    } catch (error) {
+      console.error('Error staging block:', error);
+      throw error;
+    }
+  }
+
+  async commitBlockList(blobName, blockIds, contentType) {
+    try {
+      const blockBlobClient = this.getBlockBlobClient(blobName);
+      await blockBlobClient.commitBlockList(blockIds, {
+        blobHTTPHeaders: {
+          blobContentType: contentType
+        }
+      });
+
+      return {
+        url: blockBlobClient.url,
+        blobName: blobName
+      };
+    } catch (error) {
+      console.error('Error committing block list:', error);
+      throw error;
+    }
+  }
+
+  async downloadToBuffer(blobName) {
+    try {
+      return await this.getBlockBlobClient(blobName).downloadToBuffer();
+    } catch (error) {
+      console.error('Error downloading blob:', error);
+      throw error;
+    }
+  }
+
+  async downloadToFile(blobName, filePath) {
+    try {
+      const blockBlobClient = this.getBlockBlobClient(blobName);
+      await blockBlobClient.downloadToFile(filePath);
+      return filePath;
+    } catch (error) {
+      console.error('Error downloading blob:', error);
+      throw error;
+    }
+  }
+
+  async stat(blobName) {
+    try {
+      const blockBlobClient = this.getBlockBlobClient(blobName);
+      const properties = await blockBlobClient.getProperties();
+
+      return {
+        size: properties.contentLength,
+        contentType: properties.contentType,
+        lastModified: properties.lastModified
+      };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      console.error('Error getting blob properties:', error);
+      throw error;
+    }
+  }
+
+  async *listBlobs(prefix) {
+    const { containerClient, name } = this.locate(prefix);
+    const namePrefix = prefix.slice(0, prefix.length - name.length);
+
+    for await (const blob of containerClient.listBlobsFlat({ prefix: name })) {
+      yield {
+        name: `${namePrefix}${blob.name}`,
+        size: blob.properties.contentLength,
+        lastModified: blob.properties.lastModified
+      };
+    }
+  }
+
+  async copyBlob(sourceBlobName, destinationBlobName) {
+    try {
+      // Server-side copy; the source may be private, so read it through a SAS
+      const sourceUrl = this.getSignedReadUrl(sourceBlobName, new Date(Date.now() + 60 * 60 * 1000));
+      const poller = await this.getBlockBlobClient(destinationBlobName).beginCopyFromURL(sourceUrl);
+      await poller.pollUntilDone();
+
+      return {
+        url: this.getBlobUrl(destinationBlobName),
+        blobName: destinationBlobName
+      };
+    } catch (error) {
+      console.error('Error copying blob:', error);
+      throw error;
+    }
+  }
+
+  async deleteBlob(blobName) {
+    try {
+      const blockBlobClient = this.getBlockBlobClient(blobName);
+      await blockBlobClient.deleteIfExists();
+    } catch (error) {
+      console.error('Error deleting blob:', error);
+      throw error;
+    }
+  }
+
+  getBlobUrl(blobName) {
+    const { containerName, name } = this.locate(blobName);
+    return `https://${this.accountName}.blob.core.windows.net/${containerName}/${name}`;
+  }
+
+  getSignedUploadUrl(blobName, expiresOn) {
+    return {
+      uploadUrl: `${this.getBlobUrl(blobName)}?${this.generateSasToken(blobName, 'cw', expiresOn)}`, // create, write
+      headers: {
+        'x-ms-blob-type': 'BlockBlob'
+      }
+    };
+  }
+
+  getSignedReadUrl(blobName, expiresOn) {
+    return `${this.getBlobUrl(blobName)}?${this.generateSasToken(blobName, 'r', expiresOn)}`;
+  }
+
+  generateSasToken(blobName, permissions, expiresOn) {
+    const { containerName, name } = this.locate(blobName);
+
+    return generateBlobSASQueryParameters({
+      containerName,
+      blobName: name,
+      permissions: BlobSASPermissions.parse(permissions),
+      expiresOn,
+    }, this.credential).toString();
+  }
+}
+
+module.exports = AzureStorageService;
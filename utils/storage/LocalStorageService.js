@@ -0,0 +1,256 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const StorageService = require('./StorageService');
+
+// Staged blocks live under the storage root in a dot directory, which the
+// static route does not serve
+const BLOCKS_DIR = '.blocks';
+
+/**
+ * Local filesystem driver for development and CI. Blobs are files under
+ * LOCAL_STORAGE_PATH and are served by routes/storage.js; signed URLs carry
+ * an HMAC of the method, blob name and expiry. Private blobs are only served
+ * through signed URLs.
+ */
+class LocalStorageService extends StorageService {
+  constructor() {
+    super();
+    this.driver = 'local';
+    this.rootDir = path.resolve(process.env.LOCAL_STORAGE_PATH || path.join(__dirname, '../../uploads/storage'));
+    this.baseUrl = (process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 5000}/storage`)
+      .replace(/\/$/, '');
+    this.secret = process.env.LOCAL_STORAGE_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+    fs.mkdirSync(this.rootDir, { recursive: true });
+  }
+
+  /**
+   * Map a blob name to its file, refusing names that escape the storage root
+   * @param {string} blobName - Blob name
+   * @returns {string} Absolute file path
+   */
+  resolvePath(blobName) {
+    const filePath = path.resolve(this.rootDir, blobName);
+
+    if (!filePath.startsWith(this.rootDir + path.sep) ||
+        blobName.split('/').some(segment => segment.startsWith('.'))) {
+      throw new Error(`Invalid blob name: ${blobName}`);
+    }
+
+    return filePath;
+  }
+
+  getBlocksDir(blobName) {
+    return path.join(this.rootDir, BLOCKS_DIR, Buffer.from(blobName).toString('hex'));
+  }
+
+  async uploadBuffer(buffer, folder, filename, contentType) {
+    const blobName = `${folder}/${filename}`;
+    const filePath = this.resolvePath(blobName);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return {
+      url: this.getBlobUrl(blobName),
+      blobName: blobName
+    };
+  }
+
+  async uploadFile(filePath, folder, filename, contentType) {
+    const blobName = `${folder}/${filename}`;
+    const destinationPath = this.resolvePath(blobName);
+
+    await fs.promises.mkdir(path.dirname(destinationPath), { recursive: true });
+    await fs.promises.copyFile(filePath, destinationPath);
+
+    return {
+      url: this.getBlobUrl(blobName),
+      blobName: blobName
+    };
+  }
+
+  /**
+   * Write a request or other readable stream to a blob
+   * @param {string} blobName - Blob name
+   * @param {Readable} stream - Blob contents
+   * @returns {Promise<Object>} Upload result ({ url, blobName })
+   */
+  async uploadStream(blobName, stream) {
+    const filePath = this.resolvePath(blobName);
+    const partialPath = `${filePath}.${process.pid}.partial`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await pipeline(stream, fs.createWriteStream(partialPath));
+      await fs.promises.rename(partialPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(partialPath, { force: true });
+      throw error;
+    }
+
+    return {
+      url: this.getBlobUrl(blobName),
+      blobName: blobName
+    };
+  }
+
+  async stageBlock(blobName, blockId, buffer) {
+    const blocksDir = this.getBlocksDir(blobName);
+
+    await fs.promises.mkdir(blocksDir, { recursive: true });
+    await fs.promises.writeFile(path.join(blocksDir, Buffer.from(blockId, 'base64').toString('hex')), buffer);
+  }
+
+  async commitBlockList(blobName, blockIds, contentType) {
+    const blocksDir = this.getBlocksDir(blobName);
+    const filePath = this.resolvePath(blobName);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    const handle = await fs.promises.open(filePath, 'w');
+    try {
+      for (const blockId of blockIds) {
+        const block = await fs.promises.readFile(path.join(blocksDir, Buffer.from(blockId, 'base64').toString('hex')));
+        await handle.write(block);
+      }
+    } finally {
+      await handle.close();
+    }
+
+    await fs.promises.rm(blocksDir, { recursive: true, force: true });
+
+    return {
+      url: this.getBlobUrl(blobName),
+      blobName: blobName
+    };
+  }
+
+  async discardBlocks(blobName) {
+    await fs.promises.rm(this.getBlocksDir(blobName), { recursive: true, force: true });
+  }
+
+  async downloadToBuffer(blobName) {
+    return fs.promises.readFile(this.resolvePath(blobName));
+  }
+
+  async downloadToFile(blobName, filePath) {
+    await fs.promises.copyFile(this.resolvePath(blobName), filePath);
+    return filePath;
+  }
+
+  async stat(blobName) {
+    try {
+      const stats = await fs.promises.stat(this.resolvePath(blobName));
+      if (!stats.isFile()) return null;
+
+      return {
+        size: stats.size,
+        contentType: this.getContentType(blobName),
+        lastModified: stats.mtime
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async *listBlobs(prefix = '') {
+    // Only walk the directory the prefix points into
+    const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    yield* this.walk(prefixDir, prefix);
+  }
+
+  async *walk(dirName, prefix) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(path.join(this.rootDir, dirName), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+
+      const name = dirName ? `${dirName}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        yield* this.walk(name, prefix);
+      } else if (name.startsWith(prefix) && !name.endsWith('.partial')) {
+        const stats = await fs.promises.stat(path.join(this.rootDir, name));
+        yield {
+          name,
+          size: stats.size,
+          lastModified: stats.mtime
+        };
+      }
+    }
+  }
+
+  async copyBlob(sourceBlobName, destinationBlobName) {
+    const destinationPath = this.resolvePath(destinationBlobName);
+
+    await fs.promises.mkdir(path.dirname(destinationPath), { recursive: true });
+    await fs.promises.copyFile(this.resolvePath(sourceBlobName), destinationPath);
+
+    return {
+      url: this.getBlobUrl(destinationBlobName),
+      blobName: destinationBlobName
+    };
+  }
+
+  async deleteBlob(blobName) {
+    await fs.promises.rm(this.resolvePath(blobName), { force: true });
+  }
+
+  getBlobUrl(blobName) {
+    return `${this.baseUrl}/${encodeURI(blobName)}`;
+  }
+
+  getSignedUploadUrl(blobName, expiresOn) {
+    return {
+      uploadUrl: this.getSignedUrl('PUT', blobName, expiresOn),
+      headers: {}
+    };
+  }
+
+  getSignedReadUrl(blobName, expiresOn) {
+    return this.getSignedUrl('GET', blobName, expiresOn);
+  }
+
+  getSignedUrl(method, blobName, expiresOn) {
+    const expires = Math.floor(expiresOn.getTime() / 1000);
+    return `${this.getBlobUrl(blobName)}?expires=${expires}&signature=${this.sign(method, blobName, expires)}`;
+  }
+
+  sign(method, blobName, expires) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${method}\n${blobName}\n${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Check the signature of a signed URL
+   * @param {string} method - HTTP method the URL was signed for
+   * @param {string} blobName - Blob name
+   * @param {string} expires - Expiry from the URL, unix seconds
+   * @param {string} signature - Signature from the URL
+   * @returns {boolean} True if the URL is valid and has not expired
+   */
+  verifySignature(method, blobName, expires, signature) {
+    if (!expires || !signature || Number(expires) * 1000 < Date.now()) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(method, blobName, expires));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+module.exports = LocalStorageService;
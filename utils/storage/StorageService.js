@@ -0,0 +1,356 @@
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+
+// Content types for files uploaded by uploadDirectory
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.mpd': 'application/dash+xml',
+  '.m4s': 'video/iso.segment',
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/x-m4v',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.3gp': 'video/3gpp',
+  '.wmv': 'video/x-ms-wmv',
+  '.flv': 'video/x-flv',
+  '.mpg': 'video/mpeg',
+  '.mpeg': 'video/mpeg',
+  '.ts': 'video/mp2t',
+  '.vtt': 'text/vtt',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
+
+// Lifetime of signed upload URLs handed to clients
+const UPLOAD_URL_TTL_SECONDS = 60 * 60; // 1 hour
+
+// Blob names under this prefix are never publicly readable
+const PRIVATE_PREFIX = 'private/';
+
+/**
+ * Base class for storage drivers. Drivers implement the storage primitives
+ * (upload, download, stat, list, delete, block staging and signed URLs);
+ * the app-level helpers below are built on top of them and shared.
+ *
+ * Every stored object is addressed by its blob name, a slash separated path
+ * such as "videos/<videoPublicId>.mp4". Names starting with "private/" are
+ * kept where they cannot be read anonymously; clients get signed read URLs.
+ */
+class StorageService {
+  /**
+   * Upload buffer to storage
+   * @param {Buffer} buffer - File buffer
+   * @param {string} folder - Folder path (e.g., 'avatars', 'videos', 'video_thumbnails')
+   * @param {string} filename - File name
+   * @param {string} contentType - MIME type
+   * @returns {Promise<Object>} Upload result ({ url, blobName })
+   */
+  async uploadBuffer(buffer, folder, filename, contentType) {
+    throw new Error(`${this.constructor.name} does not implement uploadBuffer`);
+  }
+
+  /**
+   * Upload file to storage
+   * @param {string} filePath - Local file path
+   * @param {string} folder - Folder path
+   * @param {string} filename - File name
+   * @param {string} contentType - MIME type
+   * @returns {Promise<Object>} Upload result ({ url, blobName })
+   */
+  async uploadFile(filePath, folder, filename, contentType) {
+    throw new Error(`${this.constructor.name} does not implement uploadFile`);
+  }
+
+  /**
+   * Stage an uncommitted block of a blob
+   * @param {string} blobName - Destination blob name
+   * @param {string} blockId - Base64 block ID, same length for every block of the blob
+   * @param {Buffer} buffer - Block contents
+   * @returns {Promise<void>}
+   */
+  async stageBlock(blobName, blockId, buffer) {
+    throw new Error(`${this.constructor.name} does not implement stageBlock`);
+  }
+
+  /**
+   * Commit staged blocks, in order, as the contents of a blob
+   * @param {string} blobName - Destination blob name
+   * @param {Array<string>} blockIds - Block IDs in file order
+   * @param {string} contentType - MIME type
+   * @returns {Promise<Object>} Upload result ({ url, blobName })
+   */
+  async commitBlockList(blobName, blockIds, contentType) {
+    throw new Error(`${this.constructor.name} does not implement commitBlockList`);
+  }
+
+  /**
+   * Drop blocks staged for a blob that will never be committed
+   * @param {string} blobName - Destination blob name
+   * @returns {Promise<void>}
+   */
+  async discardBlocks(blobName) {
+    // Azure garbage collects uncommitted blocks after a week
+  }
+
+  /**
+   * Download a blob into memory
+   * @param {string} blobName - Blob name to download
+   * @returns {Promise<Buffer>} Blob contents
+   */
+  async downloadToBuffer(blobName) {
+    throw new Error(`${this.constructor.name} does not implement downloadToBuffer`);
+  }
+
+  /**
+   * Download a blob to a local file
+   * @param {string} blobName - Blob name to download
+   * @param {string} filePath - Local destination path
+   * @returns {Promise<string>} Local file path
+   */
+  async downloadToFile(blobName, filePath) {
+    throw new Error(`${this.constructor.name} does not implement downloadToFile`);
+  }
+
+  /**
+   * Get size and type of a blob
+   * @param {string} blobName - Blob name
+   * @returns {Promise<Object|null>} { size, contentType, lastModified }, or null if the blob does not exist
+   */
+  async stat(blobName) {
+    throw new Error(`${this.constructor.name} does not implement stat`);
+  }
+
+  /**
+   * List blobs whose names start with a prefix
+   * @param {string} prefix - Blob name prefix (e.g., 'videos/')
+   * @returns {AsyncIterable<Object>} { name, size, lastModified } per blob
+   */
+  async *listBlobs(prefix) {
+    throw new Error(`${this.constructor.name} does not implement listBlobs`);
+  }
+
+  /**
+   * Copy a blob within storage, between public and private names included
+   * @param {string} sourceBlobName - Blob to copy
+   * @param {string} destinationBlobName - Blob to create or overwrite
+   * @returns {Promise<Object>} Copy result ({ url, blobName })
+   */
+  async copyBlob(sourceBlobName, destinationBlobName) {
+    throw new Error(`${this.constructor.name} does not implement copyBlob`);
+  }
+
+  /**
+   * Delete a blob. Deleting a blob that does not exist is not an error.
+   * @param {string} blobName - Blob name to delete
+   * @returns {Promise<void>}
+   */
+  async deleteBlob(blobName) {
+    throw new Error(`${this.constructor.name} does not implement deleteBlob`);
+  }
+
+  /**
+   * Get the public URL of a blob
+   * @param {string} blobName - Blob name
+   * @returns {string} Blob URL
+   */
+  getBlobUrl(blobName) {
+    throw new Error(`${this.constructor.name} does not implement getBlobUrl`);
+  }
+
+  /**
+   * Get a URL a client can PUT the blob's contents to without credentials
+   * @param {string} blobName - Blob name
+   * @param {Date} expiresOn - When the URL stops working
+   * @returns {Object} { uploadUrl, headers } where headers must be sent with the PUT
+   */
+  getSignedUploadUrl(blobName, expiresOn) {
+    throw new Error(`${this.constructor.name} does not implement getSignedUploadUrl`);
+  }
+
+  /**
+   * Get a URL a client can read the blob from without credentials
+   * @param {string} blobName - Blob name
+   * @param {Date} expiresOn - When the URL stops working
+   * @returns {string} Signed read URL
+   */
+  getSignedReadUrl(blobName, expiresOn) {
+    throw new Error(`${this.constructor.name} does not implement getSignedReadUrl`);
+  }
+
+  /**
+   * Check whether a blob is stored privately
+   * @param {string} blobName - Blob name
+   * @returns {boolean} True for blobs under the private prefix
+   */
+  isPrivateBlob(blobName) {
+    return blobName.startsWith(PRIVATE_PREFIX);
+  }
+
+  /**
+   * Get the folder to store into, under the private prefix when requested
+   * @param {string} folder - Folder path (e.g., 'videos')
+   * @param {boolean} isPrivate - Whether the blobs must not be publicly readable
+   * @returns {string} Folder path
+   */
+  getFolder(folder, isPrivate = false) {
+    return isPrivate ? `${PRIVATE_PREFIX}${folder}` : folder;
+  }
+
+  /**
+   * Get the public or private counterpart of a blob name
+   * @param {string} blobName - Blob name
+   * @param {boolean} isPrivate - Whether the counterpart should be private
+   * @returns {string} Blob name with the private prefix added or removed
+   */
+  getBlobNameForAccess(blobName, isPrivate) {
+    const publicName = this.isPrivateBlob(blobName) ? blobName.slice(PRIVATE_PREFIX.length) : blobName;
+    return isPrivate ? `${PRIVATE_PREFIX}${publicName}` : publicName;
+  }
+
+  /**
+   * Get the content type stored for a file name
+   * @param {string} fileName - File name
+   * @returns {string} MIME type
+   */
+  getContentType(fileName) {
+    return CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+  }
+
+  /**
+   * Upload every file in a local directory, keeping the relative layout
+   * @param {string} dirPath - Local directory path
+   * @param {string} prefix - Blob name prefix (e.g., 'streaming/<videoPublicId>/hls')
+   * @returns {Promise<Array>} Upload results, one per file
+   */
+  async uploadDirectory(dirPath, prefix) {
+    const results = [];
+
+    for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+      const entryPath = path.join(dirPath, entry.name);
+
+      if (entry.isDirectory()) {
+        results.push(...await this.uploadDirectory(entryPath, `${prefix}/${entry.name}`));
+      } else {
+        results.push(await this.uploadFile(entryPath, prefix, entry.name, this.getContentType(entry.name)));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Upload video file
+   * @param {string} filePath - Local video file path
+   * @param {string} videoPublicId - Public ID for the video
+   * @param {Object} options - Upload options
+   * @param {boolean} options.private - Store under the private prefix
+   * @param {string} options.extension - File extension of the original container (default '.mp4')
+   * @param {string} options.contentType - Content type (default from the extension)
+   * @returns {Promise<Object>} Upload result
+   */
+  async uploadVideo(filePath, videoPublicId, options = {}) {
+    const filename = `${videoPublicId}${options.extension || '.mp4'}`;
+    const contentType = options.contentType || this.getContentType(filename);
+    return this.uploadFile(filePath, this.getFolder('videos', options.private), filename, contentType);
+  }
+
+  /**
+   * Upload a transcoded rendition of a video
+   * @param {string} filePath - Local rendition file path
+   * @param {string} videoPublicId - Public ID for the video
+   * @param {string} quality - Quality name (hd, sd, mobile)
+   * @param {Object} options - Upload options
+   * @param {boolean} options.private - Store under the private prefix
+   * @returns {Promise<Object>} Upload result
+   */
+  async uploadRendition(filePath, videoPublicId, quality, options = {}) {
+    const filename = `${videoPublicId}_${quality}.mp4`;
+    return this.uploadFile(filePath, this.getFolder('videos', options.private), filename, 'video/mp4');
+  }
+
+  /**
+   * Upload avatar image
+   * @param {Buffer} buffer - Avatar image buffer
+   * @returns {Promise<Object>} Upload result
+   */
+  async uploadAvatar(buffer) {
+    const filename = `${uuidv4()}.jpg`;
+    return this.uploadBuffer(buffer, 'avatars', filename, 'image/jpeg');
+  }
+
+  /**
+   * Extract blob name from URL
+   * @param {string} url - Blob URL
+   * @returns {string|null} Blob name, or null if the URL is not one of ours
+   */
+  extractBlobNameFromUrl(url) {
+    const baseUrl = this.getBlobUrl('');
+    if (!url || !url.startsWith(baseUrl)) return null;
+
+    return decodeURIComponent(url.slice(baseUrl.length).split('?')[0]);
+  }
+
+  /**
+   * Get the blob name a client-uploaded thumbnail is written to
+   * @param {string} videoPublicId - Video public ID
+   * @param {number} index - Thumbnail index
+   * @param {boolean} isPrivate - Whether the video's media is stored privately
+   * @returns {string} Blob name
+   */
+  getThumbnailUploadBlobName(videoPublicId, index, isPrivate = false) {
+    return `${this.getFolder('video_thumbnails', isPrivate)}/${videoPublicId}_thumb_${index}.jpg`;
+  }
+
+  /**
+   * Get the blob name a client writes a direct video upload to. It is always
+   * private, and only an upload area: the original is copied out of it when
+   * the upload is completed, so the client's signed URL cannot change it.
+   * @param {string} videoPublicId - Unique video identifier
+   * @returns {string} Blob name
+   */
+  getDirectUploadBlobName(videoPublicId) {
+    return `${this.getFolder('uploads', true)}/${videoPublicId}`;
+  }
+
+  /**
+   * Generate a signed URL for a direct video upload
+   * @param {string} videoPublicId - Unique video identifier
+   * @returns {Object} Upload URL and blob details
+   */
+  generateVideoUploadUrl(videoPublicId) {
+    return {
+      ...this.generateUploadUrl(this.getDirectUploadBlobName(videoPublicId)),
+      videoPublicId
+    };
+  }
+
+  /**
+   * Generate a signed URL for a direct thumbnail upload
+   * @param {string} videoPublicId - Video public ID
+   * @param {number} index - Thumbnail index
+   * @param {boolean} isPrivate - Whether the video's media is stored privately
+   * @returns {Object} Upload URL and blob details
+   */
+  generateThumbnailUploadUrl(videoPublicId, index, isPrivate = false) {
+    return this.generateUploadUrl(this.getThumbnailUploadBlobName(videoPublicId, index, isPrivate));
+  }
+
+  generateUploadUrl(blobName) {
+    const expiresOn = new Date(Date.now() + UPLOAD_URL_TTL_SECONDS * 1000);
+    const { uploadUrl, headers } = this.getSignedUploadUrl(blobName, expiresOn);
+
+    return {
+      uploadUrl,
+      uploadHeaders: headers,
+      blobName,
+      blobUrl: this.getBlobUrl(blobName),
+      expiresOn: expiresOn.toISOString()
+    };
+  }
+}
+
+module.exports = StorageService;
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStorageService = require('../LocalStorageService');
+
+describe('LocalStorageService', () => {
+  const originalStoragePath = process.env.LOCAL_STORAGE_PATH;
+  let tempDir;
+  let storage;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+    process.env.LOCAL_STORAGE_PATH = tempDir;
+    storage = new LocalStorageService();
+  });
+
+  afterEach(() => {
+    if (originalStoragePath === undefined) {
+      delete process.env.LOCAL_STORAGE_PATH;
+    } else {
+      process.env.LOCAL_STORAGE_PATH = originalStoragePath;
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  // Pull expires and signature back out of a signed URL
+  const parseSignedUrl = (signedUrl) => {
+    const { searchParams } = new URL(signedUrl);
+    return { expires: searchParams.get('expires'), signature: searchParams.get('signature') };
+  };
+
+  describe('signed URLs', () => {
+    const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+    it('accepts its own signature for the same method and blob', () => {
+      const { expires, signature } = parseSignedUrl(storage.getSignedReadUrl('private/videos/video_1.mp4', inAnHour()));
+
+      expect(storage.verifySignature('GET', 'private/videos/video_1.mp4', expires, signature)).toBe(true);
+    });
+
+    it('rejects a signature for another method or blob', () => {
+      const { expires, signature } = parseSignedUrl(storage.getSignedReadUrl('private/videos/video_1.mp4', inAnHour()));
+
+      expect(storage.verifySignature('PUT', 'private/videos/video_1.mp4', expires, signature)).toBe(false);
+      expect(storage.verifySignature('GET', 'private/videos/video_2.mp4', expires, signature)).toBe(false);
+    });
+
+    it('rejects a changed expiry, an expired URL and a missing signature', () => {
+      const { expires, signature } = parseSignedUrl(storage.getSignedReadUrl('videos/video_1.mp4', inAnHour()));
+      const expired = parseSignedUrl(storage.getSignedReadUrl('videos/video_1.mp4', new Date(Date.now() - 1000)));
+
+      expect(storage.verifySignature('GET', 'videos/video_1.mp4', String(Number(expires) + 60), signature)).toBe(false);
+      expect(storage.verifySignature('GET', 'videos/video_1.mp4', expired.expires, expired.signature)).toBe(false);
+      expect(storage.verifySignature('GET', 'videos/video_1.mp4', expires, undefined)).toBe(false);
+    });
+  });
+
+  describe('resolvePath', () => {
+    it('maps blob names into the storage root', () => {
+      expect(storage.resolvePath('videos/video_1.mp4')).toBe(path.join(tempDir, 'videos', 'video_1.mp4'));
+    });
+
+    it('refuses names that escape the root or reach dot directories', () => {
+      expect(() => storage.resolvePath('../outside.txt')).toThrow('Invalid blob name');
+      expect(() => storage.resolvePath('videos/../../outside.txt')).toThrow('Invalid blob name');
+      expect(() => storage.resolvePath('.blocks/staged')).toThrow('Invalid blob name');
+    });
+  });
+});
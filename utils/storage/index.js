@@ -0,0 +1,18 @@
+const AzureStorageService = require('./AzureStorageService');
+const LocalStorageService = require('./LocalStorageService');
+
+const DRIVERS = {
+  azure: AzureStorageService,
+  local: LocalStorageService
+};
+
+// Azure when it is configured, local disk otherwise (development and CI)
+const driverName = process.env.STORAGE_DRIVER ||
+  (process.env.AZURE_STORAGE_CONNECTION_STRING ? 'azure' : 'local');
+
+const Driver = DRIVERS[driverName];
+if (!Driver) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}", expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+}
+
+module.exports = new Driver();
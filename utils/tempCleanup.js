@@ -0,0 +1,48 @@
+const videoProcessor = require('./videoProcessor');
+const uploadStaging = require('./uploadStaging');
+const jobQueue = require('./jobQueue');
+
+// How often the local temp directory is swept, and how old an entry must be
+const TEMP_CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+const TEMP_FILE_MAX_AGE_MS = 60 * 60 * 1000;
+
+let timer = null;
+
+/**
+ * Remove temp files left behind by crashed or interrupted work. Everything a
+ * job still running in this process wrote is newer than the job itself, so
+ * nothing from after the oldest running job's start is touched, however long
+ * that job has been transcoding. Disk-staged uploads live for the whole
+ * session and are removed with it.
+ */
+const cleanupTempFiles = () => {
+  const runningSince = jobQueue.getOldestRunningJobStart();
+  const olderThan = Math.min(Date.now() - TEMP_FILE_MAX_AGE_MS, runningSince ?? Infinity);
+
+  videoProcessor.cleanupOldFiles({ olderThan, keep: [uploadStaging.stagingDir] });
+};
+
+/**
+ * Sweep the temp directory now and then periodically
+ */
+const startTempCleanup = () => {
+  if (timer) return;
+
+  cleanupTempFiles();
+  timer = setInterval(cleanupTempFiles, TEMP_CLEANUP_INTERVAL_MS);
+  timer.unref();
+};
+
+/**
+ * Stop the periodic sweep
+ */
+const stopTempCleanup = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  cleanupTempFiles,
+  startTempCleanup,
+  stopTempCleanup
+};
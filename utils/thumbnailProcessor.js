@@ -0,0 +1,243 @@
+const sharp = require('sharp');
+const storage = require('./storage');
+
+// Bounding boxes of the sized thumbnail variants. Images are scaled to fit
+// inside, keeping their aspect ratio, and never upscaled.
+const THUMBNAIL_SIZES = {
+  poster: { width: 1920, height: 1080 },
+  large: { width: 1280, height: 720 },
+  medium: { width: 640, height: 360 },
+  small: { width: 320, height: 180 }
+};
+
+// Timeline thumbnails are only shown small, while scrubbing
+const TIMELINE_SIZE = THUMBNAIL_SIZES.medium;
+
+// The poster is JPEG so it works everywhere it is embedded (players, link
+// previews); the variants use the smaller WebP unless configured otherwise
+const POSTER_FORMAT = 'jpeg';
+const VARIANT_FORMAT = process.env.THUMBNAIL_FORMAT === 'jpeg' ? 'jpeg' : 'webp';
+
+// Poster candidate frames outside these limits (0-255 luma, channel stdev)
+// are treated as blank
+const FRAME_MIN_BRIGHTNESS = 24;
+const FRAME_MAX_BRIGHTNESS = 232;
+const FRAME_MIN_CONTRAST = 12;
+
+// Perceptual hashes compare an 8x8 grid of brightness gradients (64 bits)
+const PERCEPTUAL_HASH_SIZE = 8;
+
+const FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', options: { quality: 85, mozjpeg: true } },
+  webp: { extension: 'webp', contentType: 'image/webp', options: { quality: 80 } }
+};
+
+class ThumbnailProcessor {
+  /**
+   * Read an image, rejecting anything sharp cannot decode
+   * @param {Buffer|string} input - Image buffer or local file path
+   * @returns {Promise<Object>} sharp instance, auto-rotated from EXIF orientation
+   */
+  async loadImage(input) {
+    const image = sharp(input, { failOn: 'error' });
+
+    try {
+      const metadata = await image.metadata();
+      if (!metadata.width || !metadata.height) {
+        throw new Error('Image has no dimensions');
+      }
+    } catch (error) {
+      const invalidImage = new Error(`Invalid thumbnail image: ${error.message}`);
+      invalidImage.statusCode = 400;
+      throw invalidImage;
+    }
+
+    return image.rotate();
+  }
+
+  /**
+   * Resize and encode one variant of an image
+   * @param {Object} image - sharp instance from loadImage
+   * @param {Object} size - Bounding box ({ width, height })
+   * @param {string} format - 'jpeg' or 'webp'
+   * @returns {Promise<Object>} { buffer, width, height, extension, contentType }
+   */
+  async encode(image, size, format) {
+    const { extension, contentType, options } = FORMATS[format];
+
+    const { data, info } = await image
+      .clone()
+      .resize({
+        width: size.width,
+        height: size.height,
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .toFormat(format, options)
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      buffer: data,
+      width: info.width,
+      height: info.height,
+      extension,
+      contentType
+    };
+  }
+
+  /**
+   * Encode an image and upload it as a video thumbnail
+   * @param {Object} image - sharp instance from loadImage
+   * @param {Object} size - Bounding box ({ width, height })
+   * @param {string} format - 'jpeg' or 'webp'
+   * @param {string} baseName - File name without extension
+   * @param {boolean} isPrivate - Store under the private prefix
+   * @returns {Promise<Object>} { url, blobName, width, height }
+   */
+  async uploadVariant(image, size, format, baseName, isPrivate) {
+    const encoded = await this.encode(image, size, format);
+
+    const uploadResult = await storage.uploadBuffer(
+      encoded.buffer,
+      storage.getFolder('video_thumbnails', isPrivate),
+      `${baseName}.${encoded.extension}`,
+      encoded.contentType
+    );
+
+    return {
+      url: uploadResult.url,
+      blobName: uploadResult.blobName,
+      width: encoded.width,
+      height: encoded.height
+    };
+  }
+
+  /**
+   * Create the poster and its large, medium and small variants from one image
+   * @param {Buffer|string} input - Image buffer or local file path
+   * @param {string} videoPublicId - Public ID of the video
+   * @param {Object} options - Options
+   * @param {boolean} options.private - Store under the private prefix
+   * @returns {Promise<Object>} { poster, large, medium, small }, each { url, blobName, width, height }
+   */
+  async createThumbnailSet(input, videoPublicId, options = {}) {
+    const image = await this.loadImage(input);
+    // Unique per set, so replacing a poster never overwrites one still referenced
+    const baseName = `${videoPublicId}_poster_${Date.now()}`;
+
+    const [poster, large, medium, small] = await Promise.all([
+      this.uploadVariant(image, THUMBNAIL_SIZES.poster, POSTER_FORMAT, baseName, options.private),
+      this.uploadVariant(image, THUMBNAIL_SIZES.large, VARIANT_FORMAT, `${baseName}_large`, options.private),
+      this.uploadVariant(image, THUMBNAIL_SIZES.medium, VARIANT_FORMAT, `${baseName}_medium`, options.private),
+      this.uploadVariant(image, THUMBNAIL_SIZES.small, VARIANT_FORMAT, `${baseName}_small`, options.private)
+    ]);
+
+    return { poster, large, medium, small };
+  }
+
+  /**
+   * Create a timeline (scrubbing) thumbnail
+   * @param {Buffer|string} input - Image buffer or local file path
+   * @param {string} videoPublicId - Public ID of the video
+   * @param {number} index - Position in the timeline
+   * @param {Object} options - Options
+   * @param {boolean} options.private - Store under the private prefix
+   * @returns {Promise<Object>} { url, blobName, width, height }
+   */
+  async createTimelineThumbnail(input, videoPublicId, index, options = {}) {
+    const image = await this.loadImage(input);
+    return this.uploadVariant(image, TIMELINE_SIZE, VARIANT_FORMAT, `${videoPublicId}_timeline_${index}`, options.private);
+  }
+
+  /**
+   * Score a video frame as a poster candidate. Frames that are nearly black,
+   * nearly white or flat (fades, title cards) are rejected; the rest score
+   * higher for contrast, detail and sharpness and lower the further their
+   * brightness is from mid-grey.
+   * @param {Buffer|string} input - Frame image buffer or local file path
+   * @returns {Promise<Object>} { score, rejected, brightness, contrast, entropy, sharpness }
+   */
+  async scoreFrame(input) {
+    const { channels, entropy, sharpness } = await sharp(input).stats();
+    const [red, green, blue] = channels.length >= 3 ? channels : [channels[0], channels[0], channels[0]];
+
+    const brightness = 0.299 * red.mean + 0.587 * green.mean + 0.114 * blue.mean;
+    const contrast = (red.stdev + green.stdev + blue.stdev) / 3;
+
+    const rejected = brightness < FRAME_MIN_BRIGHTNESS ||
+      brightness > FRAME_MAX_BRIGHTNESS ||
+      contrast < FRAME_MIN_CONTRAST;
+
+    const quality = contrast / 128 +
+      entropy / 8 +
+      Math.min(sharpness / 5, 1) -
+      Math.abs(brightness - 128) / 256;
+
+    return {
+      // Rejected frames only win when every candidate is rejected
+      score: rejected ? quality - 10 : quality,
+      rejected,
+      brightness,
+      contrast,
+      entropy,
+      sharpness
+    };
+  }
+
+  /**
+   * Compute a 64-bit difference hash (dHash) of a frame: the image is shrunk
+   * to 9x8 greyscale and each bit says whether a pixel is brighter than its
+   * right neighbour. Re-encodes, rescales and small edits change few bits.
+   * @param {Buffer|string} input - Frame image buffer or local file path
+   * @returns {Promise<string>} Hash as 16 hex digits
+   */
+  async perceptualHash(input) {
+    const pixels = await sharp(input)
+      .removeAlpha()
+      .grayscale()
+      .resize(PERCEPTUAL_HASH_SIZE + 1, PERCEPTUAL_HASH_SIZE, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = 0n;
+    for (let row = 0; row < PERCEPTUAL_HASH_SIZE; row++) {
+      for (let col = 0; col < PERCEPTUAL_HASH_SIZE; col++) {
+        const index = row * (PERCEPTUAL_HASH_SIZE + 1) + col;
+        hash = (hash << 1n) | (pixels[index] > pixels[index + 1] ? 1n : 0n);
+      }
+    }
+
+    return hash.toString(16).padStart(PERCEPTUAL_HASH_SIZE * PERCEPTUAL_HASH_SIZE / 4, '0');
+  }
+
+  /**
+   * Count the bits that differ between two perceptual hashes
+   * @param {string} a - Hash from perceptualHash
+   * @param {string} b - Hash from perceptualHash
+   * @returns {number} Hamming distance (0-64)
+   */
+  hashDistance(a, b) {
+    let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let bits = 0;
+    while (difference) {
+      bits += Number(difference & 1n);
+      difference >>= 1n;
+    }
+    return bits;
+  }
+
+  /**
+   * Get the distinct blob names of a thumbnail set
+   * @param {Object} thumbnails - Object with poster/large/medium/small entries
+   * @returns {Array<string>} Blob names
+   */
+  getThumbnailSetBlobNames(thumbnails) {
+    const blobNames = ['poster', 'large', 'medium', 'small']
+      .map(size => thumbnails?.[size]?.blobName)
+      .filter(Boolean);
+
+    return [...new Set(blobNames)];
+  }
+}
+
+module.exports = new ThumbnailProcessor();
@@ -0,0 +1,31 @@
+/**
+ * Decode a tus Upload-Metadata header ("key base64value,key base64value")
+ * into an object. The names used by common tus clients (name, type) are
+ * accepted for filename and filetype, and tags may be a comma-separated list.
+ * @param {string} header - Upload-Metadata header value
+ * @returns {Object} Decoded metadata; keys sent without a value map to ''
+ */
+const parseUploadMetadata = (header) => {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  }
+
+  // Accept the names used by common tus clients as well
+  metadata.filename = metadata.filename || metadata.name;
+  metadata.filetype = metadata.filetype || metadata.type;
+  if (typeof metadata.tags === 'string') {
+    metadata.tags = metadata.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+
+  return metadata;
+};
+
+module.exports = {
+  parseUploadMetadata
+};
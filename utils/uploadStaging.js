@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const storage = require('./storage');
+
+/**
+ * Stages the chunks of a resumable upload until it is finalized.
+ *
+ * - storage: every chunk is an uncommitted block of the destination blob and
+ *   finalizing commits the block list. Works across replicas as long as the
+ *   storage driver is shared (Azure).
+ * - disk: every chunk is a part file in a local directory and finalizing
+ *   concatenates the recorded ones and uploads the result. Only suitable when
+ *   every request reaches the same instance.
+ */
+class UploadStaging {
+  constructor() {
+    this.mode = process.env.UPLOAD_STAGING === 'disk' ? 'disk' : 'storage';
+    this.stagingDir = path.join(__dirname, '../temp/uploads');
+  }
+
+  /**
+   * Block ID for a chunk. Azure requires equal-length IDs within a blob, so
+   * the byte offsets are zero padded before encoding. Both ends are part of
+   * the ID, so a chunk that is refused for overlapping a received one never
+   * replaces that one's block.
+   * @param {number} start - Byte offset of the chunk
+   * @param {number} end - Byte offset just past the chunk
+   * @returns {string} Base64 block ID
+   */
+  getBlockId(start, end) {
+    return Buffer.from(`${String(start).padStart(16, '0')}${String(end).padStart(16, '0')}`).toString('base64');
+  }
+
+  /**
+   * Part file of a chunk in a disk staged upload. Like block IDs, both ends
+   * are part of the name.
+   * @param {Object} session - Upload session
+   * @param {number} start - Byte offset of the chunk
+   * @param {number} end - Byte offset just past the chunk
+   * @returns {string} File path
+   */
+  getPartPath(session, start, end) {
+    return path.join(session.stagingPath, `${start}-${end}.part`);
+  }
+
+  /**
+   * Prepare staging for a new upload session
+   * @param {string} videoPublicId - Public ID of the upload
+   * @param {string} extension - Extension of the original, from mediaValidation.getOriginalExtension
+   * @param {boolean} isPrivate - Store the original where it is not publicly readable
+   * @returns {Object} Staging fields to store on the session
+   */
+  createStaging(videoPublicId, extension = '.mp4', isPrivate = false) {
+    const blobName = `${storage.getFolder('videos', isPrivate)}/${videoPublicId}${extension}`;
+
+    if (this.mode === 'disk') {
+      const stagingPath = path.join(this.stagingDir, videoPublicId);
+      fs.mkdirSync(stagingPath, { recursive: true });
+      return { staging: 'disk', stagingPath, blobName };
+    }
+
+    return { staging: 'storage', blobName };
+  }
+
+  /**
+   * Stage one chunk of an upload
+   * @param {Object} session - Upload session
+   * @param {number} start - Byte offset of the chunk
+   * @param {Buffer} buffer - Chunk contents
+   * @returns {Promise<void>}
+   */
+  async writeChunk(session, start, buffer) {
+    if (session.staging === 'disk') {
+      // Written aside and renamed, so a retried chunk never leaves a partly
+      // written part file behind
+      const partPath = this.getPartPath(session, start, start + buffer.length);
+      const tempPath = `${partPath}.${crypto.randomBytes(4).toString('hex')}`;
+      await fs.promises.writeFile(tempPath, buffer);
+      await fs.promises.rename(tempPath, partPath);
+      return;
+    }
+
+    await storage.stageBlock(session.blobName, this.getBlockId(start, start + buffer.length), buffer);
+  }
+
+  /**
+   * Assemble the staged chunks into the stored original
+   * @param {Object} session - Upload session with every byte received
+   * @returns {Promise<Object>} Upload result ({ url, blobName })
+   */
+  async finalize(session) {
+    // Recorded chunks never overlap, and a retried chunk is staged again under the same name
+    const chunks = [...session.chunks].sort((a, b) => a.start - b.start);
+
+    if (session.staging === 'disk') {
+      const assembledPath = path.join(session.stagingPath, path.basename(session.blobName));
+      await fs.promises.writeFile(assembledPath, '');
+      for (const chunk of chunks) {
+        await pipeline(
+          fs.createReadStream(this.getPartPath(session, chunk.start, chunk.end)),
+          fs.createWriteStream(assembledPath, { flags: 'a' })
+        );
+      }
+
+      const uploadResult = await storage.uploadFile(
+        assembledPath,
+        path.dirname(session.blobName),
+        path.basename(session.blobName),
+        session.mimeType
+      );
+      this.cleanupStagingFile(session);
+      return uploadResult;
+    }
+
+    return storage.commitBlockList(
+      session.blobName,
+      chunks.map(chunk => this.getBlockId(chunk.start, chunk.end)),
+      session.mimeType
+    );
+  }
+
+  /**
+   * Throw away whatever was staged for a session
+   * @param {Object} session - Upload session
+   */
+  discard(session) {
+    if (session.staging === 'disk') {
+      this.cleanupStagingFile(session);
+      return;
+    }
+
+    storage.discardBlocks(session.blobName).catch(error => {
+      console.error(`Error discarding staged blocks of ${session.blobName}:`, error);
+    });
+  }
+
+  cleanupStagingFile(session) {
+    try {
+      if (session.stagingPath) {
+        fs.rmSync(session.stagingPath, { recursive: true, force: true });
+      }
+    } catch (error) {
+      console.error(`Error cleaning up staging directory ${session.stagingPath}:`, error);
+    }
+  }
+}
+
+module.exports = new UploadStaging();
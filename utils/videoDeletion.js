@@ -0,0 +1,168 @@
+const Video = require('../models/Video');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const jobQueue = require('./jobQueue');
+const storage = require('./storage');
+const { collectBlobNames } = require('./videoMedia');
+
+// How long a deleted video stays in the trash before it is purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.VIDEO_TRASH_RETENTION_DAYS) || 30;
+// Blobs deleted at the same time
+const DELETE_CONCURRENCY = 8;
+
+/**
+ * Delete blobs and the contents of blob prefixes
+ * @param {Array<string>} blobNames - Blob names
+ * @param {Array<string>} prefixes - Prefixes whose blobs are all deleted (e.g., a streaming package)
+ * @returns {Promise<Object>} { deleted, blobNames, prefixes } with the blob names and
+ *   prefixes that could not be deleted
+ */
+const deleteBlobs = async (blobNames, prefixes = []) => {
+  const pending = new Set(blobNames);
+  const failedPrefixes = [];
+
+  for (const prefix of prefixes) {
+    try {
+      for await (const blob of storage.listBlobs(`${prefix}/`)) {
+        pending.add(blob.name);
+      }
+    } catch (error) {
+      console.error(`Failed to list blobs under ${prefix}:`, error);
+      failedPrefixes.push(prefix);
+    }
+  }
+
+  const names = [...pending];
+  const failedBlobNames = [];
+
+  for (let i = 0; i < names.length; i += DELETE_CONCURRENCY) {
+    const batch = names.slice(i, i + DELETE_CONCURRENCY);
+    const results = await Promise.allSettled(batch.map(blobName => storage.deleteBlob(blobName)));
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.error(`Failed to delete blob ${batch[index]}:`, result.reason);
+        failedBlobNames.push(batch[index]);
+      }
+    });
+  }
+
+  return {
+    deleted: names.length - failedBlobNames.length,
+    blobNames: failedBlobNames,
+    prefixes: failedPrefixes
+  };
+};
+
+/**
+ * Delete a video with everything that belongs to it: every blob it references
+ * (original, renditions, thumbnails, streaming package), its comments and the
+ * creator's counters. Blobs that cannot be deleted are retried by a job.
+ * @param {Object} video - Video document
+ * @returns {Promise<Object>} { blobsDeleted, blobsPending, commentsDeleted }
+ */
+const deleteVideo = async (video) => {
+  const plain = video.toObject();
+  const blobNames = new Set();
+  collectBlobNames(plain, blobNames);
+
+  const prefixes = plain.video?.streaming?.prefix ? [plain.video.streaming.prefix] : [];
+  // Streaming blobs are covered by listing their prefix
+  for (const blobName of [...blobNames]) {
+    if (prefixes.some(prefix => blobName.startsWith(`${prefix}/`))) {
+      blobNames.delete(blobName);
+    }
+  }
+
+  // Remove the records first, so nothing points at blobs that are going away
+  const deleted = await Video.findByIdAndDelete(video._id);
+  if (!deleted) {
+    // Another request got here first and owns the rest of the cleanup
+    return { blobsDeleted: 0, blobsPending: 0, commentsDeleted: 0 };
+  }
+
+  const { deletedCount: commentsDeleted } = await Comment.deleteMany({ videoId: video._id });
+
+  // A video in the trash was already taken off the creator's count
+  if (!video.deletedAt) {
+    await User.updateOne({ _id: video.creatorId, 'stats.videosCount': { $gt: 0 } }, {
+      $inc: { 'stats.videosCount': -1 }
+    });
+  }
+
+  const result = await deleteBlobs([...blobNames], prefixes);
+  const blobsPending = result.blobNames.length + result.prefixes.length;
+
+  if (blobsPending) {
+    // Required here, since the job modules are built on this one
+    const { DELETE_VIDEO_BLOBS_JOB } = require('../jobs');
+    console.error(`Failed to delete ${blobsPending} blobs of video ${video._id}, retrying in the background`);
+    await jobQueue.enqueue(DELETE_VIDEO_BLOBS_JOB, {
+      videoId: video._id,
+      blobNames: result.blobNames,
+      prefixes: result.prefixes
+    }, {
+      maxAttempts: 5
+    });
+  }
+
+  return {
+    blobsDeleted: result.deleted,
+    blobsPending,
+    commentsDeleted
+  };
+};
+
+/**
+ * Get when a video in the trash gets purged
+ * @param {Date} deletedAt - When the video was moved to the trash
+ * @returns {Date} Purge date
+ */
+const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Move a video to the trash and schedule its purge. The video disappears from
+ * listings right away; its blobs and comments are kept until the purge.
+ * @param {Object} video - Video document
+ * @param {string} userId - ID of the user deleting the video
+ * @returns {Promise<Date>} When the video will be purged
+ */
+const trashVideo = async (video, userId) => {
+  await video.moveToTrash(userId);
+
+  await User.updateOne({ _id: video.creatorId, 'stats.videosCount': { $gt: 0 } }, {
+    $inc: { 'stats.videosCount': -1 }
+  });
+
+  const purgeAt = getPurgeDate(video.deletedAt);
+  // Required here, since the job modules are built on this one
+  const { PURGE_DELETED_VIDEO_JOB } = require('../jobs');
+  await jobQueue.enqueue(PURGE_DELETED_VIDEO_JOB, { videoId: video._id }, { runAt: purgeAt });
+
+  return purgeAt;
+};
+
+/**
+ * Take a video back out of the trash. Its pending purge job finds the video
+ * restored and does nothing.
+ * @param {Object} video - Video document in the trash
+ * @returns {Promise<Object>} The restored video
+ */
+const restoreVideo = async (video) => {
+  await video.restoreFromTrash();
+
+  await User.updateOne({ _id: video.creatorId }, {
+    $inc: { 'stats.videosCount': 1 }
+  });
+
+  return video;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  trashVideo,
+  restoreVideo,
+  deleteBlobs,
+  deleteVideo
+};
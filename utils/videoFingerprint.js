@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const Video = require('../models/Video');
+const videoProcessor = require('./videoProcessor');
+const thumbnailProcessor = require('./thumbnailProcessor');
+const { MEDIA_ERROR_CODES, createMediaError } = require('./mediaValidation');
+
+// Version of the frame sampling and hashing; fingerprints of another version are not compared
+const FINGERPRINT_ALGORITHM = 'dhash64-8';
+// Frames hashed per video, spread evenly over its duration
+const FINGERPRINT_FRAME_COUNT = 8;
+// Mean bits (of 64) by which the frame hashes of two near-duplicates may differ
+const NEAR_DUPLICATE_MAX_DISTANCE = 10;
+// Frames both videos must have a hash for before they are compared at all,
+// and before a near match is trusted enough to block an upload
+const MIN_COMPARABLE_FRAMES = 4;
+const MIN_BLOCKING_FRAMES = 6;
+// Hash of a frame with no gradients at all; matches every other flat frame
+const FLAT_FRAME_HASH = '0000000000000000';
+// Durations of near-duplicates may differ by this many seconds or this share, whichever is larger
+const DURATION_TOLERANCE_SECONDS = 1;
+const DURATION_TOLERANCE_RATIO = 0.02;
+// Videos of similar duration compared per lookup
+const MAX_NEAR_CANDIDATES = 500;
+// Time an upload request may spend extracting frames; frames it does not get
+// to are left to the processing job, which fingerprints the whole original
+const UPLOAD_FRAME_BUDGET_MS = parseInt(process.env.FINGERPRINT_UPLOAD_BUDGET_MS) || 20000;
+
+/**
+ * Hash the contents of a local file
+ * @param {string} filePath - Local file path
+ * @returns {Promise<string>} SHA-256 as hex
+ */
+const computeContentHash = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+/**
+ * Get the positions of the fingerprint frames. They are relative to the
+ * duration, so the same video at another bitrate samples the same frames.
+ * @param {number} duration - Video duration in seconds
+ * @returns {Array<number>} Timestamps in seconds
+ */
+const getFingerprintTimestamps = (duration) =>
+  Array.from({ length: FINGERPRINT_FRAME_COUNT }, (_, index) => duration * (index + 0.5) / FINGERPRINT_FRAME_COUNT);
+
+/**
+ * Hash sampled frames of a video. Blank frames (black, white, flat colour)
+ * hash to nearly the same value in every video, so they are left out.
+ * @param {string} input - Local file path or URL
+ * @param {Object} metadata - Metadata from videoProcessor.getVideoMetadata
+ * @param {Object} options - Options
+ * @param {number} options.deadline - Stop extracting frames at this time (ms since epoch)
+ * @returns {Promise<Array<string|null>>} One hash per sampled frame, null where a frame
+ *   could not be read, was blank or was past the deadline
+ */
+const computeFrameHashes = async (input, metadata, { deadline = null } = {}) => {
+  const hashes = [];
+
+  for (const timestamp of getFingerprintTimestamps(metadata.duration)) {
+    const remainingMs = deadline ? deadline - Date.now() : null;
+    if (remainingMs !== null && remainingMs <= 0) {
+      hashes.push(null);
+      continue;
+    }
+
+    let framePath;
+    try {
+      // Upright, square-pixel SDR frames, so rotated or HDR copies still match
+      framePath = await videoProcessor.generateThumbnailAtTimestamp(input, timestamp, metadata.video, {
+        timeout: remainingMs !== null ? Math.ceil(remainingMs / 1000) : undefined
+      });
+
+      const { rejected } = await thumbnailProcessor.scoreFrame(framePath);
+      const hash = rejected ? null : await thumbnailProcessor.perceptualHash(framePath);
+      hashes.push(hash === FLAT_FRAME_HASH ? null : hash);
+    } catch (error) {
+      console.error(`Error hashing fingerprint frame at ${timestamp.toFixed(2)}s:`, error);
+      hashes.push(null);
+    } finally {
+      if (framePath) videoProcessor.cleanupFile(framePath);
+    }
+  }
+
+  return hashes;
+};
+
+/**
+ * Fingerprint a video: a hash of its bytes (local files only) and
+ * perceptual hashes of sampled frames
+ * @param {string} input - Local file path or URL
+ * @param {Object} metadata - Metadata from videoProcessor.getVideoMetadata
+ * @param {Object} options - Options
+ * @param {boolean} options.contentHash - Hash the file's bytes (needs a local file)
+ * @param {number} options.frameBudgetMs - Time allowed for extracting frames (unbounded if unset)
+ * @returns {Promise<Object>} { algorithm, sha256, frameHashes, duration, computedAt }
+ */
+const createFingerprint = async (input, metadata, { contentHash = true, frameBudgetMs = null } = {}) => ({
+  algorithm: FINGERPRINT_ALGORITHM,
+  sha256: contentHash ? await computeContentHash(input) : undefined,
+  frameHashes: await computeFrameHashes(input, metadata, {
+    deadline: frameBudgetMs ? Date.now() + frameBudgetMs : null
+  }),
+  duration: metadata.duration,
+  computedAt: new Date()
+});
+
+/**
+ * Compare the frame hashes of two fingerprints
+ * @param {Array<string|null>} a - Frame hashes
+ * @param {Array<string|null>} b - Frame hashes
+ * @returns {Object|null} { distance, frames }: mean Hamming distance over the frames both
+ *   have and how many there were, or null if too few to tell anything
+ */
+const compareFrameHashes = (a = [], b = []) => {
+  const distances = [];
+  a.forEach((hash, index) => {
+    if (hash && b[index]) {
+      distances.push(thumbnailProcessor.hashDistance(hash, b[index]));
+    }
+  });
+
+  if (distances.length < MIN_COMPARABLE_FRAMES) return null;
+  return {
+    distance: distances.reduce((sum, distance) => sum + distance, 0) / distances.length,
+    frames: distances.length
+  };
+};
+
+/**
+ * Check whether a match is strong enough to act on (block an upload, hold a
+ * video for moderation) rather than only warn about
+ * @param {Object} match - Match from findDuplicates
+ * @returns {boolean} True for exact matches and near matches over enough frames
+ */
+const isConclusiveMatch = (match) =>
+  match.match === 'exact' || match.frames >= MIN_BLOCKING_FRAMES;
+
+/**
+ * Find videos with the same content hash or near-identical frames
+ * @param {Object} fingerprint - Fingerprint from createFingerprint
+ * @param {Object} options - Lookup options
+ * @param {string} options.excludeVideoId - Video to leave out (the one being checked)
+ * @param {boolean} options.includeDeleted - Also match videos in the trash
+ * @returns {Promise<Array>} Matches ({ video, match: 'exact'|'near', distance, frames, similarity }), best first
+ */
+const findDuplicates = async (fingerprint, { excludeVideoId = null, includeDeleted = false } = {}) => {
+  const baseQuery = {};
+  if (excludeVideoId) baseQuery._id = { $ne: excludeVideoId };
+  if (!includeDeleted) baseQuery.deletedAt = null;
+
+  const fields = '_id title creatorId visibility createdAt deletedAt fingerprint';
+  const matches = new Map();
+
+  if (fingerprint?.sha256) {
+    const exact = await Video.find({ ...baseQuery, 'fingerprint.sha256': fingerprint.sha256 })
+      .select(fields)
+      .lean();
+    exact.forEach(video => {
+      matches.set(video._id.toString(), { video, match: 'exact', distance: 0, frames: null, similarity: 1 });
+    });
+  }
+
+  const duration = fingerprint?.duration;
+  if (duration > 0 && fingerprint.frameHashes?.some(Boolean)) {
+    const tolerance = Math.max(DURATION_TOLERANCE_SECONDS, duration * DURATION_TOLERANCE_RATIO);
+    const candidates = await Video.find({
+      ...baseQuery,
+      'fingerprint.algorithm': FINGERPRINT_ALGORITHM,
+      'fingerprint.duration': { $gte: duration - tolerance, $lte: duration + tolerance }
+    })
+      .select(fields)
+      .limit(MAX_NEAR_CANDIDATES)
+      .lean();
+
+    for (const video of candidates) {
+      if (matches.has(video._id.toString())) continue;
+
+      const comparison = compareFrameHashes(fingerprint.frameHashes, video.fingerprint.frameHashes);
+      if (comparison && comparison.distance <= NEAR_DUPLICATE_MAX_DISTANCE) {
+        matches.set(video._id.toString(), {
+          video,
+          match: 'near',
+          distance: comparison.distance,
+          frames: comparison.frames,
+          similarity: 1 - comparison.distance / 64
+        });
+      }
+    }
+  }
+
+  return [...matches.values()].sort((a, b) => a.distance - b.distance);
+};
+
+/**
+ * Check a new upload against existing videos. Matches of the uploader's own
+ * videos are reported as warnings; matches of anyone else's block the upload.
+ * @param {Object} fingerprint - Fingerprint of the upload
+ * @param {Object} user - Uploading user
+ * @returns {Promise<Object>} { own, others } lists of matches
+ */
+const checkUploadForDuplicates = async (fingerprint, user) => {
+  const matches = await findDuplicates(fingerprint);
+  const isOwn = (match) => match.video.creatorId?.toString() === user._id.toString();
+
+  return {
+    own: matches.filter(isOwn),
+    others: matches.filter(match => !isOwn(match))
+  };
+};
+
+/**
+ * Shape a match for an API response. Details of other creators' videos are
+ * only included when the video is public.
+ * @param {Object} match - Match from findDuplicates
+ * @param {Object} user - User the response is for
+ * @returns {Object} { videoId, title, match, similarity, own }
+ */
+const formatDuplicateMatch = (match, user) => {
+  const own = match.video.creatorId?.toString() === user._id.toString();
+  const visible = own || match.video.visibility === 'public' || user.role === 'Admin';
+
+  return {
+    videoId: visible ? match.video._id : null,
+    title: visible ? match.video.title : null,
+    match: match.match,
+    similarity: Math.round(match.similarity * 1000) / 1000,
+    own
+  };
+};
+
+/**
+ * Fingerprint a validated upload and check it for duplicates. Uploads that
+ * conclusively match another creator's video are rejected with a 409 media
+ * error; weaker matches, and matches of the uploader's own videos, come back
+ * as warnings. Frame extraction is bounded by UPLOAD_FRAME_BUDGET_MS.
+ * @param {string} input - Local file path or (signed) URL of the upload
+ * @param {Object} metadata - Metadata from validateVideoFile
+ * @param {Object} user - Uploading user
+ * @param {Object} options - Options passed to createFingerprint
+ * @returns {Promise<Object>} { fingerprint, warnings }
+ */
+const screenUpload = async (input, metadata, user, options = {}) => {
+  const fingerprint = await createFingerprint(input, metadata, {
+    frameBudgetMs: UPLOAD_FRAME_BUDGET_MS,
+    ...options
+  });
+  const { own, others } = await checkUploadForDuplicates(fingerprint, user);
+
+  const blocking = others.filter(isConclusiveMatch);
+  if (blocking.length > 0) {
+    throw createMediaError(
+      MEDIA_ERROR_CODES.DUPLICATE,
+      'This video matches one already uploaded by someone else.',
+      { matches: blocking.map(match => formatDuplicateMatch(match, user)) },
+      409
+    );
+  }
+
+  const warnings = [];
+  if (own.length > 0) {
+    warnings.push({
+      code: 'DUPLICATE_OF_OWN_VIDEO',
+      message: 'You have already uploaded this video.',
+      matches: own.map(match => formatDuplicateMatch(match, user))
+    });
+  }
+  if (others.length > 0) {
+    warnings.push({
+      code: 'POSSIBLE_DUPLICATE',
+      message: 'This video looks similar to one uploaded by someone else and may be reviewed.',
+      matches: others.map(match => formatDuplicateMatch(match, user))
+    });
+  }
+
+  return { fingerprint, warnings };
+};
+
+module.exports = {
+  FINGERPRINT_ALGORITHM,
+  computeContentHash,
+  computeFrameHashes,
+  createFingerprint,
+  compareFrameHashes,
+  isConclusiveMatch,
+  findDuplicates,
+  checkUploadForDuplicates,
+  formatDuplicateMatch,
+  screenUpload
+};
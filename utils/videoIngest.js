@@ -0,0 +1,312 @@
+const path = require('path');
+const Video = require('../models/Video');
+const User = require('../models/User');
+const UploadSession = require('../models/UploadSession');
+const storage = require('./storage');
+const jobQueue = require('./jobQueue');
+const uploadStaging = require('./uploadStaging');
+const { validateVideoFile, isMediaValidationError, getOriginalExtension } = require('./mediaValidation');
+const { isPrivateVisibility } = require('./videoMedia');
+const { screenUpload } = require('./videoFingerprint');
+const { PROCESS_VIDEO_JOB } = require('../jobs');
+
+// Lifetime of the signed URL ffprobe reads a stored original through
+const VALIDATION_URL_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Validate an original that is already in storage and check it for
+ * duplicates. A rejected original is deleted, since no video will ever point at it.
+ * @param {string} blobName - Blob name of the original
+ * @param {Object} user - Uploading user, for the role limits
+ * @returns {Promise<Object>} { metadata, fingerprint, warnings }: the probed metadata and screenUpload's result
+ */
+const validateStoredOriginal = async (blobName, user) => {
+  const url = storage.getSignedReadUrl(blobName, new Date(Date.now() + VALIDATION_URL_TTL_MS));
+
+  try {
+    const metadata = await validateVideoFile(url, user);
+    // The content hash needs the whole file; the processing job adds it
+    const screening = await screenUpload(url, metadata, user, { contentHash: false });
+    return { metadata, ...screening };
+  } catch (error) {
+    if (isMediaValidationError(error)) {
+      await storage.deleteBlob(blobName).catch(deleteError => {
+        console.error(`Failed to delete rejected upload ${blobName}:`, deleteError);
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Give a validated original the extension of its container. Originals are
+ * named after the declared file name when they are stored, which only knows
+ * the container when the extension is a known one; stripping the location
+ * remuxes the original with the muxer its extension names.
+ * @param {string} blobName - Blob name of the original
+ * @param {string} fileName - Declared file name
+ * @param {Object} metadata - Metadata from validateVideoFile
+ * @returns {Promise<Object>} { url, blobName } of the original, renamed if needed
+ */
+const nameAfterContainer = async (blobName, fileName, metadata) => {
+  const current = path.extname(blobName);
+  const extension = getOriginalExtension(fileName, metadata);
+  if (current === extension) {
+    return { url: storage.getBlobUrl(blobName), blobName };
+  }
+
+  const renamed = await storage.copyBlob(blobName, `${blobName.slice(0, blobName.length - current.length)}${extension}`);
+  await storage.deleteBlob(blobName).catch(error => {
+    console.error(`Failed to delete ${blobName} after renaming it to ${renamed.blobName}:`, error);
+  });
+  return renamed;
+};
+
+/**
+ * Create the video document for an original that is already in storage and
+ * queue it for processing. Every upload path ends here.
+ * @param {Object} params - Upload details
+ * @param {Object} params.user - Authenticated creator
+ * @param {string} params.videoPublicId - Public ID used for the video's blobs
+ * @param {Object} params.original - Stored original ({ url, blobName, bytes })
+ * @param {string} params.fileName - Original file name
+ * @param {string} params.mimeType - Original MIME type
+ * @param {string} params.title - Video title
+ * @param {string} params.description - Video description
+ * @param {Array<string>} params.tags - Video tags
+ * @param {string} params.visibility - public, unlisted or private
+ * @param {boolean} params.stripLocation - Remove the recording location from the original
+ * @param {Object} params.thumbnails - Creator-supplied thumbnails, kept over generated ones
+ * @param {Object} params.fingerprint - Fingerprint from the duplicate check
+ * @returns {Promise<Object>} Saved video document
+ */
+const createPendingVideo = async ({
+  user,
+  videoPublicId,
+  original,
+  fileName,
+  mimeType,
+  title,
+  description,
+  tags,
+  visibility,
+  stripLocation,
+  thumbnails,
+  fingerprint
+}) => {
+  const video = new Video({
+    title: title || 'Untitled Video',
+    description: description || '',
+    creatorId: user._id,
+    tags: tags || [],
+    visibility: visibility || 'public',
+    privacy: {
+      stripLocation: Boolean(stripLocation)
+    },
+    video: {
+      original: {
+        url: original.url,
+        blobName: original.blobName,
+        bytes: original.bytes
+      }
+    },
+    thumbnails: thumbnails || {},
+    fingerprint,
+    metadata: {
+      fileName,
+      mimeType,
+      processingStatus: 'pending',
+      processing: {
+        stage: 'queued',
+        percent: 0
+      }
+    }
+  });
+  await video.save();
+
+  await jobQueue.enqueue(PROCESS_VIDEO_JOB, {
+    videoId: video._id,
+    videoPublicId
+  });
+
+  // Update user's video count
+  await User.findByIdAndUpdate(user._id, {
+    $inc: { 'stats.videosCount': 1 }
+  });
+
+  return video;
+};
+
+/**
+ * Assemble a fully received upload session and create its video. The session
+ * is claimed first so a repeated finalize cannot create a second video.
+ * @param {Object} session - Upload session with every byte received
+ * @param {Object} user - Authenticated creator
+ * @returns {Promise<Object|null>} { session, video, warnings }, or null if the session was no longer active.
+ *   Throws a media validation error (statusCode 422, or 409 for another creator's video) when the
+ *   assembled file is rejected.
+ */
+const finalizeUploadSession = async (session, user) => {
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'active' },
+    { status: 'finalizing' },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let video;
+  let warnings;
+  try {
+    const assembled = await uploadStaging.finalize(claimed);
+    const screening = await validateStoredOriginal(assembled.blobName, user);
+    warnings = screening.warnings;
+    const original = await nameAfterContainer(assembled.blobName, claimed.fileName, screening.metadata);
+
+    video = await createPendingVideo({
+      user,
+      videoPublicId: claimed.videoPublicId,
+      original: {
+        url: original.url,
+        blobName: original.blobName,
+        bytes: claimed.totalSize
+      },
+      fileName: claimed.fileName,
+      mimeType: claimed.mimeType,
+      title: claimed.video.title,
+      description: claimed.video.description,
+      tags: claimed.video.tags,
+      visibility: claimed.video.visibility,
+      stripLocation: claimed.video.stripLocation,
+      fingerprint: screening.fingerprint
+    });
+  } catch (error) {
+    // Let the client retry the finalize, unless the file itself was rejected
+    claimed.status = isMediaValidationError(error) ? 'cancelled' : 'active';
+    await claimed.save();
+    throw error;
+  }
+
+  claimed.status = 'completed';
+  claimed.videoId = video._id;
+  claimed.completedAt = new Date();
+  await claimed.save();
+
+  return { session: claimed, video, warnings };
+};
+
+/**
+ * Delete a direct upload's upload area blob once the original has been copied
+ * out of it, or the upload was rejected
+ * @param {string} blobName - Blob the client's signed URL writes to
+ */
+const deleteUploadArea = async (blobName) => {
+  await storage.deleteBlob(blobName).catch(error => {
+    console.error(`Failed to delete direct upload ${blobName}:`, error);
+  });
+};
+
+/**
+ * Create the video for a blob the client uploaded directly with a signed URL.
+ * The upload is copied to the original's own name first, so every check below
+ * runs on bytes the client can no longer change (its signed URL only writes
+ * to the upload area). The copy is checked against the declared size;
+ * everything else about it is worked out by the processing job.
+ * @param {Object} session - 'sas' upload session issued to the user
+ * @param {Object} user - Authenticated creator
+ * @param {Object} details - Video details ({ title, description, tags, visibility, stripLocation }),
+ *   plus fileName, mimeType and fileSize from clients that did not declare them with the upload URL
+ * @returns {Promise<Object|null>} { session, video, warnings }, or null if the session was no longer active.
+ *   Throws an error with statusCode 400 when the blob is missing or the wrong size, or a
+ *   media validation error (statusCode 422, or 409 for another creator's video) when the file is rejected.
+ */
+const completeDirectUpload = async (session, user, details) => {
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'active' },
+    { status: 'finalizing' },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  claimed.totalSize = claimed.totalSize || details.fileSize;
+  claimed.fileName = claimed.fileName || details.fileName || `${claimed.videoPublicId}.mp4`;
+  claimed.mimeType = claimed.mimeType || details.mimeType || 'video/mp4';
+
+  let video;
+  let warnings;
+  let originalBlobName;
+  try {
+    if (!claimed.totalSize) {
+      const error = new Error('fileSize must be declared when requesting the upload URL or completing the upload');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // The client wrote the blob itself, so check it is really there
+    if (!await storage.stat(claimed.blobName)) {
+      const error = new Error('Uploaded video not found in storage');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    originalBlobName = `${storage.getFolder('videos', isPrivateVisibility(details.visibility))}/` +
+      `${claimed.videoPublicId}${getOriginalExtension(claimed.fileName)}`;
+    await storage.copyBlob(claimed.blobName, originalBlobName);
+
+    const properties = await storage.stat(originalBlobName);
+    if (!properties || properties.size !== claimed.totalSize) {
+      await storage.deleteBlob(originalBlobName);
+      const error = new Error(`Uploaded video is ${properties?.size || 0} bytes, expected ${claimed.totalSize}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    const screening = await validateStoredOriginal(originalBlobName, user);
+    warnings = screening.warnings;
+    const original = await nameAfterContainer(originalBlobName, claimed.fileName, screening.metadata);
+
+    video = await createPendingVideo({
+      user,
+      videoPublicId: claimed.videoPublicId,
+      original: {
+        url: original.url,
+        blobName: original.blobName,
+        bytes: properties.size
+      },
+      fileName: claimed.fileName,
+      mimeType: claimed.mimeType,
+      title: details.title,
+      description: details.description,
+      tags: details.tags,
+      visibility: details.visibility,
+      stripLocation: details.stripLocation,
+      fingerprint: screening.fingerprint
+    });
+  } catch (error) {
+    // Let the client retry the completion, unless the file itself was rejected
+    if (isMediaValidationError(error)) {
+      claimed.status = 'cancelled';
+      await deleteUploadArea(claimed.blobName);
+    } else {
+      claimed.status = 'active';
+    }
+    await claimed.save();
+    throw error;
+  }
+
+  await deleteUploadArea(claimed.blobName);
+
+  claimed.status = 'completed';
+  claimed.videoId = video._id;
+  claimed.completedAt = new Date();
+  // Completed direct uploads are kept (the thumbnail routes look them up by
+  // video), so they must not fall under the expiry index
+  claimed.expiresAt = undefined;
+  await claimed.save();
+
+  return { session: claimed, video, warnings };
+};
+
+module.exports = {
+  createPendingVideo,
+  finalizeUploadSession,
+  completeDirectUpload
+};
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const Video = require('../models/Video');
+const storage = require('./storage');
+
+// How long signed media URLs handed to viewers stay valid
+const PLAYBACK_URL_TTL_SECONDS = parseInt(process.env.PLAYBACK_URL_TTL_SECONDS) || 60 * 60; // 1 hour
+// Streaming segments are fetched right after the redirect, so their URLs can be much shorter
+const SEGMENT_URL_TTL_SECONDS = 5 * 60;
+const STREAMING_TOKEN_SECRET = process.env.PLAYBACK_SIGNING_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+const QUALITIES = ['hd', 'sd', 'mobile'];
+const THUMBNAIL_SIZES = ['poster', 'large', 'medium', 'small'];
+
+/**
+ * Whether a video's media must be kept out of public storage
+ * @param {string} visibility - public, unlisted or private
+ * @returns {boolean} True for unlisted and private videos
+ */
+const isPrivateVisibility = (visibility) => visibility !== 'public';
+
+const getPath = (object, dottedPath) =>
+  dottedPath.split('.').reduce((value, key) => (value == null ? value : value[key]), object);
+
+/**
+ * List the single-blob media of a video ({ url, blobName } objects). The
+ * streaming package is a blob prefix and is handled separately.
+ * @param {Object} video - Plain video object
+ * @returns {Array<string>} Dotted paths of the media objects that have a blob
+ */
+const getMediaPaths = (video) => {
+  const paths = [
+    'video.original',
+    ...QUALITIES.map(quality => `video.qualities.${quality}`),
+    ...THUMBNAIL_SIZES.map(size => `thumbnails.${size}`),
+    'thumbnails.preview.mp4',
+    'thumbnails.preview.webp',
+    ...(video.thumbnails?.timeline || []).map((thumbnail, index) => `thumbnails.timeline.${index}`),
+    ...(video.thumbnails?.uploads || []).map((upload, index) => `thumbnails.uploads.${index}`)
+  ];
+
+  return paths.filter(mediaPath => getPath(video, mediaPath)?.blobName);
+};
+
+/**
+ * Add every blob name found in a document to the set. Fields are matched by
+ * name (blobName, masterBlobName, manifestBlobName, ...) so newly added media
+ * fields are picked up without changes here.
+ * @param {*} value - Document or part of it
+ * @param {Set<string>} blobNames - Set to add to
+ */
+const collectBlobNames = (value, blobNames) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectBlobNames(item, blobNames));
+    return;
+  }
+
+  if (!value || typeof value !== 'object' || value instanceof Date) return;
+
+  for (const [key, fieldValue] of Object.entries(value)) {
+    if (/blobName$/i.test(key) && typeof fieldValue === 'string' && fieldValue) {
+      blobNames.add(fieldValue);
+    } else {
+      collectBlobNames(fieldValue, blobNames);
+    }
+  }
+};
+
+const signStreamingPayload = (videoId, expires) =>
+  crypto.createHmac('sha256', STREAMING_TOKEN_SECRET).update(`${videoId}:${expires}`).digest('hex');
+
+/**
+ * Create the token that authorizes reading a video's private streaming package
+ * @param {string} videoId - Video ID
+ * @param {Date} expiresOn - When the token stops working
+ * @returns {string} Token to embed in streaming URLs
+ */
+const createStreamingToken = (videoId, expiresOn) => {
+  const expires = Math.floor(expiresOn.getTime() / 1000);
+  return `${expires}.${signStreamingPayload(String(videoId), expires)}`;
+};
+
+/**
+ * Check a streaming token
+ * @param {string} videoId - Video ID
+ * @param {string} token - Token from the streaming URL
+ * @returns {Date|null} Expiry of the token, or null if it is invalid or expired
+ */
+const verifyStreamingToken = (videoId, token) => {
+  const [expires, signature] = String(token).split('.');
+  if (!expires || !signature || Number(expires) * 1000 < Date.now()) {
+    return null;
+  }
+
+  const expected = Buffer.from(signStreamingPayload(String(videoId), expires));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return new Date(Number(expires) * 1000);
+};
+
+/**
+ * Replace the URLs of privately stored media with short-lived signed URLs.
+ * Private streaming packages are served through the streaming proxy route,
+ * since manifests reference their segments by relative path.
+ * @param {Object} video - Plain video object, modified in place
+ * @param {string} apiBaseUrl - Absolute base URL of this API (e.g., https://host)
+ * @returns {Object} The video
+ */
+const signVideoMedia = (video, apiBaseUrl) => {
+  const expiresOn = new Date(Date.now() + PLAYBACK_URL_TTL_SECONDS * 1000);
+  let signed = false;
+
+  for (const mediaPath of getMediaPaths(video)) {
+    const media = getPath(video, mediaPath);
+    if (storage.isPrivateBlob(media.blobName)) {
+      media.url = storage.getSignedReadUrl(media.blobName, expiresOn);
+      signed = true;
+    }
+  }
+
+  const streaming = video.video?.streaming;
+  if (streaming?.prefix && storage.isPrivateBlob(streaming.prefix)) {
+    const baseUrl = `${apiBaseUrl}/api/videos/${video._id}/streaming/${createStreamingToken(video._id, expiresOn)}`;
+    const proxyUrl = (blobName) => `${baseUrl}/${blobName.slice(streaming.prefix.length + 1)}`;
+
+    if (streaming.hls?.masterBlobName) {
+      streaming.hls.masterUrl = proxyUrl(streaming.hls.masterBlobName);
+      (streaming.hls.renditions || []).forEach(rendition => {
+        rendition.url = proxyUrl(rendition.blobName);
+      });
+    }
+    if (streaming.dash?.manifestBlobName) {
+      streaming.dash.manifestUrl = proxyUrl(streaming.dash.manifestBlobName);
+    }
+
+    // Sprite sheets are part of the streaming package
+    const sprites = video.thumbnails?.sprites;
+    if (sprites?.vttBlobName) {
+      sprites.vttUrl = proxyUrl(sprites.vttBlobName);
+      (sprites.sheets || []).forEach(sheet => {
+        sheet.url = proxyUrl(sheet.blobName);
+      });
+    }
+    signed = true;
+  }
+
+  if (signed) {
+    video.mediaUrlsExpireAt = expiresOn;
+  }
+
+  return video;
+};
+
+/**
+ * Get a short-lived URL for one file of a private streaming package
+ * @param {string} blobName - Segment or init blob name
+ * @returns {string} Signed read URL
+ */
+const getSegmentUrl = (blobName) => {
+  if (!storage.isPrivateBlob(blobName)) {
+    return storage.getBlobUrl(blobName);
+  }
+
+  return storage.getSignedReadUrl(blobName, new Date(Date.now() + SEGMENT_URL_TTL_SECONDS * 1000));
+};
+
+/**
+ * Move a video's media between public and private storage so it matches the
+ * video's visibility. Blobs are copied, the video is pointed at the copies,
+ * then the old blobs are deleted.
+ * @param {Object} video - Video document
+ * @returns {Promise<number>} Number of blobs moved
+ */
+const relocateVideoMedia = async (video) => {
+  const isPrivate = isPrivateVisibility(video.visibility);
+  const plain = video.toObject();
+  const moved = new Map(); // old blob name -> new blob name
+  const updates = {};
+
+  const moveBlob = async (blobName) => {
+    if (!moved.has(blobName)) {
+      const destination = storage.getBlobNameForAccess(blobName, isPrivate);
+      await storage.copyBlob(blobName, destination);
+      moved.set(blobName, destination);
+    }
+    return moved.get(blobName);
+  };
+
+  for (const mediaPath of getMediaPaths(plain)) {
+    const { blobName } = getPath(plain, mediaPath);
+    if (storage.isPrivateBlob(blobName) === isPrivate) continue;
+
+    const destination = await moveBlob(blobName);
+    updates[`${mediaPath}.blobName`] = destination;
+    updates[`${mediaPath}.url`] = storage.getBlobUrl(destination);
+  }
+
+  const streaming = plain.video?.streaming;
+  if (streaming?.prefix && storage.isPrivateBlob(streaming.prefix) !== isPrivate) {
+    for await (const blob of storage.listBlobs(`${streaming.prefix}/`)) {
+      await moveBlob(blob.name);
+    }
+
+    const prefix = storage.getBlobNameForAccess(streaming.prefix, isPrivate);
+    const rename = (blobName) => storage.getBlobNameForAccess(blobName, isPrivate);
+
+    updates['video.streaming.prefix'] = prefix;
+    if (streaming.hls?.masterBlobName) {
+      updates['video.streaming.hls.masterBlobName'] = rename(streaming.hls.masterBlobName);
+      updates['video.streaming.hls.masterUrl'] = storage.getBlobUrl(rename(streaming.hls.masterBlobName));
+      updates['video.streaming.hls.renditions'] = (streaming.hls.renditions || []).map(rendition => ({
+        ...rendition,
+        blobName: rename(rendition.blobName),
+        url: storage.getBlobUrl(rename(rendition.blobName))
+      }));
+    }
+    if (streaming.dash?.manifestBlobName) {
+      updates['video.streaming.dash.manifestBlobName'] = rename(streaming.dash.manifestBlobName);
+      updates['video.streaming.dash.manifestUrl'] = storage.getBlobUrl(rename(streaming.dash.manifestBlobName));
+    }
+    const sprites = plain.thumbnails?.sprites;
+    if (sprites?.vttBlobName) {
+      updates['thumbnails.sprites.vttBlobName'] = rename(sprites.vttBlobName);
+      updates['thumbnails.sprites.vttUrl'] = storage.getBlobUrl(rename(sprites.vttBlobName));
+      updates['thumbnails.sprites.sheets'] = (sprites.sheets || []).map(sheet => ({
+        blobName: rename(sheet.blobName),
+        url: storage.getBlobUrl(rename(sheet.blobName))
+      }));
+    }
+  }
+
+  if (!moved.size) return 0;
+
+  await Video.updateOne({ _id: video._id }, { $set: updates });
+
+  // Only remove the originals once nothing points at them
+  for (const blobName of moved.keys()) {
+    await storage.deleteBlob(blobName).catch(error => {
+      console.error(`Failed to delete relocated blob ${blobName}:`, error);
+    });
+  }
+
+  return moved.size;
+};
+
+module.exports = {
+  isPrivateVisibility,
+  collectBlobNames,
+  createStreamingToken,
+  verifyStreamingToken,
+  signVideoMedia,
+  getSegmentUrl,
+  relocateVideoMedia
+};
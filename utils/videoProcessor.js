@@ -1,7 +1,8 @@
 const ffmpeg = require('fluent-ffmpeg');
 const ffmpegStatic = require('ffmpeg-static');
 const ffprobeStatic = require('ffprobe-static');
-const azureStorage = require('./azureStorage');
+const storage = require('./storage');
+const thumbnailProcessor = require('./thumbnailProcessor');
 const fs = require('fs');
 const path = require('path');
 
@@ -9,6 +10,91 @@ const path = require('path');
 ffmpeg.setFfmpegPath(ffmpegStatic);
 ffmpeg.setFfprobePath(ffprobeStatic.path);
 
+// H.264/AAC rendition ladder. `lines` is the target size of the shorter side so
+// portrait videos get the same treatment as landscape ones. Bitrates are in kbps.
+const RENDITION_LADDER = [
+  { quality: 'hd', lines: 1080, videoBitrate: 5000, audioBitrate: 192 },
+  { quality: 'sd', lines: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { quality: 'mobile', lines: 480, videoBitrate: 1000, audioBitrate: 96 }
+];
+
+// Target HLS segment length in seconds. Renditions are encoded with a keyframe
+// on every boundary so segments line up across qualities for ABR switching.
+const HLS_SEGMENT_DURATION = 6;
+
+// Frames sampled when picking the poster
+const POSTER_CANDIDATE_COUNT = 6;
+
+// Hover previews: short silent loops stitched from segments across the video
+const PREVIEW_SEGMENT_COUNT = 4;
+const PREVIEW_SEGMENT_SECONDS = 1.5;
+const PREVIEW_WIDTH = 320;
+const PREVIEW_WEBP_FPS = 12;
+
+// Hover-scrub sprite sheets: one frame every SPRITE_INTERVAL_SECONDS (stretched
+// for long videos so there are at most SPRITE_MAX_FRAMES), tiled into grids
+const SPRITE_INTERVAL_SECONDS = parseFloat(process.env.SPRITE_INTERVAL_SECONDS) || 2;
+const SPRITE_MAX_FRAMES = 1000;
+const SPRITE_TILE_WIDTH = 160;
+const SPRITE_COLUMNS = 10;
+const SPRITE_ROWS = 10;
+
+// Capture metadata tags, most specific first. QuickTime (iPhone) uses the
+// com.apple.quicktime keys, Android writes location/make/model in the
+// container's udta and com.android keys in newer versions.
+const CAPTURE_TAGS = {
+  make: ['com.apple.quicktime.make', 'com.android.manufacturer', 'make'],
+  model: ['com.apple.quicktime.model', 'com.android.model', 'model'],
+  recordedAt: ['com.apple.quicktime.creationdate', 'creation_time'],
+  location: ['com.apple.quicktime.location.iso6709', 'location', 'location-eng']
+};
+
+// Muxers used to remux an original in place, by file extension. Covers every
+// extension mediaValidation lets an original keep (default mp4).
+const REMUX_FORMATS = {
+  '.mp4': 'mp4',
+  '.m4v': 'mp4',
+  '.mov': 'mov',
+  '.3gp': '3gp',
+  '.webm': 'webm',
+  '.mkv': 'matroska',
+  '.avi': 'avi',
+  '.wmv': 'asf',
+  '.flv': 'flv',
+  '.mpg': 'mpeg',
+  '.mpeg': 'mpeg',
+  '.ts': 'mpegts'
+};
+
+// Muxers of the QuickTime family, which take -movflags
+const MOV_FORMATS = ['mp4', 'mov', '3gp'];
+
+// Recording dates before this are encoder defaults (QuickTime epoch, zeroed
+// fields), not real dates
+const MIN_RECORDED_AT = new Date('1990-01-01T00:00:00Z');
+
+// HDR transfer characteristics (ffprobe color_transfer) and the dynamic range they mean
+const HDR_TRANSFERS = {
+  smpte2084: 'HDR10', // PQ, also used by Dolby Vision and HDR10+
+  'arib-std-b67': 'HLG'
+};
+
+// Share of the overall progress taken by each pipeline stage, in run order
+const PROCESSING_STAGES = [
+  { stage: 'probe', weight: 5 },
+  { stage: 'thumbnails', weight: 10 },
+  { stage: 'transcode', weight: 55 },
+  { stage: 'upload', weight: 15 },
+  { stage: 'packaging', weight: 15 }
+];
+
+const H264_PROFILE_IDC = {
+  'Baseline': '42',
+  'Constrained Baseline': '42',
+  'Main': '4d',
+  'High': '64'
+};
+
 class VideoProcessor {
   constructor() {
     this.tempDir = path.join(__dirname, '../temp');
@@ -25,15 +111,21 @@ class VideoProcessor {
    * Generate video thumbnails at different timestamps
    * @param {string} videoPath - Path to the video file
    * @param {number} duration - Video duration in seconds
-   * @returns {Promise<Array>} Array of thumbnail paths
+   * @param {Object} source - Video stream info from getVideoMetadata
+   * @returns {Promise<Array>} Array of thumbnail paths, the poster first
    */
-  async generateThumbnails(videoPath, duration) {
+  async generateThumbnails(videoPath, duration, source = null) {
     const thumbnails = [];
-    const timestamps = this.calculateThumbnailTimestamps(duration);
-    
-    for (const timestamp of timestamps) {
+    const [, ...timelineTimestamps] = this.calculateThumbnailTimestamps(duration);
+
+    const poster = await this.selectPosterFrame(videoPath, duration, source);
+    if (poster) {
+      thumbnails.push(poster);
+    }
+
+    for (const timestamp of timelineTimestamps) {
       try {
-        const thumbnailPath = await this.generateThumbnailAtTimestamp(videoPath, timestamp);
+        const thumbnailPath = await this.generateThumbnailAtTimestamp(videoPath, timestamp, source);
         thumbnails.push({
           path: thumbnailPath,
           timestamp
@@ -46,6 +138,69 @@ class VideoProcessor {
     return thumbnails;
   }
 
+  /**
+   * Calculate the timestamps of the frames considered for the poster: the
+   * default poster time plus frames spread over the first half of the video
+   * @param {number} duration - Video duration in seconds
+   * @returns {Array<number>} Candidate timestamps, the default first
+   */
+  calculatePosterCandidateTimestamps(duration) {
+    const candidates = [Math.min(duration * 0.1, 5)];
+    if (!(duration > 1)) return candidates;
+
+    for (let i = 0; i < POSTER_CANDIDATE_COUNT - 1; i++) {
+      const timestamp = duration * (0.05 + 0.45 * i / (POSTER_CANDIDATE_COUNT - 2));
+      // Skip frames too close to one already sampled
+      if (candidates.every(candidate => Math.abs(candidate - timestamp) >= 0.5)) {
+        candidates.push(timestamp);
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Extract the poster candidates and keep the best scoring frame
+   * @param {string} videoPath - Path to the video file
+   * @param {number} duration - Video duration in seconds
+   * @param {Object} source - Video stream info from getVideoMetadata
+   * @returns {Promise<Object|null>} { path, timestamp, score } or null if no frame could be extracted
+   */
+  async selectPosterFrame(videoPath, duration, source = null) {
+    let best = null;
+
+    for (const timestamp of this.calculatePosterCandidateTimestamps(duration)) {
+      let framePath;
+      try {
+        framePath = await this.generateThumbnailAtTimestamp(videoPath, timestamp, source);
+      } catch (error) {
+        console.error(`Error generating poster candidate at ${timestamp}s:`, error);
+        continue;
+      }
+
+      let score = -Infinity;
+      try {
+        ({ score } = await thumbnailProcessor.scoreFrame(framePath));
+      } catch (error) {
+        console.error(`Error scoring poster candidate at ${timestamp}s:`, error);
+      }
+
+      // Ties (e.g., nothing could be scored) keep the earlier, default frame
+      if (!best || score > best.score) {
+        if (best) this.cleanupFile(best.path);
+        best = { path: framePath, timestamp, score };
+      } else {
+        this.cleanupFile(framePath);
+      }
+    }
+
+    if (best) {
+      console.log(`Selected poster frame at ${best.timestamp.toFixed(2)}s (score ${best.score.toFixed(3)})`);
+    }
+
+    return best;
+  }
+
   /**
    * Calculate optimal timestamps for thumbnails
    * @param {number} duration - Video duration in seconds
@@ -77,23 +232,34 @@ class VideoProcessor {
    * Generate thumbnail at specific timestamp
    * @param {string} videoPath - Path to the video file
    * @param {number} timestamp - Timestamp in seconds
+   * @param {Object} source - Video stream info (metadata.video or a stored original), used
+   *   to square pixels and tone-map HDR
+   * @param {Object} options - Options
+   * @param {number} options.timeout - Kill ffmpeg after this many seconds
    * @returns {Promise<string>} Path to generated thumbnail
    */
-  generateThumbnailAtTimestamp(videoPath, timestamp) {
+  generateThumbnailAtTimestamp(videoPath, timestamp, source = null, options = {}) {
     return new Promise((resolve, reject) => {
       const outputFileName = `thumb_${Date.now()}_${Math.floor(timestamp)}.png`;
       const outputPath = path.join(this.tempDir, outputFileName);
 
-      ffmpeg(videoPath)
-        .seekInput(timestamp)
+      const command = ffmpeg(videoPath, options.timeout ? { timeout: options.timeout } : {}).seekInput(timestamp);
+
+      const filters = this.buildNormalizeFilters(source);
+      if (filters.length) {
+        command.videoFilters(filters);
+      }
+
+      command
         .frames(1)
-        .size('1280x720')
-        .format('png')
+        .format('png') // lossless intermediate, sized and encoded by thumbnailProcessor
         .output(outputPath)
         .on('end', () => {
           resolve(outputPath);
         })
         .on('error', (error) => {
+          // A killed (timed out) run can leave a partial frame behind
+          this.cleanupFile(outputPath);
           reject(error);
         })
         .run();
@@ -111,7 +277,10 @@ class VideoProcessor {
         if (error) {
           reject(error);
         } else {
-          const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+          // Cover art is reported as a video stream too
+          const videoStream = metadata.streams.find(stream =>
+            stream.codec_type === 'video' && !stream.disposition?.attached_pic
+          );
           const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
           
           resolve({
@@ -119,25 +288,305 @@ class VideoProcessor {
             size: parseInt(metadata.format.size),
             bitRate: parseInt(metadata.format.bit_rate),
             format: metadata.format.format_name,
-            video: videoStream ? {
-              codec: videoStream.codec_name,
-              width: videoStream.width,
-              height: videoStream.height,
-              frameRate: this.parseFrameRate(videoStream.r_frame_rate),
-              bitRate: parseInt(videoStream.bit_rate)
-            } : null,
+            video: videoStream ? this.describeVideoStream(videoStream) : null,
             audio: audioStream ? {
               codec: audioStream.codec_name,
               bitRate: parseInt(audioStream.bit_rate),
               sampleRate: parseInt(audioStream.sample_rate),
               channels: audioStream.channels
-            } : null
+            } : null,
+            capture: this.parseCaptureMetadata(metadata)
           });
         }
       });
     });
   }
 
+  /**
+   * Describe a video stream as it is displayed. width/height are the display
+   * dimensions: square pixels (sample aspect ratio applied) and turned upright
+   * (display matrix rotation applied); the stored dimensions are kept as
+   * codedWidth/codedHeight.
+   * @param {Object} stream - ffprobe video stream
+   * @returns {Object} Video stream info
+   */
+  describeVideoStream(stream) {
+    const rotation = this.getRotation(stream);
+    const sampleAspectRatio = this.parseRatio(stream.sample_aspect_ratio) ? stream.sample_aspect_ratio : '1:1';
+
+    let width = stream.width;
+    let height = stream.height;
+    if (width && height) {
+      // Kept even, like every size derived from it for yuv420p
+      width = Math.max(2, Math.round((width * this.parseRatio(sampleAspectRatio)) / 2) * 2);
+      if (rotation % 180 !== 0) {
+        [width, height] = [height, width];
+      }
+    }
+
+    return {
+      codec: stream.codec_name,
+      profile: stream.profile,
+      level: stream.level,
+      width,
+      height,
+      codedWidth: stream.width,
+      codedHeight: stream.height,
+      rotation,
+      sampleAspectRatio,
+      displayAspectRatio: width && height ? this.formatRatio(width, height) : null,
+      pixelFormat: stream.pix_fmt,
+      colorPrimaries: this.parseColorTag(stream.color_primaries),
+      colorTransfer: this.parseColorTag(stream.color_transfer),
+      colorSpace: this.parseColorTag(stream.color_space),
+      dynamicRange: HDR_TRANSFERS[stream.color_transfer] || 'SDR',
+      frameRate: this.parseFrameRate(stream.r_frame_rate),
+      bitRate: parseInt(stream.bit_rate)
+    };
+  }
+
+  /**
+   * Get the clockwise rotation a video needs to be displayed upright. Newer
+   * ffprobe reports it as display matrix side data (counter-clockwise, so
+   * negated), older muxers as a rotate tag.
+   * @param {Object} stream - ffprobe video stream
+   * @returns {number} 0, 90, 180 or 270
+   */
+  getRotation(stream) {
+    // fluent-ffmpeg flattens side data into the stream; JSON output nests it
+    const sideData = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+    const matrixRotation = stream.rotation ?? sideData?.rotation;
+
+    let degrees = 0;
+    if (matrixRotation !== undefined && !isNaN(Number(matrixRotation))) {
+      degrees = -Number(matrixRotation);
+    } else if (stream.tags?.rotate !== undefined) {
+      degrees = Number(stream.tags.rotate) || 0;
+    }
+
+    return ((Math.round(degrees / 90) * 90) % 360 + 360) % 360;
+  }
+
+  /**
+   * Parse an aspect ratio such as "4:3"
+   * @param {string} ratio - Ratio string
+   * @returns {number|null} Ratio, or null when unknown ("0:1", "N/A")
+   */
+  parseRatio(ratio) {
+    const [numerator, denominator] = String(ratio || '').split(':').map(Number);
+    if (!(numerator > 0) || !(denominator > 0)) return null;
+    return numerator / denominator;
+  }
+
+  /**
+   * Reduce dimensions to an aspect ratio string
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @returns {string} Ratio (e.g., "16:9")
+   */
+  formatRatio(width, height) {
+    const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+    const divisor = gcd(width, height);
+    return `${width / divisor}:${height / divisor}`;
+  }
+
+  /**
+   * Normalize an ffprobe color tag, which is "unknown" or missing when untagged
+   * @param {string} value - Tag value
+   * @returns {string|null} Tag value or null
+   */
+  parseColorTag(value) {
+    return value && value !== 'unknown' ? value : null;
+  }
+
+  /**
+   * Build the filters that turn decoded frames into square-pixel SDR BT.709
+   * frames. Rotation needs no filter: ffmpeg applies the display matrix while
+   * decoding (autorotate), so filters already see upright frames.
+   * @param {Object} source - Video stream info (metadata.video or a stored original)
+   * @returns {Array<string>} Filters, empty when the source needs none
+   */
+  buildNormalizeFilters(source) {
+    const filters = [];
+    if (!source) return filters;
+
+    const sampleAspectRatio = this.parseRatio(source.sampleAspectRatio);
+    if (sampleAspectRatio && sampleAspectRatio !== 1) {
+      filters.push('scale=trunc(iw*sar/2)*2:ih', 'setsar=1');
+    }
+
+    if (source.dynamicRange && source.dynamicRange !== 'SDR') {
+      filters.push(...this.buildToneMapFilters(source));
+    }
+
+    return filters;
+  }
+
+  /**
+   * Build a filter chain tone-mapping PQ or HLG BT.2020 video to SDR BT.709
+   * (linearize, map the highlights with Hable, convert primaries and transfer)
+   * @param {Object} source - Video stream info with dynamicRange
+   * @returns {Array<string>} Filters ending in 8-bit yuv420p
+   */
+  buildToneMapFilters(source) {
+    const transferIn = source.dynamicRange === 'HLG' ? 'arib-std-b67' : 'smpte2084';
+
+    return [
+      `zscale=tin=${transferIn}:pin=bt2020:min=bt2020nc:t=linear:npl=100`,
+      'format=gbrpf32le',
+      'zscale=p=bt709',
+      'tonemap=tonemap=hable:desat=0',
+      'zscale=t=bt709:m=bt709:r=tv',
+      'format=yuv420p'
+    ];
+  }
+
+  /**
+   * Read the camera, recording date and location from ffprobe's container
+   * and stream tags. Container tags win over stream tags.
+   * @param {Object} probe - Raw ffprobe output
+   * @returns {Object} { camera: { make, model }, recordedAt, location } with null for anything missing
+   */
+  parseCaptureMetadata(probe) {
+    const tags = {};
+    const sources = [...(probe.streams || []).map(stream => stream.tags), probe.format?.tags];
+    for (const source of sources) {
+      for (const [key, value] of Object.entries(source || {})) {
+        if (typeof value === 'string' && value.trim()) {
+          tags[key.toLowerCase()] = value.trim();
+        }
+      }
+    }
+
+    const findTag = (field) => CAPTURE_TAGS[field].map(key => tags[key]).find(Boolean);
+
+    const make = findTag('make') || null;
+    const model = findTag('model') || null;
+
+    const recordedAt = CAPTURE_TAGS.recordedAt
+      .map(key => this.parseRecordingDate(tags[key]))
+      .find(Boolean) || null;
+
+    const location = CAPTURE_TAGS.location
+      .map(key => this.parseIso6709(tags[key]))
+      .find(Boolean) || null;
+
+    return {
+      camera: make || model ? { make, model } : null,
+      recordedAt,
+      location
+    };
+  }
+
+  /**
+   * Parse a recording date tag, ignoring placeholder and future dates
+   * @param {string} value - Tag value (e.g., "2024-05-01T12:30:00.000000Z", "2024-05-01T14:30:00+0200")
+   * @returns {Date|null} Recording date
+   */
+  parseRecordingDate(value) {
+    if (!value) return null;
+
+    // QuickTime writes offsets without a colon, which Date does not accept everywhere
+    const date = new Date(value.replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+    if (isNaN(date.getTime())) return null;
+    if (date < MIN_RECORDED_AT || date.getTime() > Date.now() + 24 * 60 * 60 * 1000) return null;
+
+    return date;
+  }
+
+  /**
+   * Parse an ISO 6709 location string into a GeoJSON point. Degrees may be
+   * decimal (+DD.DDDD+DDD.DDDD) or include minutes and seconds
+   * (+DDMM.MM+DDDMM.MM, +DDMMSS+DDDMMSS); altitude is ignored.
+   * @param {string} value - Tag value (e.g., "+37.3349-122.0090+042.000/")
+   * @returns {Object|null} { type: 'Point', coordinates: [longitude, latitude] }
+   */
+  parseIso6709(value) {
+    const match = /^([+-])(\d+(?:\.\d+)?)([+-])(\d+(?:\.\d+)?)/.exec(value || '');
+    if (!match) return null;
+
+    // The integer part's length tells degrees, minutes and seconds apart
+    const toDegrees = (digits, degreeDigits) => {
+      const [whole, fraction = ''] = digits.split('.');
+      const parts = [];
+      for (let end = whole.length; end > degreeDigits; end -= 2) {
+        parts.unshift(whole.slice(end - 2, end));
+      }
+      parts.unshift(whole.slice(0, whole.length - parts.length * 2));
+      parts[parts.length - 1] += fraction ? `.${fraction}` : '';
+
+      const [degrees, minutes = 0, seconds = 0] = parts.map(Number);
+      return degrees + minutes / 60 + seconds / 3600;
+    };
+
+    const latitude = (match[1] === '-' ? -1 : 1) * toDegrees(match[2], 2);
+    const longitude = (match[3] === '-' ? -1 : 1) * toDegrees(match[4], 3);
+
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+    // Some cameras write a zero position when they have no fix
+    if (latitude === 0 && longitude === 0) return null;
+
+    return {
+      type: 'Point',
+      coordinates: [longitude, latitude]
+    };
+  }
+
+  /**
+   * Remux a video in place without its container metadata, dropping capture
+   * tags such as the recording location. Streams are copied, not re-encoded.
+   * @param {string} videoPath - Local video file to rewrite
+   * @param {string} format - Container to write, keeping the original's (default 'mp4')
+   * @returns {Promise<string>} Path to the rewritten file
+   */
+  stripMetadata(videoPath, format = 'mp4') {
+    return new Promise((resolve, reject) => {
+      const outputPath = path.join(this.tempDir, `stripped_${Date.now()}_${path.basename(videoPath)}`);
+
+      ffmpeg(videoPath)
+        .outputOptions([
+          // Data tracks (timecode, timed metadata) may carry location too
+          '-map', '0:v',
+          '-map', '0:a?',
+          '-c', 'copy',
+          '-map_metadata', '-1',
+          ...(MOV_FORMATS.includes(format) ? ['-movflags', '+faststart'] : [])
+        ])
+        .format(format)
+        .output(outputPath)
+        .on('end', () => {
+          fs.renameSync(outputPath, videoPath);
+          resolve(videoPath);
+        })
+        .on('error', (error) => {
+          this.cleanupFile(outputPath);
+          reject(error);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Strip the metadata of a downloaded original and replace the stored blob with it
+   * @param {string} videoPath - Local copy of the original
+   * @param {Object} original - Stored original ({ blobName })
+   * @returns {Promise<number>} Size of the rewritten original in bytes
+   */
+  async stripOriginalMetadata(videoPath, original) {
+    const extension = path.posix.extname(original.blobName).toLowerCase();
+    await this.stripMetadata(videoPath, REMUX_FORMATS[extension] || 'mp4');
+
+    await storage.uploadFile(
+      videoPath,
+      path.posix.dirname(original.blobName),
+      path.posix.basename(original.blobName),
+      storage.getContentType(original.blobName)
+    );
+
+    return fs.statSync(videoPath).size;
+  }
+
   /**
    * Parse frame rate from ffprobe format
    * @param {string} frameRate - Frame rate string (e.g., "30/1")
@@ -150,29 +599,26 @@ class VideoProcessor {
   }
 
   /**
-   * Upload thumbnails to Azure Storage
+   * Upload thumbnails to storage. The first frame becomes the poster with its
+   * sized variants, the others become timeline thumbnails.
    * @param {Array} thumbnails - Array of thumbnail objects with path and timestamp
    * @param {string} videoPublicId - Public ID of the video
-   * @returns {Promise<Object>} Azure Storage upload results
+   * @param {boolean} isPrivate - Store under the private prefix
+   * @returns {Promise<Array>} Poster set followed by timeline thumbnails, null where a frame failed
    */
-  async uploadThumbnailsToAzure(thumbnails, videoPublicId) {
+  async uploadThumbnailsToStorage(thumbnails, videoPublicId, isPrivate = false) {
     const uploadPromises = thumbnails.map(async (thumbnail, index) => {
       try {
-        const uploadResult = await azureStorage.uploadThumbnail(
-          thumbnail.path,
-          videoPublicId,
-          index,
-          thumbnail.timestamp
-        );
+        const options = { private: isPrivate };
+        const uploadResult = index === 0
+          ? await thumbnailProcessor.createThumbnailSet(thumbnail.path, videoPublicId, options)
+          : await thumbnailProcessor.createTimelineThumbnail(thumbnail.path, videoPublicId, index, options);
 
         // Clean up local file
         this.cleanupFile(thumbnail.path);
 
         return {
-          url: uploadResult.url,
-          blobName: uploadResult.blobName,
-          width: 1280, // Standard thumbnail width
-          height: 720, // Standard thumbnail height
+          ...uploadResult,
           timestamp: thumbnail.timestamp
         };
       } catch (error) {
@@ -182,8 +628,7 @@ class VideoProcessor {
       }
     });
 
-    const results = await Promise.all(uploadPromises);
-    return results.filter(result => result !== null);
+    return Promise.all(uploadPromises);
   }
 
   /**
@@ -214,88 +659,832 @@ class VideoProcessor {
   }
 
   /**
-   * Generate video upload for Azure Storage
+   * Pick the renditions to produce for a source video, never upscaling.
+   * Sources smaller than the lowest rung get a single mobile rendition at
+   * their own resolution.
+   * @param {Object} metadata - Metadata from getVideoMetadata
+   * @returns {Array<Object>} Renditions with quality, width, height and bitrates
+   */
+  selectRenditions(metadata) {
+    const sourceWidth = metadata.video?.width;
+    const sourceHeight = metadata.video?.height;
+    if (!sourceWidth || !sourceHeight) return [];
+
+    const sourceLines = Math.min(sourceWidth, sourceHeight);
+    let rungs = RENDITION_LADDER.filter(rung => rung.lines <= sourceLines);
+
+    if (!rungs.length) {
+      rungs = [{ ...RENDITION_LADDER[RENDITION_LADDER.length - 1], lines: sourceLines }];
+    }
+
+    return rungs.map(rung => {
+      const scale = rung.lines / sourceLines;
+      return {
+        ...rung,
+        // libx264 with yuv420p needs even dimensions
+        width: Math.max(2, Math.round((sourceWidth * scale) / 2) * 2),
+        height: Math.max(2, Math.round((sourceHeight * scale) / 2) * 2)
+      };
+    });
+  }
+
+  /**
+   * Transcode the source into a single H.264/AAC MP4 rendition
+   * @param {string} videoPath - Path to the source video file
+   * @param {Object} rendition - Rendition from selectRenditions
+   * @param {Object} source - Video stream info from getVideoMetadata
+   * @param {boolean} hasAudio - Whether the source has an audio stream
+   * @param {Function} onProgress - Called with the percentage of this rendition done
+   * @returns {Promise<string>} Path to the transcoded file
+   */
+  transcodeRendition(videoPath, rendition, source, hasAudio, onProgress = () => {}) {
+    return new Promise((resolve, reject) => {
+      const outputFileName = `rendition_${Date.now()}_${rendition.quality}.mp4`;
+      const outputPath = path.join(this.tempDir, outputFileName);
+
+      // Upright (autorotate), tone-mapped if HDR, then scaled to the display size
+      const filters = [
+        ...(source?.dynamicRange && source.dynamicRange !== 'SDR' ? this.buildToneMapFilters(source) : []),
+        `scale=${rendition.width}:${rendition.height}`,
+        'setsar=1'
+      ];
+
+      const command = ffmpeg(videoPath)
+        .videoCodec('libx264')
+        .videoFilters(filters)
+        .videoBitrate(rendition.videoBitrate)
+        .outputOptions([
+          '-preset', 'veryfast',
+          '-profile:v', 'high',
+          '-pix_fmt', 'yuv420p',
+          // Renditions are always SDR BT.709, whatever the source was
+          '-color_primaries', 'bt709',
+          '-color_trc', 'bt709',
+          '-colorspace', 'bt709',
+          '-maxrate', `${Math.round(rendition.videoBitrate * 1.1)}k`,
+          '-bufsize', `${rendition.videoBitrate * 2}k`,
+          '-force_key_frames', `expr:gte(t,n_forced*${HLS_SEGMENT_DURATION})`,
+          '-sc_threshold', '0',
+          // Capture tags (location, device) are not carried into derived files
+          '-map_metadata', '-1',
+          '-movflags', '+faststart'
+        ])
+        .format('mp4');
+
+      if (hasAudio) {
+        command
+          .audioCodec('aac')
+          .audioBitrate(rendition.audioBitrate)
+          .audioChannels(2);
+      } else {
+        command.noAudio();
+      }
+
+      command
+        .output(outputPath)
+        .on('progress', (progress) => {
+          // percent is derived from the input duration and may be missing or overshoot
+          if (Number.isFinite(progress.percent)) {
+            onProgress(Math.min(Math.max(progress.percent, 0), 100));
+          }
+        })
+        .on('end', () => {
+          resolve(outputPath);
+        })
+        .on('error', (error) => {
+          this.cleanupFile(outputPath);
+          reject(error);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Transcode the source into every applicable rendition of the ladder
+   * @param {string} videoPath - Path to the source video file
+   * @param {Object} metadata - Metadata from getVideoMetadata
+   * @param {Function} onProgress - Called with (fraction of all renditions done, quality)
+   * @returns {Promise<Array>} Transcoded renditions with local path and real dimensions
+   */
+  async transcodeRenditions(videoPath, metadata, onProgress = () => {}) {
+    const renditions = [];
+    const ladder = this.selectRenditions(metadata);
+
+    try {
+      // Run sequentially; ffmpeg already uses every available core per job
+      for (const [index, rendition] of ladder.entries()) {
+        onProgress(index / ladder.length, rendition.quality);
+        const outputPath = await this.transcodeRendition(
+          videoPath,
+          rendition,
+          metadata.video,
+          !!metadata.audio,
+          percent => onProgress((index + percent / 100) / ladder.length, rendition.quality)
+        );
+        renditions.push({ quality: rendition.quality, path: outputPath });
+
+        const renditionMetadata = await this.getVideoMetadata(outputPath);
+        Object.assign(renditions[renditions.length - 1], {
+          width: renditionMetadata.video?.width || rendition.width,
+          height: renditionMetadata.video?.height || rendition.height,
+          bitRate: renditionMetadata.bitRate || (rendition.videoBitrate + rendition.audioBitrate) * 1000,
+          bytes: renditionMetadata.size,
+          codecs: this.getCodecString(renditionMetadata),
+          frameRate: renditionMetadata.video?.frameRate
+        });
+      }
+    } catch (error) {
+      renditions.forEach(rendition => this.cleanupFile(rendition.path));
+      throw error;
+    }
+
+    return renditions;
+  }
+
+  /**
+   * Build an RFC 6381 codecs string for a transcoded rendition
+   * @param {Object} metadata - Metadata from getVideoMetadata
+   * @returns {string} Codecs string (e.g., "avc1.640028,mp4a.40.2")
+   */
+  getCodecString(metadata) {
+    const codecs = [];
+
+    if (metadata.video) {
+      const profile = H264_PROFILE_IDC[metadata.video.profile] || H264_PROFILE_IDC.High;
+      const level = (metadata.video.level > 0 ? metadata.video.level : 40).toString(16).padStart(2, '0');
+      codecs.push(`avc1.${profile}00${level}`);
+    }
+
+    if (metadata.audio) {
+      codecs.push('mp4a.40.2');
+    }
+
+    return codecs.join(',');
+  }
+
+  /**
+   * Segment a rendition into fMP4 HLS segments with a VOD media playlist
+   * @param {string} renditionPath - Path to the transcoded rendition
+   * @param {string} outputDir - Directory to write the playlist and segments to
+   * @returns {Promise<string>} Path to the media playlist
+   */
+  segmentRenditionHls(renditionPath, outputDir) {
+    return new Promise((resolve, reject) => {
+      fs.mkdirSync(outputDir, { recursive: true });
+      const playlistPath = path.join(outputDir, 'index.m3u8');
+
+      ffmpeg(renditionPath)
+        .outputOptions([
+          '-c', 'copy',
+          '-f', 'hls',
+          '-hls_time', String(HLS_SEGMENT_DURATION),
+          '-hls_playlist_type', 'vod',
+          '-hls_segment_type', 'fmp4',
+          '-hls_fmp4_init_filename', 'init.mp4',
+          '-hls_segment_filename', path.join(outputDir, 'segment_%03d.m4s')
+        ])
+        .output(playlistPath)
+        .on('end', () => {
+          resolve(playlistPath);
+        })
+        .on('error', (error) => {
+          reject(error);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Build the HLS master playlist referencing every rendition playlist
+   * @param {Array} renditions - Transcoded renditions
+   * @returns {string} Master playlist contents
+   */
+  buildHlsMasterPlaylist(renditions) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:7', '#EXT-X-INDEPENDENT-SEGMENTS'];
+
+    for (const rendition of renditions) {
+      const attributes = [
+        // BANDWIDTH is the peak rate; the encoder caps it at maxrate (110%)
+        `BANDWIDTH=${Math.round(rendition.bitRate * 1.1)}`,
+        `AVERAGE-BANDWIDTH=${Math.round(rendition.bitRate)}`,
+        `RESOLUTION=${rendition.width}x${rendition.height}`,
+        `CODECS="${rendition.codecs}"`
+      ];
+      if (rendition.frameRate) {
+        attributes.push(`FRAME-RATE=${rendition.frameRate.toFixed(3)}`);
+      }
+
+      lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`);
+      lines.push(`${rendition.quality}/index.m3u8`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Read segment durations from an HLS media playlist
+   * @param {string} playlistPath - Path to the media playlist
+   * @returns {Array<number>} Segment durations in seconds, in playback order
+   */
+  parseHlsSegmentDurations(playlistPath) {
+    return fs.readFileSync(playlistPath, 'utf8')
+      .split('\n')
+      .filter(line => line.startsWith('#EXTINF:'))
+      .map(line => parseFloat(line.slice('#EXTINF:'.length)));
+  }
+
+  /**
+   * Format seconds as an ISO 8601 duration for the MPD
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} Duration (e.g., "PT12.345S")
+   */
+  formatIsoDuration(seconds) {
+    return `PT${Number(seconds.toFixed(3))}S`;
+  }
+
+  /**
+   * Build a static DASH MPD that references the fMP4 segments written for HLS
+   * @param {Array} renditions - Transcoded renditions
+   * @param {string} packageDir - Directory holding the HLS package
+   * @param {number} duration - Video duration in seconds
+   * @returns {string} MPD contents
+   */
+  buildDashManifest(renditions, packageDir, duration) {
+    const timescale = 1000;
+
+    const representations = renditions.map(rendition => {
+      const durations = this.parseHlsSegmentDurations(
+        path.join(packageDir, rendition.quality, 'index.m3u8')
+      ).map(segmentDuration => Math.round(segmentDuration * timescale));
+
+      // Run-length encode equal durations into <S d="" r=""/> entries
+      const timeline = [];
+      for (const segmentDuration of durations) {
+        const last = timeline[timeline.length - 1];
+        if (last && last.d === segmentDuration) {
+          last.r++;
+        } else {
+          timeline.push({ d: segmentDuration, r: 0 });
+        }
+      }
+      const segments = timeline.map((entry, index) => {
+        const start = index === 0 ? ' t="0"' : '';
+        const repeat = entry.r > 0 ? ` r="${entry.r}"` : '';
+        return `            <S${start} d="${entry.d}"${repeat}/>`;
+      });
+
+      const frameRate = rendition.frameRate ? ` frameRate="${Math.round(rendition.frameRate * 1000)}/1000"` : '';
+
+      return [
+        `      <Representation id="${rendition.quality}" bandwidth="${Math.round(rendition.bitRate)}" width="${rendition.width}" height="${rendition.height}" codecs="${rendition.codecs}"${frameRate}>`,
+        `        <SegmentTemplate timescale="${timescale}" initialization="${rendition.quality}/init.mp4" media="${rendition.quality}/segment_$Number%03d$.m4s" startNumber="0">`,
+        '          <SegmentTimeline>',
+        ...segments,
+        '          </SegmentTimeline>',
+        '        </SegmentTemplate>',
+        '      </Representation>'
+      ].join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      `<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" profiles="urn:mpeg:dash:profile:isoff-live:2011" type="static" mediaPresentationDuration="${this.formatIsoDuration(duration)}" minBufferTime="${this.formatIsoDuration(HLS_SEGMENT_DURATION)}">`,
+      '  <Period id="0" start="PT0S">',
+      '    <AdaptationSet id="0" contentType="video" mimeType="video/mp4" segmentAlignment="true" startWithSAP="1">',
+      ...representations,
+      '    </AdaptationSet>',
+      '  </Period>',
+      '</MPD>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Pick the segments a preview clip is stitched from, spread between 10% and
+   * 80% of the video. Short videos get a single segment from the start.
+   * @param {number} duration - Video duration in seconds
+   * @returns {Array<Object>} Segments ({ start, duration }) in seconds
+   */
+  calculatePreviewSegments(duration) {
+    const totalSeconds = PREVIEW_SEGMENT_COUNT * PREVIEW_SEGMENT_SECONDS;
+    if (!(duration > totalSeconds * 2)) {
+      return [{ start: 0, duration: Math.min(duration || totalSeconds, totalSeconds) }];
+    }
+
+    return Array.from({ length: PREVIEW_SEGMENT_COUNT }, (_, index) => ({
+      start: duration * (0.1 + 0.7 * index / (PREVIEW_SEGMENT_COUNT - 1)) - PREVIEW_SEGMENT_SECONDS / 2,
+      duration: PREVIEW_SEGMENT_SECONDS
+    }));
+  }
+
+  /**
+   * Stitch a silent, low resolution preview MP4 from several segments
+   * @param {string} sourcePath - Video to cut from (the smallest rendition is enough)
+   * @param {Array<Object>} segments - Segments from calculatePreviewSegments
+   * @param {string} outputPath - MP4 file to write
+   * @returns {Promise<string>} Path to the preview MP4
+   */
+  encodePreviewMp4(sourcePath, segments, outputPath) {
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg();
+
+      // One fast-seeking input per segment, concatenated below
+      segments.forEach(segment => {
+        command
+          .input(sourcePath)
+          .inputOptions(['-ss', segment.start.toFixed(3), '-t', segment.duration.toFixed(3)]);
+      });
+
+      const inputs = segments.map((segment, index) => `[${index}:v]`).join('');
+
+      command
+        .complexFilter(`${inputs}concat=n=${segments.length}:v=1:a=0,scale=${PREVIEW_WIDTH}:-2,format=yuv420p[preview]`)
+        .outputOptions([
+          '-map', '[preview]',
+          '-c:v', 'libx264',
+          '-preset', 'veryfast',
+          '-crf', '30',
+          '-map_metadata', '-1',
+          '-movflags', '+faststart'
+        ])
+        .noAudio()
+        .format('mp4')
+        .output(outputPath)
+        .on('end', () => {
+          resolve(outputPath);
+        })
+        .on('error', (error) => {
+          this.cleanupFile(outputPath);
+          reject(error);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Convert a preview MP4 into a looping animated WebP
+   * @param {string} previewPath - Preview MP4 from encodePreviewMp4
+   * @param {string} outputPath - WebP file to write
+   * @returns {Promise<string>} Path to the animated WebP
+   */
+  encodePreviewWebp(previewPath, outputPath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(previewPath)
+        .videoFilters(`fps=${PREVIEW_WEBP_FPS}`)
+        .outputOptions([
+          '-c:v', 'libwebp',
+          '-loop', '0',
+          '-quality', '60',
+          '-compression_level', '4'
+        ])
+        .noAudio()
+        .format('webp')
+        .output(outputPath)
+        .on('end', () => {
+          resolve(outputPath);
+        })
+        .on('error', (error) => {
+          this.cleanupFile(outputPath);
+          reject(error);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Generate the hover preview (MP4 and animated WebP) and upload it
+   * @param {string} sourcePath - Video to cut from
+   * @param {string} videoPublicId - Public ID for the video
+   * @param {number} duration - Video duration in seconds
+   * @param {boolean} isPrivate - Store under the private prefix
+   * @returns {Promise<Object>} Preview info ({ mp4, webp, duration })
+   */
+  async generatePreview(sourcePath, videoPublicId, duration, isPrivate = false) {
+    const segments = this.calculatePreviewSegments(duration);
+    const mp4Path = path.join(this.tempDir, `preview_${Date.now()}_${videoPublicId}.mp4`);
+    const webpPath = mp4Path.replace(/\.mp4$/, '.webp');
+    const folder = storage.getFolder('video_thumbnails', isPrivate);
+
+    try {
+      await this.encodePreviewMp4(sourcePath, segments, mp4Path);
+      const previewMetadata = await this.getVideoMetadata(mp4Path);
+      const dimensions = {
+        width: previewMetadata.video?.width,
+        height: previewMetadata.video?.height
+      };
+
+      const mp4Upload = await storage.uploadFile(mp4Path, folder, `${videoPublicId}_preview.mp4`, 'video/mp4');
+      const preview = {
+        mp4: {
+          url: mp4Upload.url,
+          blobName: mp4Upload.blobName,
+          ...dimensions,
+          bytes: previewMetadata.size
+        },
+        duration: previewMetadata.duration
+      };
+
+      // The MP4 alone is still usable if the WebP encode fails
+      try {
+        await this.encodePreviewWebp(mp4Path, webpPath);
+        const webpUpload = await storage.uploadFile(webpPath, folder, `${videoPublicId}_preview.webp`, 'image/webp');
+        preview.webp = {
+          url: webpUpload.url,
+          blobName: webpUpload.blobName,
+          ...dimensions,
+          bytes: fs.statSync(webpPath).size
+        };
+      } catch (error) {
+        console.error('Error generating animated WebP preview:', error);
+      }
+
+      return preview;
+    } finally {
+      this.cleanupFile(mp4Path);
+      this.cleanupFile(webpPath);
+    }
+  }
+
+  /**
+   * Format seconds as a WebVTT timestamp
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Timestamp (e.g., "00:01:02.500")
+   */
+  formatVttTimestamp(seconds) {
+    const milliseconds = Math.round(seconds * 1000);
+    const hours = Math.floor(milliseconds / 3600000);
+    const minutes = Math.floor((milliseconds % 3600000) / 60000);
+    const secs = (milliseconds % 60000) / 1000;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${secs.toFixed(3).padStart(6, '0')}`;
+  }
+
+  /**
+   * Build the WebVTT track mapping time ranges to sprite sheet regions
+   * @param {Object} sprites - Layout from generateSpriteSheets
+   * @param {number} duration - Video duration in seconds
+   * @returns {string} WebVTT contents
+   */
+  buildSpriteVtt(sprites, duration) {
+    const lines = ['WEBVTT', ''];
+    const perSheet = sprites.columns * sprites.rows;
+
+    for (let index = 0; index < sprites.count; index++) {
+      const start = index * sprites.interval;
+      const end = Math.min((index + 1) * sprites.interval, duration);
+      const position = index % perSheet;
+      const x = (position % sprites.columns) * sprites.tileWidth;
+      const y = Math.floor(position / sprites.columns) * sprites.tileHeight;
+
+      lines.push(`${this.formatVttTimestamp(start)} --> ${this.formatVttTimestamp(end)}`);
+      lines.push(`${sprites.sheets[Math.floor(index / perSheet)]}#xywh=${x},${y},${sprites.tileWidth},${sprites.tileHeight}`);
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Tile frames sampled at a fixed interval into JPEG sprite sheets and write
+   * the WebVTT thumbnail track that points into them
+   * @param {string} sourcePath - Video to sample (the smallest rendition is enough)
+   * @param {Object} source - Dimensions of the source ({ width, height })
+   * @param {number} duration - Video duration in seconds
+   * @param {string} outputDir - Directory to write the sheets and thumbnails.vtt to
+   * @returns {Promise<Object>} Layout ({ interval, tileWidth, tileHeight, columns, rows, count, sheets })
+   */
+  generateSpriteSheets(sourcePath, source, duration, outputDir) {
+    const interval = Math.max(SPRITE_INTERVAL_SECONDS, duration / SPRITE_MAX_FRAMES);
+    const tileWidth = SPRITE_TILE_WIDTH;
+    const tileHeight = Math.round(tileWidth * source.height / source.width / 2) * 2;
+
+    return new Promise((resolve, reject) => {
+      fs.mkdirSync(outputDir, { recursive: true });
+
+      ffmpeg(sourcePath)
+        .noAudio()
+        .videoFilters(`fps=1/${interval},scale=${tileWidth}:${tileHeight},tile=${SPRITE_COLUMNS}x${SPRITE_ROWS}`)
+        .outputOptions(['-q:v', '4'])
+        .output(path.join(outputDir, 'sprite_%03d.jpg'))
+        .on('end', () => {
+          const sheets = fs.readdirSync(outputDir)
+            .filter(file => file.startsWith('sprite_'))
+            .sort();
+
+          const sprites = {
+            interval,
+            tileWidth,
+            tileHeight,
+            columns: SPRITE_COLUMNS,
+            rows: SPRITE_ROWS,
+            // The last sheet is padded, so never point past the frames sampled
+            count: Math.min(Math.ceil(duration / interval), sheets.length * SPRITE_COLUMNS * SPRITE_ROWS),
+            sheets
+          };
+
+          fs.writeFileSync(path.join(outputDir, 'thumbnails.vtt'), this.buildSpriteVtt(sprites, duration));
+          resolve(sprites);
+        })
+        .on('error', (error) => {
+          reject(error);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Package renditions for adaptive streaming and upload the package under a
+   * per-video prefix. HLS is always produced; DASH reuses the same segments.
+   * @param {Array} renditions - Transcoded renditions
+   * @param {string} videoPublicId - Public ID for the video
+   * @param {Object} metadata - Metadata from getVideoMetadata
+   * @param {Object} options - Packaging options
+   * @param {boolean} options.dash - Also write a DASH MPD
+   * @param {boolean} options.sprites - Also write hover-scrub sprite sheets and their WebVTT track
+   * @param {boolean} options.private - Store under the private prefix
+   * @returns {Promise<Object|null>} Streaming info (with `sprites` when written), or null without renditions
+   */
+  async packageStreaming(renditions, videoPublicId, metadata, options = {}) {
+    if (!renditions.length) return null;
+
+    const packageDir = path.join(this.tempDir, `streaming_${Date.now()}_${videoPublicId}`);
+    const prefix = `${storage.getFolder('streaming', options.private)}/${videoPublicId}`;
+
+    try {
+      for (const rendition of renditions) {
+        await this.segmentRenditionHls(rendition.path, path.join(packageDir, rendition.quality));
+      }
+
+      fs.writeFileSync(path.join(packageDir, 'master.m3u8'), this.buildHlsMasterPlaylist(renditions));
+
+      if (options.dash) {
+        fs.writeFileSync(
+          path.join(packageDir, 'manifest.mpd'),
+          this.buildDashManifest(renditions, packageDir, metadata.duration)
+        );
+      }
+
+      // Sprites sit next to the playlists so the track's relative references
+      // resolve the same way, including through the private streaming route
+      let spriteLayout = null;
+      if (options.sprites) {
+        const smallest = renditions[renditions.length - 1];
+        try {
+          spriteLayout = await this.generateSpriteSheets(
+            smallest.path,
+            smallest,
+            metadata.duration,
+            path.join(packageDir, 'sprites')
+          );
+        } catch (error) {
+          console.error('Error generating sprite sheets, continuing without them:', error);
+          this.cleanupDirectory(path.join(packageDir, 'sprites'));
+        }
+      }
+
+      const uploads = await storage.uploadDirectory(packageDir, prefix);
+      const uploadByBlobName = new Map(uploads.map(upload => [upload.blobName, upload]));
+      const master = uploadByBlobName.get(`${prefix}/master.m3u8`);
+
+      const streaming = {
+        prefix,
+        hls: {
+          masterUrl: master.url,
+          masterBlobName: master.blobName,
+          segmentDuration: HLS_SEGMENT_DURATION,
+          segmentFormat: 'fmp4',
+          renditions: renditions.map(rendition => {
+            const playlist = uploadByBlobName.get(`${prefix}/${rendition.quality}/index.m3u8`);
+            return {
+              quality: rendition.quality,
+              url: playlist.url,
+              blobName: playlist.blobName,
+              width: rendition.width,
+              height: rendition.height,
+              bandwidth: Math.round(rendition.bitRate),
+              codecs: rendition.codecs
+            };
+          })
+        }
+      };
+
+      if (options.dash) {
+        const manifest = uploadByBlobName.get(`${prefix}/manifest.mpd`);
+        streaming.dash = {
+          manifestUrl: manifest.url,
+          manifestBlobName: manifest.blobName,
+          segmentDuration: HLS_SEGMENT_DURATION
+        };
+      }
+
+      if (spriteLayout) {
+        const track = uploadByBlobName.get(`${prefix}/sprites/thumbnails.vtt`);
+        streaming.sprites = {
+          vttUrl: track.url,
+          vttBlobName: track.blobName,
+          interval: spriteLayout.interval,
+          tileWidth: spriteLayout.tileWidth,
+          tileHeight: spriteLayout.tileHeight,
+          columns: spriteLayout.columns,
+          rows: spriteLayout.rows,
+          count: spriteLayout.count,
+          sheets: spriteLayout.sheets.map(sheet => {
+            const upload = uploadByBlobName.get(`${prefix}/sprites/${sheet}`);
+            return { url: upload.url, blobName: upload.blobName };
+          })
+        };
+      }
+
+      return streaming;
+    } finally {
+      this.cleanupDirectory(packageDir);
+    }
+  }
+
+  /**
+   * Upload the original video and its transcoded renditions to storage
    * @param {string} videoPath - Path to the video file
    * @param {string} videoPublicId - Public ID for the video
+   * @param {Object} metadata - Metadata from getVideoMetadata
+   * @param {Array} renditions - Transcoded renditions from transcodeRenditions
+   * @param {Object} existingOriginal - Original already in storage ({ url, blobName }), skips re-uploading it
+   * @param {boolean} isPrivate - Store under the private prefix
    * @returns {Promise<Object>} Video upload info
    */
-  async uploadVideoToAzure(videoPath, videoPublicId, metadata) {
+  async uploadVideoToStorage(videoPath, videoPublicId, metadata, renditions = [], existingOriginal = null, isPrivate = false) {
     try {
-      // Upload original video to Azure Storage
-      const originalUpload = await azureStorage.uploadVideo(videoPath, videoPublicId);
+      // Upload original video to storage unless it is already there
+      const originalUpload = existingOriginal || await storage.uploadVideo(videoPath, videoPublicId, { private: isPrivate });
+
+      const qualities = {};
+      for (const rendition of renditions) {
+        const renditionUpload = await storage.uploadRendition(
+          rendition.path,
+          videoPublicId,
+          rendition.quality,
+          { private: isPrivate }
+        );
 
-      const variants = {
+        qualities[rendition.quality] = {
+          url: renditionUpload.url,
+          blobName: renditionUpload.blobName,
+          width: rendition.width,
+          height: rendition.height,
+          bitRate: rendition.bitRate
+        };
+      }
+
+      return {
         original: {
           url: originalUpload.url,
           blobName: originalUpload.blobName,
           width: metadata.video?.width || 1920,
           height: metadata.video?.height || 1080,
+          codedWidth: metadata.video?.codedWidth,
+          codedHeight: metadata.video?.codedHeight,
+          rotation: metadata.video?.rotation,
+          sampleAspectRatio: metadata.video?.sampleAspectRatio,
+          displayAspectRatio: metadata.video?.displayAspectRatio,
+          colorPrimaries: metadata.video?.colorPrimaries,
+          colorTransfer: metadata.video?.colorTransfer,
+          dynamicRange: metadata.video?.dynamicRange,
           duration: metadata.duration,
-          format: 'mp4',
-          bytes: metadata.size
+          // Originals are named after their container (see mediaValidation.getOriginalExtension)
+          format: path.posix.extname(originalUpload.blobName).slice(1).toLowerCase() || 'mp4',
+          bytes: metadata.size,
+          frameRate: metadata.video?.frameRate,
+          bitRate: metadata.bitRate
         },
-        // For now, we'll use the same video for all qualities
-        // In production, you might want to implement FFmpeg transcoding
-        qualities: {
-          hd: {
-            url: originalUpload.url,
-            blobName: originalUpload.blobName,
-            width: metadata.video?.width || 1920,
-            height: metadata.video?.height || 1080
-          },
-          sd: {
-            url: originalUpload.url,
-            blobName: originalUpload.blobName,
-            width: Math.floor((metadata.video?.width || 1920) * 0.75),
-            height: Math.floor((metadata.video?.height || 1080) * 0.75)
-          },
-          mobile: {
-            url: originalUpload.url,
-            blobName: originalUpload.blobName,
-            width: Math.floor((metadata.video?.width || 1920) * 0.5),
-            height: Math.floor((metadata.video?.height || 1080) * 0.5)
-          }
-        }
+        qualities
       };
-
-      return variants;
     } catch (error) {
-      console.error('Error uploading video to Azure:', error);
+      console.error('Error uploading video to storage:', error);
       throw error;
     }
   }
 
+  /**
+   * Report pipeline progress as an overall percentage
+   * @param {Function} onProgress - Progress callback passed to processVideo
+   * @param {string} stage - Current stage (see PROCESSING_STAGES)
+   * @param {number} fraction - Fraction of the stage that is done (0-1)
+   * @param {string} rendition - Rendition being transcoded, if any
+   */
+  reportProgress(onProgress, stage, fraction = 0, rendition = null) {
+    let percent = 0;
+    for (const entry of PROCESSING_STAGES) {
+      if (entry.stage === stage) {
+        percent += entry.weight * fraction;
+        break;
+      }
+      percent += entry.weight;
+    }
+
+    onProgress({
+      stage,
+      rendition,
+      percent: Math.round(percent * 10) / 10
+    });
+  }
+
   /**
    * Process complete video upload with thumbnails
    * @param {string} videoPath - Path to the video file
    * @param {string} videoPublicId - Public ID for the video
+   * @param {Object} options - Processing options
+   * @param {boolean} options.dash - Emit a DASH MPD next to the HLS playlists
+   * @param {boolean} options.sprites - Emit hover-scrub sprite sheets with a WebVTT track
+   * @param {boolean} options.preview - Emit a hover preview clip (MP4 and animated WebP)
+   * @param {boolean} options.stripLocation - Remove capture metadata from the original and drop its location
+   * @param {Object} options.original - Original already in storage ({ url, blobName })
+   * @param {boolean} options.private - Store outputs where they are not publicly readable
+   * @param {Function} options.onProgress - Called with { stage, rendition, percent }
    * @returns {Promise<Object>} Complete processing result
    */
-  async processVideo(videoPath, videoPublicId) {
+  async processVideo(videoPath, videoPublicId, options = {}) {
+    const {
+      dash = process.env.ENABLE_DASH === 'true',
+      sprites = process.env.ENABLE_SPRITES !== 'false',
+      preview = process.env.ENABLE_PREVIEWS !== 'false',
+      stripLocation = false,
+      original = null,
+      private: isPrivate = false,
+      onProgress = () => {}
+    } = options;
+    let renditions = [];
+    let thumbnails = [];
+
     try {
       console.log(`Starting video processing for ${videoPublicId}`);
       
       // Get video metadata
+      this.reportProgress(onProgress, 'probe');
       const metadata = await this.getVideoMetadata(videoPath);
       console.log(`Video metadata obtained: ${metadata.duration}s duration`);
 
+      // Rewrite the original before anything else is read from it
+      if (stripLocation) {
+        if (original) {
+          metadata.size = await this.stripOriginalMetadata(videoPath, original);
+        } else {
+          await this.stripMetadata(videoPath);
+          metadata.size = fs.statSync(videoPath).size;
+        }
+        metadata.capture.location = null;
+        console.log(`Stripped capture metadata from the original`);
+      }
+
       // Generate thumbnails
-      const thumbnails = await this.generateThumbnails(videoPath, metadata.duration);
+      this.reportProgress(onProgress, 'thumbnails');
+      thumbnails = await this.generateThumbnails(videoPath, metadata.duration, metadata.video);
       console.log(`Generated ${thumbnails.length} thumbnails`);
 
-      // Upload video to Azure Storage
-      const videoVariants = await this.uploadVideoToAzure(videoPath, videoPublicId, metadata);
-      console.log(`Video uploaded to Azure Storage`);
+      // Transcode the quality ladder
+      renditions = await this.transcodeRenditions(videoPath, metadata, (fraction, quality) => {
+        this.reportProgress(onProgress, 'transcode', fraction, quality);
+      });
+      console.log(`Transcoded ${renditions.length} renditions`);
+
+      // Upload video and renditions to storage
+      this.reportProgress(onProgress, 'upload');
+      const videoVariants = await this.uploadVideoToStorage(videoPath, videoPublicId, metadata, renditions, original, isPrivate);
+      console.log(`Video uploaded to storage`);
 
-      // Upload thumbnails to Azure Storage
-      const azureThumbnails = await this.uploadThumbnailsToAzure(thumbnails, videoPublicId);
-      console.log(`Thumbnails uploaded to Azure Storage`);
+      // Upload thumbnails to storage
+      this.reportProgress(onProgress, 'upload', 0.8);
+      const storedThumbnails = await this.uploadThumbnailsToStorage(thumbnails, videoPublicId, isPrivate);
+      console.log(`Thumbnails uploaded to storage`);
 
       // Organize thumbnails by type
-      const organizedThumbnails = this.organizeThumbnails(azureThumbnails);
+      const organizedThumbnails = this.organizeThumbnails(storedThumbnails);
 
-      // Clean up local video file
-      this.cleanupFile(videoPath);
+      // Hover preview, cut from the smallest rendition when there is one
+      if (preview) {
+        this.reportProgress(onProgress, 'upload', 0.9);
+        try {
+          const previewSource = renditions.length ? renditions[renditions.length - 1].path : videoPath;
+          organizedThumbnails.preview = await this.generatePreview(previewSource, videoPublicId, metadata.duration, isPrivate);
+          console.log(`Preview clip uploaded to storage`);
+        } catch (error) {
+          console.error('Error generating preview clip, continuing without it:', error);
+        }
+      }
+
+      // Package and upload the adaptive streaming set (HLS, optionally DASH)
+      this.reportProgress(onProgress, 'packaging');
+      const streaming = await this.packageStreaming(renditions, videoPublicId, metadata, {
+        dash,
+        sprites,
+        private: isPrivate
+      });
+      if (streaming) {
+        const { sprites: spriteSheets, ...streamingPackage } = streaming;
+        videoVariants.streaming = streamingPackage;
+        if (spriteSheets) {
+          organizedThumbnails.sprites = spriteSheets;
+        }
+        console.log(`Streaming package uploaded to storage`);
+      }
 
       return {
         video: videoVariants,
@@ -308,43 +1497,43 @@ class VideoProcessor {
       };
     } catch (error) {
       console.error('Error processing video:', error);
-      // Clean up on error
-      this.cleanupFile(videoPath);
       throw error;
+    } finally {
+      // Clean up local video, rendition and thumbnail files (uploaded thumbnails are already gone)
+      this.cleanupFile(videoPath);
+      renditions.forEach(rendition => this.cleanupFile(rendition.path));
+      thumbnails.forEach(thumbnail => this.cleanupFile(thumbnail.path));
     }
   }
 
   /**
    * Organize thumbnails by type (poster, timeline, sizes)
-   * @param {Array} thumbnails - Array of thumbnail objects
+   * @param {Array} thumbnails - Results of uploadThumbnailsToStorage
    * @returns {Object} Organized thumbnail object
    */
   organizeThumbnails(thumbnails) {
-    if (!thumbnails.length) return {};
+    if (!thumbnails.some(Boolean)) return {};
 
-    // First thumbnail is poster
-    const poster = thumbnails[0];
-    
-    // Rest are timeline thumbnails
-    const timeline = thumbnails.slice(1);
+    // First thumbnail is the poster set, the rest are timeline thumbnails
+    const [posterSet, ...timeline] = thumbnails;
 
     return {
-      poster: {
-        url: poster.url,
-        blobName: poster.blobName,
-        width: poster.width,
-        height: poster.height
-      },
-      timeline: timeline.map(thumb => ({
+      ...(posterSet && {
+        poster: {
+          ...posterSet.poster,
+          timestamp: posterSet.timestamp
+        },
+        large: posterSet.large,
+        medium: posterSet.medium,
+        small: posterSet.small
+      }),
+      timeline: timeline.filter(Boolean).map(thumb => ({
         url: thumb.url,
         blobName: thumb.blobName,
         timestamp: thumb.timestamp,
         width: thumb.width,
         height: thumb.height
-      })),
-      large: poster, // Use poster as large thumbnail
-      medium: poster, // For now, use same - could generate different sizes
-      small: poster   // For now, use same - could generate different sizes
+      }))
     };
   }
 
@@ -363,24 +1552,49 @@ class VideoProcessor {
   }
 
   /**
-   * Clean up old temporary files
+   * Clean up a temporary directory and everything in it
+   * @param {string} dirPath - Path to directory to clean up
    */
-  cleanupOldFiles() {
+  cleanupDirectory(dirPath) {
     try {
-      const files = fs.readdirSync(this.tempDir);
-      const oneHourAgo = Date.now() - (60 * 60 * 1000);
-
-      files.forEach(file => {
-        const filePath = path.join(this.tempDir, file);
-        const stats = fs.statSync(filePath);
-        
-        if (stats.mtimeMs < oneHourAgo) {
-          fs.unlinkSync(filePath);
-        }
-      });
+      fs.rmSync(dirPath, { recursive: true, force: true });
+    } catch (error) {
+      console.error(`Error cleaning up directory ${dirPath}:`, error);
+    }
+  }
+
+  /**
+   * Clean up old temporary files and directories (e.g., streaming packages)
+   * @param {Object} options - Options
+   * @param {number} options.olderThan - Remove entries last modified before this time (ms since epoch, default an hour ago)
+   * @param {Array<string>} options.keep - Paths inside the temp directory that are never removed
+   */
+  cleanupOldFiles({ olderThan = Date.now() - (60 * 60 * 1000), keep = [] } = {}) {
+    let entries;
+    try {
+      entries = fs.readdirSync(this.tempDir);
     } catch (error) {
       console.error('Error cleaning up old files:', error);
+      return;
     }
+
+    const kept = keep.map(keptPath => path.resolve(keptPath));
+
+    // One entry failing (or vanishing mid-scan) must not stop the rest
+    entries.forEach(entry => {
+      const entryPath = path.join(this.tempDir, entry);
+      if (kept.includes(path.resolve(entryPath))) return;
+
+      try {
+        const stats = fs.statSync(entryPath);
+
+        if (stats.mtimeMs < olderThan) {
+          fs.rmSync(entryPath, { recursive: true, force: true });
+        }
+      } catch (error) {
+        console.error(`Error cleaning up ${entryPath}:`, error);
+      }
+    });
   }
 }
 